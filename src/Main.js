@@ -23,14 +23,32 @@ function generateAllDashboards() {
     const config = loadConfiguration();
     const { salespeople, goalsMap, techAccessEmails, configSheet } = config;
     
+    // 1.25. Resolve missing HubSpot User IDs (shared owner directory)
+    const resolvedCount = resolveSalespeopleOwnerIds(salespeople, configSheet);
+    if (resolvedCount > 0) {
+      Logger.log(`Resolved ${resolvedCount} HubSpot User IDs from owner directory`);
+    }
+    
+    // 1.3. Sync the local deal store (incremental after the first run)
+    const storeResult = syncDealStore(salespeople);
+    if (storeResult.success) {
+      Logger.log(`✅ Deal Store: ${storeResult.mode} sync, ${storeResult.stored} deals (${storeResult.duration}s)`);
+    }
+    
+    // 1.4. Build one deal snapshot shared by the Director Hub and all AE sheets
+    const snapshot = buildDealSnapshot(salespeople);
+    
     Logger.log(`\nProcessing ${salespeople.length} salespeople...`);
     
+    // 1.45. Call quality coaching summaries (per AE + team benchmark)
+    const coachingSummaries = buildTeamCoachingSummaries(salespeople, snapshot);
+    
     // 1.5. Update Director Hub (team-wide view)
     Logger.log(`\n=== Updating Director Hub ===`);
     const controlSheet = SpreadsheetApp.openById(CONTROL_SHEET_ID);
-    const hubResult = updateDirectorHub(controlSheet, salespeople);
+    const hubResult = updateDirectorHub(controlSheet, salespeople, snapshot);
     if (hubResult.success) {
-      Logger.log(`✅ Director Hub: ${hubResult.dealCount} deals (${hubResult.duration}s)`);
+      Logger.log(`✅ Director Hub: ${hubResult.dealCount} deals, ${hubResult.changeCount} changes, ${hubResult.scopedHubCount} scoped director hubs (${hubResult.duration}s)`);
     } else {
       Logger.log(`❌ Director Hub failed: ${hubResult.error}`);
     }
@@ -39,33 +57,54 @@ function generateAllDashboards() {
     let errorCount = 0;
     
     // 2. For each salesperson
-    salespeople.forEach((person, index) => {
+    salespeople.forEach(person => {
       Logger.log(`\n--- Processing ${person.name} (${person.email}) ---`);
       
       try {
         // 3. Get or create their individual sheet (self-provisioning)
-        const rowIndex = index + 2; // +2 because row 1 is header, index starts at 0
-        const sheet = getOrCreatePersonSheet(person, techAccessEmails, configSheet, rowIndex);
+        const sheet = getOrCreatePersonSheet(person, techAccessEmails, configSheet, person.rowIndex);
         
         Logger.log(`  Sheet ID: ${sheet.getId()}`);
         Logger.log(`  Sheet URL: ${sheet.getUrl()}`);
         
         // Update Pipeline Review tab
-        const pipelineResult = updatePipelineReview(sheet, person);
+        const pipelineResult = updatePipelineReview(sheet, person, snapshot);
         if (pipelineResult.success) {
-          Logger.log(`  ✅ Pipeline Review: ${pipelineResult.dealCount} deals`);
+          Logger.log(`  ✅ Pipeline Review: ${pipelineResult.dealCount} deals, ${pipelineResult.changeCount} changes (notes: ${pipelineResult.archivedCount} archived, ${pipelineResult.restoredCount} restored), ${pipelineResult.actionCount} to action today`);
+          if (pipelineResult.writeBackCount > 0 || pipelineResult.writeBackConflictCount > 0) {
+            Logger.log(`  🔁 HubSpot write-back: ${pipelineResult.writeBackCount} written, ${pipelineResult.writeBackConflictCount} new conflicts`);
+          }
         } else {
           Logger.log(`  ❌ Pipeline Review failed: ${pipelineResult.error}`);
         }
         
+        // Keep HubSpot and director columns read-only for the AE (Note columns stay editable)
+        reconcilePipelineProtection(sheet.getSheetByName(TAB_PIPELINE), techAccessEmails);
+        
         // Update Enrollment Tracker tab
-        const enrollmentResult = updateEnrollmentTracker(sheet, person);
+        const enrollmentResult = updateEnrollmentTracker(sheet, person, snapshot);
         if (enrollmentResult.success) {
           Logger.log(`  ✅ Enrollment Tracker: ${enrollmentResult.enrollmentCount} enrollments`);
         } else {
           Logger.log(`  ❌ Enrollment Tracker failed: ${enrollmentResult.error}`);
         }
         
+        // Update Forecast tab (current business month vs goal)
+        const forecastResult = updateForecast(sheet, person, snapshot, getPersonGoal(goalsMap, person));
+        if (forecastResult.success) {
+          Logger.log(`  ✅ Forecast: ${forecastResult.dealCount} deals closing this month, ${forecastResult.expected} expected enrollments (goal ${forecastResult.goal || 'not set'})`);
+        } else {
+          Logger.log(`  ❌ Forecast failed: ${forecastResult.error}`);
+        }
+        
+        // Update Coaching tab (call quality by skill vs team)
+        const coachingResult = updateCoaching(sheet, person, coachingSummaries);
+        if (coachingResult.success) {
+          Logger.log(`  ✅ Coaching: ${coachingResult.dealCount} scored deals${coachingResult.weakest.length > 0 ? `, focus on ${coachingResult.weakest.join(', ')}` : ''}`);
+        } else {
+          Logger.log(`  ❌ Coaching failed: ${coachingResult.error}`);
+        }
+        
         // Update Bonus Calculation tab (copies from legacy Clean 2.2 system)
         const bonusResult = updateBonusCalculation(sheet, person);
         if (bonusResult.success) {
@@ -90,6 +129,32 @@ function generateAllDashboards() {
     Logger.log(`\n=== Syncing Director Flags to AE Sheets ===`);
     syncDirectorFlagsToAESheets(controlSheet, salespeople);
     
+    // 3.05. Team forecast roll-up next to the Director Hub
+    Logger.log(`\n=== Updating Team Forecast ===`);
+    const teamForecastResult = updateTeamForecast(controlSheet, salespeople, snapshot, goalsMap);
+    if (teamForecastResult.success) {
+      Logger.log(`✅ Team Forecast: ${teamForecastResult.expected} expected enrollments (goal ${teamForecastResult.goal || 'not set'})`);
+    } else {
+      Logger.log(`❌ Team Forecast failed: ${teamForecastResult.error}`);
+    }
+    
+    // 3.06. Team coaching matrix
+    const teamCoachingResult = updateTeamCoaching(controlSheet, salespeople, coachingSummaries);
+    if (teamCoachingResult.success) {
+      Logger.log(`✅ Team Coaching: ${teamCoachingResult.aeCount} AEs, team weakest: ${teamCoachingResult.teamWeakest.join(', ') || 'n/a'}`);
+    } else {
+      Logger.log(`❌ Team Coaching failed: ${teamCoachingResult.error}`);
+    }
+    
+    // 3.1. Rebuild the Control Sheet Summary Dashboard (stage velocity)
+    Logger.log(`\n=== Updating Summary Dashboard ===`);
+    const summaryResult = updateSummaryDashboard(controlSheet, salespeople);
+    if (summaryResult.success) {
+      Logger.log(`✅ Summary Dashboard: ${summaryResult.sectionCount} sections (${summaryResult.duration}s)`);
+    } else {
+      Logger.log(`❌ Summary Dashboard failed: ${summaryResult.error}`);
+    }
+    
     // 4. Summary
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000;
@@ -97,6 +162,18 @@ function generateAllDashboards() {
     
     Logger.log(`\n=== ${message} ===`);
     
+    const apiStats = getHubSpotRequestStats();
+    Logger.log(`HubSpot API: ${apiStats.requests} requests, ${apiStats.retries} retries (budget ${apiStats.budget})`);
+    
+    if (getDealTasksError()) {
+      Logger.log(`⚠️ Next Task columns left blank: ${getDealTasksError()}`);
+      flagBlankColumnStatus(DEAL_TASK_COLUMNS, getDealTasksError());
+    }
+    getDealContactErrors().forEach(error => {
+      Logger.log(`⚠️ Contact/call columns left blank: ${error.message}`);
+      flagBlankColumnStatus(error.properties, error.message);
+    });
+    
     // Show toast if running from a spreadsheet context
     try {
       const activeSheet = SpreadsheetApp.getActiveSpreadsheet();
@@ -146,7 +223,7 @@ function testSingleSalesperson() {
       firstPerson, 
       config.techAccessEmails, 
       config.configSheet, 
-      2 // Row 2 in config sheet
+      firstPerson.rowIndex
     );
     
     Logger.log(`✅ Test successful`);
@@ -215,6 +292,12 @@ function setupControlSheet() {
   const goalsSheet = findTab(ss, TAB_GOALS, 'Goals & Quotas');
   const techSheet = findTab(ss, TAB_TECH, 'tech access');
   const summarySheet = findTab(ss, TAB_SUMMARY, 'Summary Dashboard');
+  const settingsSheet = findTab(ss, TAB_SETTINGS, 'Settings');
+  const viewsSheet = findTab(ss, TAB_VIEWS, 'Views');
+  const columnsSheet = findTab(ss, TAB_COLUMNS, 'Columns');
+  const stalenessSheet = findTab(ss, TAB_STALENESS_RULES, 'Staleness Rules');
+  const probabilitiesSheet = findTab(ss, TAB_STAGE_PROBABILITIES, 'Stage Probabilities');
+  const directorsSheet = findTab(ss, TAB_DIRECTORS, 'Directors');
   
   // Create missing tabs
   if (!configSheet) {
@@ -247,10 +330,84 @@ function setupControlSheet() {
   if (!summarySheet) {
     Logger.log('Creating Summary Dashboard tab...');
     const newSummary = ss.insertSheet(TAB_SUMMARY);
-    newSummary.getRange('A1').setValue('Summary Dashboard - Coming soon');
+    newSummary.getRange('A1').setValue('Summary Dashboard - Filled on the next generateAllDashboards() run');
     Logger.log('✅ Created Summary Dashboard tab');
   }
   
+  if (!settingsSheet) {
+    Logger.log('Creating Settings tab...');
+    const newSettings = ss.insertSheet(TAB_SETTINGS);
+    const settingsRows = Object.keys(DEFAULT_SETTINGS).map(key => [
+      key,
+      DEFAULT_SETTINGS[key].value,
+      DEFAULT_SETTINGS[key].description
+    ]);
+    newSettings.getRange('A1:C1').setValues([['Key', 'Value', 'Description']]);
+    newSettings.getRange('A1:C1').setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    newSettings.getRange(2, 1, settingsRows.length, 3).setValues(settingsRows);
+    newSettings.setFrozenRows(1);
+    Logger.log('✅ Created Settings tab');
+  }
+  
+  if (!viewsSheet) {
+    Logger.log('Creating Views tab...');
+    const newViews = ss.insertSheet(TAB_VIEWS);
+    const viewRows = getDefaultViewRows();
+    newViews.getRange('A1:F1').setValues([['View', 'Kind', 'Group', 'Property', 'Operator', 'Value']]);
+    newViews.getRange('A1:F1').setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    newViews.getRange(2, 1, viewRows.length, 6).setValues(viewRows);
+    newViews.setFrozenRows(1);
+    Logger.log('✅ Created Views tab');
+  }
+  
+  if (!columnsSheet) {
+    Logger.log('Creating Columns tab...');
+    const newColumns = ss.insertSheet(TAB_COLUMNS);
+    const columnRows = getDefaultColumnRows();
+    const headerRange = newColumns.getRange(1, 1, 1, COLUMNS_TAB_HEADERS.length);
+    headerRange.setValues([COLUMNS_TAB_HEADERS]);
+    headerRange.setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    newColumns.getRange(2, 1, columnRows.length, COLUMNS_TAB_HEADERS.length).setValues(columnRows);
+    newColumns.setFrozenRows(1);
+    Logger.log('✅ Created Columns tab');
+  }
+  
+  if (!stalenessSheet) {
+    Logger.log('Creating Staleness Rules tab...');
+    const newRules = ss.insertSheet(TAB_STALENESS_RULES);
+    const ruleRows = getDefaultStalenessRuleRows();
+    const headerRange = newRules.getRange(1, 1, 1, STALENESS_RULES_TAB_HEADERS.length);
+    headerRange.setValues([STALENESS_RULES_TAB_HEADERS]);
+    headerRange.setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    newRules.getRange(2, 1, ruleRows.length, STALENESS_RULES_TAB_HEADERS.length).setValues(ruleRows);
+    newRules.setFrozenRows(1);
+    Logger.log('✅ Created Staleness Rules tab');
+  }
+  
+  if (!probabilitiesSheet) {
+    Logger.log('Creating Stage Probabilities tab...');
+    const newProbabilities = ss.insertSheet(TAB_STAGE_PROBABILITIES);
+    const probabilityRows = getDefaultStageProbabilityRows();
+    const headerRange = newProbabilities.getRange(1, 1, 1, STAGE_PROBABILITIES_TAB_HEADERS.length);
+    headerRange.setValues([STAGE_PROBABILITIES_TAB_HEADERS]);
+    headerRange.setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    if (probabilityRows.length > 0) {
+      newProbabilities.getRange(2, 1, probabilityRows.length, STAGE_PROBABILITIES_TAB_HEADERS.length).setValues(probabilityRows);
+    }
+    newProbabilities.setFrozenRows(1);
+    Logger.log('✅ Created Stage Probabilities tab (blank probability = HubSpot stage probability)');
+  }
+  
+  if (!directorsSheet) {
+    Logger.log('Creating Directors tab...');
+    const newDirectors = ss.insertSheet(TAB_DIRECTORS);
+    const headerRange = newDirectors.getRange(1, 1, 1, DIRECTORS_TAB_HEADERS.length);
+    headerRange.setValues([DIRECTORS_TAB_HEADERS]);
+    headerRange.setFontWeight('bold').setBackground('#4285F4').setFontColor('#FFFFFF');
+    newDirectors.setFrozenRows(1);
+    Logger.log('✅ Created Directors tab (blank Teams and Small Teams = every AE)');
+  }
+  
   Logger.log('\n=== Setup Complete ===');
   Logger.log('Next steps:');
   Logger.log('1. Add salespeople to Salespeople Config tab');
@@ -7,7 +7,7 @@
 
 /**
  * Entry point: generate ad hoc research for a list of AEs.
- * @param {Array<Object>} aeList - [{ email, hubspotUserId?, tabName? }]
+ * @param {Array<Object>} aeList - [{ email, hubspotUserId?, tabName?, view? }]
  * @returns {Object} { success, sheetUrl, sheetId, tabs }
  */
 function generateAdHocAEResearch(aeList) {
@@ -56,7 +56,7 @@ function generateAdHocAEResearch(aeList) {
 /**
  * Creates or refreshes a tab for a single AE with 30-day deals.
  * @param {Spreadsheet} ss - Target standalone spreadsheet
- * @param {Object} ae - { email, hubspotUserId?, tabName? }
+ * @param {Object} ae - { email, hubspotUserId?, tabName?, view? }
  * @param {Sheet|null} sheetOverride - Optional pre-existing sheet to reuse/rename
  * @returns {Object} { tabName, dealCount }
  */
@@ -82,9 +82,10 @@ function upsertAdHocAETab(ss, ae, sheetOverride) {
   // Preserve manual columns/formatting if tab already existed
   const preserved = capturePreservedData(sheet);
 
-  // Fetch deals with same properties as Pipeline Review, but 30-day window
+  // Fetch deals with same properties as Pipeline Review, using the 30-day view
+  // (or any view from the Views tab passed as ae.view)
   const properties = getPipelineReviewProperties();
-  const options = { dateRangeDays: 30 };
+  const options = { view: ae.view || 'Ad Hoc Research' };
   if (ae.hubspotUserId && ae.hubspotUserId !== '') {
     options.hubspotUserId = ae.hubspotUserId;
   }
@@ -93,11 +94,11 @@ function upsertAdHocAETab(ss, ae, sheetOverride) {
   Logger.log(`  Found ${deals.length} deals for ${ae.email}`);
 
   // Build data and write
-  const { dataArray, urlMap, dealIdMap } = buildPipelineDataArray(deals);
+  const table = buildDealTable(deals, { role: 'ae' });
   sheet.clear();
-  writeDataToSheet(sheet, dataArray, urlMap);
-  applyPipelineFormatting(sheet, dataArray.length - 1);
-  restorePreservedData(sheet, preserved, dealIdMap);
+  writeDealTable(sheet, table);
+  formatDealTable(sheet, table.dataArray.length - 1);
+  restorePreservedData(sheet, preserved, table.dealIdMap);
 
   Logger.log(`[AdHoc AE] Complete ${tabName} (${deals.length} deals)`);
 
@@ -0,0 +1,257 @@
+/**
+ * Change Log Component
+ *
+ * Diffs each Pipeline Review / Director Hub refresh against the rows that
+ * were on the sheet before it, and records what changed:
+ * - New and removed deals
+ * - Stage, Next Activity and Why Not Purchase Today changes
+ * - Call quality score changes
+ *
+ * AE changes go to the "🕑 Changes" tab of each AE sheet, team changes (from
+ * the Director Hub diff) to "🕑 Team Changes" in the Control Sheet. Changed
+ * rows are marked in the "Changed" column.
+ *
+ * Note: Uses TAB_CHANGES from SheetProvisioner.js and TAB_TEAM_CHANGES from ConfigManager.js
+ */
+
+const CHANGE_LOG_CONFIG = {
+  HEADERS: ['Detected On', 'Deal ID', 'Deal Name', 'Change', 'Old Value', 'New Value'],
+  MAX_ROWS: 2000, // Oldest entries are dropped beyond this
+  MARKER_NEW: '🆕 New',
+  MARKER_CHANGED: '🔄',
+  MARKER_COLOR: '#FFF2CC', // Light yellow
+  TIMEZONE: 'America/New_York'
+};
+
+/**
+ * Gets the headers whose changes are recorded
+ * @returns {Array<string>} Header names
+ */
+function getChangeTrackedHeaders() {
+  return [
+    'Stage',
+    'Next Activity',
+    'Why Not Purchase Today',
+    ...getCallQualityColumns().map(column => column.header)
+  ];
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Captures the rows currently on a sheet, keyed by Deal ID
+ * Must run before the sheet is cleared.
+ * @param {Sheet} sheet - Pipeline Review or Director Hub sheet
+ * @returns {Object} Map of Deal ID → {header: value}; empty if the sheet has no Deal ID column
+ */
+function captureChangeBaseline(sheet) {
+  const baseline = {};
+
+  const headerRow = getDealTableHeaderRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= headerRow) {
+    return baseline;
+  }
+
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const dealIdCol = headers.indexOf('Deal ID');
+  if (dealIdCol < 0) {
+    return baseline;
+  }
+
+  const values = sheet.getRange(headerRow + 1, 1, lastRow - headerRow, headers.length).getValues();
+  values.forEach(row => {
+    const dealId = row[dealIdCol];
+    if (dealId === '' || dealId === null) return;
+
+    baseline[dealId.toString()] = toHeaderMap(headers, row);
+  });
+
+  return baseline;
+}
+
+/**
+ * Diffs the new data array against the baseline
+ * Nothing is reported when there is no baseline (first refresh), so a new
+ * sheet doesn't list every deal as new.
+ * @param {Object} baseline - From captureChangeBaseline()
+ * @param {Array<Array>} dataArray - New data array (header row first)
+ * @param {Object} dealIdMap - Map of row index to Deal ID
+ * @returns {Object} {changes: Array<Object>, markers: Object<rowIndex, string>}
+ */
+function diffDealRows(baseline, dataArray, dealIdMap) {
+  const changes = [];
+  const markers = {};
+
+  if (Object.keys(baseline).length === 0) {
+    return { changes, markers };
+  }
+
+  const headers = dataArray[0];
+  const trackedHeaders = getChangeTrackedHeaders().filter(header => headers.includes(header));
+  const seen = {};
+
+  for (let i = 1; i < dataArray.length; i++) {
+    const rowIndex = i + 1;
+    if (!dealIdMap[rowIndex]) continue; // Stage section row
+
+    const dealId = dealIdMap[rowIndex].toString();
+    const current = toHeaderMap(headers, dataArray[i]);
+    const previous = baseline[dealId];
+    seen[dealId] = true;
+
+    if (!previous) {
+      changes.push(buildChange(dealId, current, 'New deal', '', current['Stage']));
+      markers[rowIndex] = CHANGE_LOG_CONFIG.MARKER_NEW;
+      continue;
+    }
+
+    const changedHeaders = [];
+    trackedHeaders.forEach(header => {
+      const oldValue = normalizeChangeValue(previous[header]);
+      const newValue = normalizeChangeValue(current[header]);
+
+      if (oldValue !== newValue) {
+        changes.push(buildChange(dealId, current, header, oldValue, newValue));
+        changedHeaders.push(header);
+      }
+    });
+
+    if (changedHeaders.length > 0) {
+      markers[rowIndex] = `${CHANGE_LOG_CONFIG.MARKER_CHANGED} ${changedHeaders.join(', ')}`;
+    }
+  }
+
+  Object.keys(baseline).forEach(dealId => {
+    if (!seen[dealId]) {
+      changes.push(buildChange(dealId, baseline[dealId], 'Removed', baseline[dealId]['Stage'], ''));
+    }
+  });
+
+  return { changes, markers };
+}
+
+/**
+ * Builds a change entry
+ * @param {string} dealId - Deal ID
+ * @param {Object} row - Header map of the deal's row (for name and owner)
+ * @param {string} change - Changed field, 'New deal' or 'Removed'
+ * @param {*} oldValue - Previous value
+ * @param {*} newValue - New value
+ * @returns {Object} Change entry
+ */
+function buildChange(dealId, row, change, oldValue, newValue) {
+  return {
+    dealId: dealId,
+    dealName: row['Deal Name'] || '',
+    owner: row['Owner'] || '',
+    change: change,
+    oldValue: normalizeChangeValue(oldValue),
+    newValue: normalizeChangeValue(newValue)
+  };
+}
+
+/**
+ * Normalizes a cell value for comparison (sheet values vs freshly built values)
+ * @param {*} value - Cell value (Date, number or string)
+ * @returns {string} Comparable string
+ */
+function normalizeChangeValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, CHANGE_LOG_CONFIG.TIMEZONE, 'yyyy-MM-dd');
+  }
+  return value.toString().trim();
+}
+
+/**
+ * Maps a row to {header: value}
+ * @param {Array<string>} headers - Header row
+ * @param {Array} row - Data row
+ * @returns {Object} Header map
+ */
+function toHeaderMap(headers, row) {
+  const map = {};
+  headers.forEach((header, index) => {
+    map[header] = row[index];
+  });
+  return map;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Writes change markers into the data array's "Changed" column
+ * @param {Array<Array>} dataArray - Data array (header row first)
+ * @param {Object} markers - Map of row index → marker text
+ */
+function applyChangeMarkers(dataArray, markers) {
+  const changedCol = dataArray[0].indexOf('Changed');
+  if (changedCol < 0) return;
+
+  Object.keys(markers).forEach(rowIndex => {
+    dataArray[rowIndex - 1][changedCol] = markers[rowIndex];
+  });
+}
+
+/**
+ * Highlights non-empty "Changed" cells (appends to existing rules)
+ * @param {Sheet} sheet - Pipeline Review or Director Hub sheet
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} [headerRow] - Sheet row of the header (default 1)
+ */
+function applyChangedMarkerFormatting(sheet, dataRowCount, headerRow = 1) {
+  if (dataRowCount < 1) return;
+
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const changedCol = headers.indexOf('Changed') + 1;
+  if (changedCol === 0) return;
+
+  const rule = SpreadsheetApp.newConditionalFormatRule()
+    .whenCellNotEmpty()
+    .setBackground(CHANGE_LOG_CONFIG.MARKER_COLOR)
+    .setRanges([sheet.getRange(headerRow + 1, changedCol, dataRowCount, 1)])
+    .build();
+
+  const existingRules = sheet.getConditionalFormatRules();
+  existingRules.push(rule);
+  sheet.setConditionalFormatRules(existingRules);
+}
+
+/**
+ * Adds changes to the top of a change log tab (newest first, capped at MAX_ROWS)
+ * The tab is created on the first refresh, even without changes.
+ * @param {Spreadsheet} ss - AE sheet or Control Sheet
+ * @param {string} tabName - TAB_CHANGES or TAB_TEAM_CHANGES
+ * @param {Array<Object>} changes - From diffDealRows()
+ * @param {boolean} includeOwner - Add an Owner column (team log)
+ */
+function appendChangeLog(ss, tabName, changes, includeOwner) {
+  const headers = includeOwner
+    ? ['Detected On', 'Owner', ...CHANGE_LOG_CONFIG.HEADERS.slice(1)]
+    : CHANGE_LOG_CONFIG.HEADERS;
+
+  const detectedOn = new Date();
+  const rows = changes.map(change => {
+    const row = [detectedOn, change.dealId, change.dealName, change.change, change.oldValue, change.newValue];
+    if (includeOwner) {
+      row.splice(1, 0, change.owner);
+    }
+    return row;
+  });
+
+  prependLogRows(ss, tabName, includeOwner ? 'Team Changes' : 'Changes', headers, rows, CHANGE_LOG_CONFIG.MAX_ROWS, {
+    1: 'yyyy-mm-dd hh:mm',
+    [headers.indexOf('Deal ID') + 1]: '@'
+  });
+
+  if (changes.length > 0) {
+    Logger.log(`  Logged ${changes.length} changes to ${tabName}`);
+  }
+}
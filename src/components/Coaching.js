@@ -0,0 +1,196 @@
+/**
+ * Coaching Component
+ *
+ * Writes the call quality coaching summaries (CallCoaching.js):
+ * - "🎯 Coaching" in each AE sheet: one row per skill with average, min and
+ *   trend over the AE's recent deals, next to the team average; the three
+ *   weakest skills are highlighted
+ * - "🎯 Team Coaching" in the Control Sheet: skill averages, one row per AE
+ *   plus a Team row, on the call quality gradient
+ *
+ * Both tabs are regenerated on every refresh (sections written with
+ * writeSummarySection() from SummaryDashboard.js).
+ *
+ * Note: Uses TAB_COACHING from SheetProvisioner.js, TAB_TEAM_COACHING from ConfigManager.js
+ */
+
+const COACHING_CONFIG = {
+  HEADERS: ['Skill', 'Average', 'Min', 'Trend', 'Team Average', 'vs Team', 'Scored Deals'],
+  WEAK_SKILL_BACKGROUND: '#F4C7C3', // Light red
+  TREND_UP_COLOR: '#0B8043', // Green
+  TREND_DOWN_COLOR: '#C5221F' // Red
+};
+
+/**
+ * Regenerates an AE's Coaching tab
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Object} person - Person object {name, email}
+ * @param {Object} summaries - From buildTeamCoachingSummaries()
+ * @returns {Object} Update result
+ */
+function updateCoaching(individualSheet, person, summaries) {
+  try {
+    const summary = summaries.byEmail[getSnapshotKey(person)] || buildCoachingSummary([]);
+    const teamSkills = {};
+    summaries.team.skills.forEach(skill => {
+      teamSkills[skill.header] = skill;
+    });
+
+    let sheet = individualSheet.getSheetByName(TAB_COACHING);
+    if (!sheet) {
+      sheet = individualSheet.insertSheet(TAB_COACHING);
+      Logger.log(`  Created ${TAB_COACHING} sheet`);
+    }
+
+    const rows = summary.skills.map(skill => {
+      const teamAverage = teamSkills[skill.header] ? teamSkills[skill.header].average : '';
+      return [
+        skill.header,
+        skill.average,
+        skill.min,
+        skill.trend,
+        teamAverage,
+        skill.average === '' || teamAverage === '' ? '' : roundCoachingScore(skill.average - teamAverage),
+        skill.count
+      ];
+    });
+
+    const section = {
+      title: '🎯 Call Quality Coaching',
+      note: summary.weakest.length > 0
+        ? `Last ${summary.dealCount} scored deals. Focus on: ${summary.weakest.join(', ')}`
+        : 'No scored deals yet',
+      headers: COACHING_CONFIG.HEADERS,
+      rows: rows
+    };
+
+    sheet.clear();
+    const end = writeSummarySection(sheet, 1, section);
+    const firstRow = end - rows.length;
+
+    rows.forEach((row, index) => {
+      if (summary.weakest.includes(row[0])) {
+        sheet.getRange(firstRow + index, 1, 1, COACHING_CONFIG.HEADERS.length)
+          .setBackground(COACHING_CONFIG.WEAK_SKILL_BACKGROUND)
+          .setFontWeight('bold');
+      }
+    });
+    if (rows.length > 0) {
+      sheet.setConditionalFormatRules(buildCoachingTrendRules(sheet, firstRow, rows.length));
+    }
+
+    for (let col = 1; col <= COACHING_CONFIG.HEADERS.length; col++) {
+      sheet.autoResizeColumn(col);
+    }
+
+    return {
+      success: true,
+      dealCount: summary.dealCount,
+      weakest: summary.weakest
+    };
+
+  } catch (error) {
+    Logger.log(`[Coaching] Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Regenerates the Control Sheet Team Coaching matrix
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @param {Object} summaries - From buildTeamCoachingSummaries()
+ * @returns {Object} Update result
+ */
+function updateTeamCoaching(controlSheet, salespeople, summaries) {
+  try {
+    Logger.log('[Team Coaching] Updating...');
+
+    let sheet = findTab(controlSheet, TAB_TEAM_COACHING, 'Team Coaching');
+    if (!sheet) {
+      sheet = controlSheet.insertSheet(TAB_TEAM_COACHING);
+      Logger.log('  Created Team Coaching sheet');
+    }
+
+    const skillHeaders = summaries.team.skills.map(skill => skill.header);
+    const buildRow = (label, summary) => [
+      label,
+      ...summary.skills.map(skill => skill.average),
+      summary.weakest.join(', '),
+      summary.dealCount
+    ];
+
+    const rows = salespeople.map(person =>
+      buildRow(person.name, summaries.byEmail[getSnapshotKey(person)] || buildCoachingSummary([]))
+    );
+    rows.push(buildRow('Team', summaries.team));
+
+    const section = {
+      title: '🎯 Team Coaching',
+      note: `Average call quality score per skill over each AE's last ${parseInt(getSetting('Coaching Deal Count'), 10) || 20} scored deals (0-5)`,
+      headers: ['AE', ...skillHeaders, 'Weakest Skills', 'Scored Deals'],
+      rows: rows
+    };
+
+    sheet.clear();
+    const end = writeSummarySection(sheet, 1, section);
+
+    if (skillHeaders.length > 0) {
+      const range = sheet.getRange(end - rows.length, 2, rows.length, skillHeaders.length);
+      sheet.setConditionalFormatRules([
+        SpreadsheetApp.newConditionalFormatRule()
+          .setGradientMinpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MIN, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MIN)
+          .setGradientMidpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MID, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MID)
+          .setGradientMaxpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MAX, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MAX)
+          .setRanges([range])
+          .build()
+      ]);
+    }
+
+    for (let col = 1; col <= section.headers.length; col++) {
+      sheet.autoResizeColumn(col);
+    }
+
+    return {
+      success: true,
+      aeCount: salespeople.length,
+      teamWeakest: summaries.team.weakest
+    };
+
+  } catch (error) {
+    Logger.log(`[Team Coaching] Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Builds the Trend and vs Team font color rules (green up, red down)
+ * @param {Sheet} sheet - Coaching sheet
+ * @param {number} firstRow - First skill row
+ * @param {number} rowCount - Number of skill rows
+ * @returns {Array<ConditionalFormatRule>} Rules
+ */
+function buildCoachingTrendRules(sheet, firstRow, rowCount) {
+  const ranges = ['Trend', 'vs Team'].map(header =>
+    sheet.getRange(firstRow, COACHING_CONFIG.HEADERS.indexOf(header) + 1, rowCount, 1)
+  );
+
+  return [
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenNumberGreaterThan(0)
+      .setFontColor(COACHING_CONFIG.TREND_UP_COLOR)
+      .setRanges(ranges)
+      .build(),
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenNumberLessThan(0)
+      .setFontColor(COACHING_CONFIG.TREND_DOWN_COLOR)
+      .setRanges(ranges)
+      .build()
+  ];
+}
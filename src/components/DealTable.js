@@ -0,0 +1,740 @@
+/**
+ * Deal Table Component
+ *
+ * Shared renderer for deal tables: Pipeline Review, Director Hub, Ad Hoc
+ * research and any future view. Columns come from ColumnConfig.js; views
+ * can add leading columns in front of them (e.g. Owner in the Director Hub).
+ *
+ * build → write → format:
+ *   const table = buildDealTable(deals, { role: 'director', leadingColumns: [...] });
+ *   sheet.clear();
+ *   writeDealTable(sheet, table);
+ *   formatDealTable(sheet, table.dataArray.length - 1);
+ *
+ * The header is row 1 unless rows are reserved above it (e.g. the Pipeline
+ * Review actions banner): pass headerRow to write/format, and use
+ * getDealTableHeaderRow() when reading a table back. Row indexes in the
+ * built table (dealIdMap, urlMap) are relative to the table (header = 1).
+ *
+ * With groupByStage, stage section rows (no Deal ID) are inserted between
+ * deals; everything that reads rows back keys on Deal ID and skips them.
+ */
+
+const DEAL_TABLE_CONFIG = {
+  HEADER_BACKGROUND: '#4285F4',
+  HEADER_FONT_COLOR: '#FFFFFF',
+  SCORE_COLORS: { MIN: '#F4C7C3', MID: '#FCE8B2', MAX: '#B7E1CD' }, // Light red / yellow / green
+  SCORE_RANGE: { MIN: '0', MID: '2.5', MAX: '5' },
+  BLANK_NEXT_ACTIVITY_COLOR: '#F4C7C3', // Light red
+  HEALTH_RANGE: { MIN: '0', MID: '50', MAX: '100' },
+  HEALTH_LABEL_COLORS: { Healthy: '#B7E1CD', 'At Risk': '#FCE8B2', Stalled: '#F4C7C3' },
+  OVERDUE_NEXT_ACTIVITY_COLOR: '#F4C7C3', // Light red
+  OVERDUE_TASK_COLOR: '#F4C7C3', // Light red
+  GROUP_ROW_BACKGROUND: '#D9D9D9', // Light gray
+  MAX_HEADER_ROW: 3 // getDealTableHeaderRow() looks this far down
+};
+
+// Values of 'computed' columns filled by the builder, keyed by column property
+// getNote (optional) adds a cell note to the column; load (optional) gets all
+// the table's deals before any value is read (for bulk HubSpot reads)
+const COMPUTED_COLUMNS = {
+  deal_health: {
+    getValue: deal => getDealHealth(deal).score,
+    getNote: deal => getDealHealthNote(deal)
+  },
+  deal_health_label: {
+    getValue: deal => getDealHealth(deal).label
+  },
+  days_in_stage: {
+    getValue: deal => getDaysInStage(deal)
+  },
+  stage_probability: {
+    getValue: deal => getDealProbability(deal) === null ? '' : Math.round(getDealProbability(deal) * 100)
+  },
+  next_task_name: {
+    load: deals => loadDealTasks(deals),
+    getValue: deal => getNextDealTask(deal) ? getNextDealTask(deal).name : ''
+  },
+  next_task_due: {
+    load: deals => loadDealTasks(deals),
+    getValue: deal => getNextDealTask(deal) && getNextDealTask(deal).dueDate ? getNextDealTask(deal).dueDate : ''
+  },
+  contact_email: {
+    load: deals => loadDealContacts(deals),
+    getValue: deal => getDealPrimaryContact(deal).email
+  },
+  contact_phone: {
+    load: deals => loadDealContacts(deals),
+    getValue: deal => getDealPrimaryContact(deal).phone
+  },
+  last_call_date: {
+    load: deals => loadDealCalls(deals),
+    getValue: deal => getDealLastCall(deal).date
+  },
+  last_call_outcome: {
+    load: deals => loadDealCalls(deals),
+    getValue: deal => getDealLastCall(deal).outcome
+  },
+  last_call_duration: {
+    load: deals => loadDealCalls(deals),
+    getValue: deal => getDealLastCall(deal).durationMinutes
+  },
+  flagged_since: {
+    getValue: deal => getFlagHistorySummary(deal.id).flaggedSince
+  },
+  times_flagged: {
+    getValue: deal => getFlagHistorySummary(deal.id).timesFlagged
+  }
+};
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+/**
+ * Builds the data array for a deal table
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @param {Object} [options] - Table options
+ * @param {string} [options.role] - 'ae' (default) or 'director', picks visible columns
+ * @param {Array<Object>} [options.leadingColumns] - Extra first columns: {header, getValue: deal => value}
+ * @param {boolean} [options.groupByStage] - Insert a section row before each stage (deals must be sorted by stage)
+ * @returns {Object} {dataArray, urlMap, dealIdMap, noteMap, groupRows}
+ */
+function buildDealTable(deals, options = {}) {
+  const columns = getColumns(options.role || 'ae');
+  const leadingColumns = options.leadingColumns || [];
+  const hasLink = columns.some(column => column.type === 'link');
+
+  const dataArray = [];
+  const urlMap = {}; // Map of row index to URL for hyperlinks
+  const dealIdMap = {}; // Map of row index to Deal ID (for preservation)
+  const noteMap = {}; // Map of header to cell notes (one per data row)
+  const groupRows = []; // Row indexes of stage section rows
+
+  const noteColumns = columns.filter(column => {
+    const computed = column.valid && COMPUTED_COLUMNS[column.property];
+    return column.source === 'computed' && computed && computed.getNote;
+  });
+  noteColumns.forEach(column => {
+    noteMap[column.header] = [];
+  });
+
+  // Bulk-load what computed columns need (e.g. deal tasks); loaders skip deals already loaded
+  columns.forEach(column => {
+    const computed = column.source === 'computed' && column.valid && COMPUTED_COLUMNS[column.property];
+    if (computed && computed.load) {
+      computed.load(deals);
+    }
+  });
+
+  // Headers
+  const headers = [
+    ...leadingColumns.map(column => column.header),
+    ...columns.map(column => column.header)
+  ];
+  dataArray.push(headers);
+
+  // Data rows (and section rows when grouping)
+  let currentStage = null;
+  deals.forEach(deal => {
+    const stageId = extractDealProperty(deal, 'dealstage');
+
+    if (options.groupByStage && stageId !== currentStage) {
+      currentStage = stageId;
+      groupRows.push(dataArray.length + 1);
+      dataArray.push(buildStageGroupRow(headers, deals.filter(other => extractDealProperty(other, 'dealstage') === stageId), stageId));
+      noteColumns.forEach(column => noteMap[column.header].push(''));
+    }
+
+    const rowIndex = dataArray.length + 1; // 1-based, header is row 1
+
+    // Store Deal ID for preservation (also written to the hidden Deal ID column)
+    dealIdMap[rowIndex] = deal.id;
+
+    // Link columns (Deal Name) are hyperlinked to the deal when written
+    if (hasLink) {
+      urlMap[rowIndex] = buildDealUrl(deal.id);
+    }
+
+    dataArray.push([
+      ...leadingColumns.map(column => column.getValue(deal)),
+      ...columns.map(column => getDealColumnValue(column, deal))
+    ]);
+    noteColumns.forEach(column => noteMap[column.header].push(COMPUTED_COLUMNS[column.property].getNote(deal)));
+  });
+
+  return { dataArray, urlMap, dealIdMap, noteMap, groupRows };
+}
+
+/**
+ * Builds a stage section row: "Stage · N deals · avg call quality X" in the
+ * link column (Deal Name), other cells blank
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Object>} stageDeals - Deals in the stage
+ * @param {string} stageId - HubSpot stage ID
+ * @returns {Array} Row values
+ */
+function buildStageGroupRow(headers, stageDeals, stageId) {
+  const scores = [];
+  stageDeals.forEach(deal => {
+    getCallQualityColumns().forEach(column => {
+      const value = extractNumericProperty(deal, column.property);
+      if (value !== '') scores.push(value);
+    });
+  });
+
+  const parts = [
+    getStageLabel(stageId) || '(no stage)',
+    `${stageDeals.length} deal${stageDeals.length === 1 ? '' : 's'}`
+  ];
+  if (scores.length > 0) {
+    const average = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+    parts.push(`avg call quality ${average.toFixed(1)}`);
+  }
+
+  const row = headers.map(() => '');
+  const labelCol = getDealTableLinkColumn(headers) || 1;
+  row[labelCol - 1] = `▸ ${parts.join(' · ')}`;
+  return row;
+}
+
+/**
+ * Sorts deals for a table
+ * Blank values always go last. With groupByStage, deals are ordered by
+ * pipeline stage first so each stage forms one block.
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @param {Object} options - Sort options
+ * @param {string} options.sortBy - Column header, or 'Stage' for pipeline order
+ * @param {string} [options.direction] - 'ASCENDING' (default) or 'DESCENDING'
+ * @param {boolean} [options.groupByStage] - Order by stage first
+ * @param {string} [options.role] - 'ae' (default) or 'director', for column lookup
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortDealsForTable(deals, options) {
+  const column = getColumns(options.role || 'ae').find(col => col.header === options.sortBy);
+  const byStage = options.sortBy === 'Stage' || (column && column.type === 'stage');
+  const descending = (options.direction || '').toUpperCase() === 'DESCENDING';
+
+  if (!column && !byStage) {
+    Logger.log(`Warning: Sort column "${options.sortBy}" not found, keeping HubSpot order`);
+  }
+
+  const sortKey = deal => {
+    if (byStage) return getStageSortKey(deal);
+    return column ? toDealSortKey(getDealColumnValue(column, deal)) : null;
+  };
+
+  const keyed = deals.map((deal, index) => ({ deal, index, stage: getStageSortKey(deal), key: sortKey(deal) }));
+
+  keyed.sort((a, b) => {
+    if (options.groupByStage && a.stage !== b.stage) {
+      return a.stage - b.stage;
+    }
+    if (a.key !== b.key) {
+      if (a.key === null) return 1;
+      if (b.key === null) return -1;
+      const order = a.key < b.key ? -1 : 1;
+      return descending ? -order : order;
+    }
+    return a.index - b.index; // Stable
+  });
+
+  return keyed.map(entry => entry.deal);
+}
+
+/**
+ * Gets a deal's pipeline position (stage display order; unknown stages last)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number} Sort key
+ */
+function getStageSortKey(deal) {
+  const stage = getStage(extractDealProperty(deal, 'dealstage'));
+  return stage && stage.displayOrder !== undefined ? stage.displayOrder : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Normalizes a cell value for sorting
+ * @param {*} value - Cell value (Date, 'yyyy-MM-dd' string, number or text)
+ * @returns {number|string|null} Comparable key, null for blanks
+ */
+function toDealSortKey(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = value.toString().trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return Date.parse(text);
+  }
+  return text.toLowerCase();
+}
+
+/**
+ * Gets a deal's value for a column
+ * Director and manual columns start blank, computed columns are blank
+ * unless they have a COMPUTED_COLUMNS entry
+ * @param {Object} column - Column from ColumnConfig.js
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {*} Cell value
+ */
+function getDealColumnValue(column, deal) {
+  if (column.source === 'computed' && column.valid && COMPUTED_COLUMNS[column.property]) {
+    return COMPUTED_COLUMNS[column.property].getValue(deal);
+  }
+
+  if (column.source !== 'hubspot' || !column.valid) {
+    return '';
+  }
+
+  switch (column.type) {
+    case 'id':
+      return deal.id.toString();
+    case 'stage':
+      return getStageLabel(extractDealProperty(deal, column.property));
+    case 'date':
+      return extractDateProperty(deal, column.property);
+    case 'number':
+      return extractNumericProperty(deal, column.property);
+    default:
+      return extractDealProperty(deal, column.property);
+  }
+}
+
+/**
+ * Finds the header row of a written deal table (the row with the Deal ID header)
+ * @param {Sheet} sheet - Deal table sheet
+ * @returns {number} 1-based header row (1 if not found, e.g. legacy sheets)
+ */
+function getDealTableHeaderRow(sheet) {
+  const lastRow = Math.min(sheet.getLastRow(), DEAL_TABLE_CONFIG.MAX_HEADER_ROW);
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow < 1 || lastColumn < 1) {
+    return 1;
+  }
+
+  const rows = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+  const index = rows.findIndex(row => row.includes('Deal ID'));
+  return index >= 0 ? index + 1 : 1;
+}
+
+/**
+ * Finds the hyperlinked column (first 'link' column) in a header row
+ * @param {Array<string>} headers - Header row
+ * @returns {number} 1-based column index, 0 if none
+ */
+function getDealTableLinkColumn(headers) {
+  const linkColumn = loadColumns().find(column => column.type === 'link' && headers.includes(column.header));
+  return linkColumn ? headers.indexOf(linkColumn.header) + 1 : 0;
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Writes a deal table to a (cleared) sheet, with hyperlinks and cell notes
+ * @param {Sheet} sheet - The sheet to write to
+ * @param {Object} table - From buildDealTable()
+ * @param {number} [headerRow] - Sheet row of the header (default 1)
+ */
+function writeDealTable(sheet, table, headerRow = 1) {
+  const { dataArray, urlMap, noteMap } = table;
+
+  if (dataArray.length === 0) {
+    return;
+  }
+
+  // Keep Deal IDs as plain text so they aren't reformatted as numbers
+  const dealIdCol = dataArray[0].indexOf('Deal ID') + 1;
+  if (dealIdCol > 0) {
+    sheet.getRange(headerRow, dealIdCol, dataArray.length, 1).setNumberFormat('@');
+  }
+
+  // Write all data at once
+  sheet.getRange(headerRow, 1, dataArray.length, dataArray[0].length).setValues(dataArray);
+
+  // Apply hyperlinks to the link column (Deal Name) - batch operation
+  const linkCol = getDealTableLinkColumn(dataArray[0]);
+  const rowCount = dataArray.length - 1; // Exclude header
+
+  if (rowCount > 0 && linkCol > 0 && Object.keys(urlMap).length > 0) {
+    const richTextValues = [];
+
+    for (let i = 0; i < rowCount; i++) {
+      const rowIndex = i + 2; // Table row: +2 for header and 0-based
+      const text = dataArray[i + 1][linkCol - 1]; // +1 to skip header row
+      const url = urlMap[rowIndex];
+
+      if (url && text) {
+        const richText = SpreadsheetApp.newRichTextValue()
+          .setText(text.toString())
+          .setLinkUrl(url)
+          .build();
+        richTextValues.push([richText]);
+      } else {
+        richTextValues.push([SpreadsheetApp.newRichTextValue().setText(text ? text.toString() : '').build()]);
+      }
+    }
+
+    sheet.getRange(headerRow + 1, linkCol, rowCount, 1).setRichTextValues(richTextValues);
+  }
+
+  writeDealTableNotes(sheet, dataArray[0], noteMap || {}, rowCount, headerRow);
+}
+
+/**
+ * Writes cell notes of computed columns (e.g. the Deal Health breakdown)
+ * Notes survive sheet.clear(), so the whole column is cleared first.
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row
+ * @param {Object} noteMap - Map of header to notes, from buildDealTable()
+ * @param {number} rowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ */
+function writeDealTableNotes(sheet, headers, noteMap, rowCount, headerRow) {
+  Object.keys(noteMap).forEach(header => {
+    const col = headers.indexOf(header) + 1;
+    if (col === 0) return;
+
+    sheet.getRange(headerRow + 1, col, sheet.getMaxRows() - headerRow, 1).clearNote();
+
+    if (rowCount > 0) {
+      sheet.getRange(headerRow + 1, col, rowCount, 1).setNotes(noteMap[header].map(note => [note]));
+    }
+  });
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Formats a written deal table: header, freeze, widths, hidden Deal ID,
+ * manual column validation, a filter for sorting and conditional formatting
+ * (call quality and Deal Health gradients, blank/overdue Next Activity,
+ * overdue next task, Changed)
+ * @param {Sheet} sheet - The sheet to format
+ * @param {number} dataRowCount - Number of data rows (excluding header)
+ * @param {number} [headerRow] - Sheet row of the header (default 1)
+ * @param {Array<number>} [groupRows] - Stage section rows, from buildDealTable() (table rows)
+ */
+function formatDealTable(sheet, dataRowCount, headerRow = 1, groupRows = []) {
+  if (dataRowCount < 1) {
+    return;
+  }
+
+  const lastColumn = sheet.getLastColumn();
+  const headers = sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0];
+
+  // Format header row
+  sheet.getRange(headerRow, 1, 1, lastColumn)
+    .setFontWeight('bold')
+    .setBackground(DEAL_TABLE_CONFIG.HEADER_BACKGROUND)
+    .setFontColor(DEAL_TABLE_CONFIG.HEADER_FONT_COLOR)
+    .setHorizontalAlignment('center');
+
+  // Freeze header row and columns up to the link column (Deal Name)
+  sheet.setFrozenRows(headerRow);
+  sheet.setFrozenColumns(Math.max(1, getDealTableLinkColumn(headers)));
+
+  // Auto-resize columns, then apply configured widths and wrapping
+  for (let col = 1; col <= lastColumn; col++) {
+    sheet.autoResizeColumn(col);
+  }
+  applyColumnWidths(sheet, headers, dataRowCount, headerRow);
+  hideDealIdColumn(sheet, headers);
+  applyManualColumnValidation(sheet, headers, dataRowCount, headerRow, groupRows);
+  applyDealTableFilter(sheet, dataRowCount, lastColumn, headerRow);
+
+  // Conditional formatting (replaces any existing rules)
+  const rules = [
+    ...buildCallQualityRules(sheet, headers, dataRowCount, headerRow),
+    ...buildDealHealthRules(sheet, headers, dataRowCount, headerRow),
+    ...buildNextActivityRules(sheet, headers, dataRowCount, headerRow, groupRows),
+    ...buildNextTaskRules(sheet, headers, dataRowCount, headerRow)
+  ];
+  sheet.setConditionalFormatRules(rules);
+
+  applyChangedMarkerFormatting(sheet, dataRowCount, headerRow);
+  formatStageGroupRows(sheet, groupRows, lastColumn, headerRow);
+}
+
+/**
+ * Styles stage section rows (bold, gray)
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<number>} groupRows - Section rows (table rows, header = 1)
+ * @param {number} lastColumn - Last column of the table
+ * @param {number} headerRow - Sheet row of the header
+ */
+function formatStageGroupRows(sheet, groupRows, lastColumn, headerRow) {
+  groupRows.forEach(tableRow => {
+    sheet.getRange(headerRow + tableRow - 1, 1, 1, lastColumn)
+      .setFontWeight('bold')
+      .setBackground(DEAL_TABLE_CONFIG.GROUP_ROW_BACKGROUND);
+  });
+}
+
+/**
+ * Gets the ranges of a column that hold deals (section rows left out)
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {number} col - Column
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @param {Array<number>} groupRows - Section rows (table rows, header = 1)
+ * @returns {Array<Range>} Ranges
+ */
+function getDealRowRanges(sheet, col, dataRowCount, headerRow, groupRows) {
+  const ranges = [];
+  let start = 2; // First data row of the table
+
+  [...groupRows, dataRowCount + 2].forEach(stop => {
+    if (stop > start) {
+      ranges.push(sheet.getRange(headerRow + start - 1, col, stop - start, 1));
+    }
+    start = stop + 1;
+  });
+
+  return ranges;
+}
+
+/**
+ * Applies configured widths and wrapping (columns without a width stay auto-sized)
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ */
+function applyColumnWidths(sheet, headers, dataRowCount, headerRow) {
+  loadColumns().forEach(column => {
+    const col = headers.indexOf(column.header) + 1;
+    if (col === 0) return;
+
+    if (column.width) {
+      sheet.setColumnWidth(col, column.width);
+    }
+    if (column.wrap && dataRowCount > 0) {
+      sheet.getRange(headerRow + 1, col, dataRowCount, 1).setWrap(true);
+    }
+  });
+}
+
+/**
+ * Applies the Validation of manual columns to their deal rows
+ * Validation survives sheet.clear(), so the table body is cleared first in
+ * case columns moved.
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @param {Array<number>} groupRows - Stage section rows (table rows)
+ */
+function applyManualColumnValidation(sheet, headers, dataRowCount, headerRow, groupRows) {
+  sheet.getRange(headerRow + 1, 1, sheet.getMaxRows() - headerRow, headers.length).clearDataValidations();
+
+  getManualColumns().forEach(column => {
+    const col = headers.indexOf(column.header) + 1;
+    if (col === 0 || !column.validation) return;
+
+    getDealRowRanges(sheet, col, dataRowCount, headerRow, groupRows).forEach(range => {
+      range.setDataValidation(buildColumnDataValidation(column.validation, range));
+      if (column.validation.kind === 'date') {
+        range.setNumberFormat('yyyy-mm-dd');
+      }
+    });
+  });
+}
+
+/**
+ * Builds a data validation rule from a column's Validation
+ * @param {Object} rule - From parseColumnValidation() {kind, values, min, max}
+ * @param {Range} range - Range the rule is for (custom formulas refer to its first cell)
+ * @returns {DataValidation} Rule (invalid input is rejected)
+ */
+function buildColumnDataValidation(rule, range) {
+  const builder = SpreadsheetApp.newDataValidation().setAllowInvalid(false);
+
+  if (rule.kind === 'list') {
+    builder.requireValueInList(rule.values, true);
+  } else if (rule.kind === 'date') {
+    builder.requireDate();
+  } else if (rule.kind === 'checkbox') {
+    builder.requireCheckbox();
+  } else if (rule.kind === 'number' && rule.min !== undefined) {
+    builder.requireNumberBetween(rule.min, rule.max);
+  } else {
+    builder.requireFormulaSatisfied(`=ISNUMBER(${range.getCell(1, 1).getA1Notation()})`);
+  }
+
+  return builder.build();
+}
+
+/**
+ * Hides the Deal ID column (row key for preservation, not for display)
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ */
+function hideDealIdColumn(sheet, headers) {
+  const dealIdCol = headers.indexOf('Deal ID') + 1;
+  if (dealIdCol > 0) {
+    sheet.hideColumns(dealIdCol);
+  }
+}
+
+/**
+ * Adds a filter over the table so any column (e.g. Deal Health) can be sorted
+ * Rows are restored by Deal ID, so sorted rows keep their notes and flags.
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} lastColumn - Last column of the table
+ * @param {number} headerRow - Sheet row of the header
+ */
+function applyDealTableFilter(sheet, dataRowCount, lastColumn, headerRow) {
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) {
+    existingFilter.remove();
+  }
+  sheet.getRange(headerRow, 1, dataRowCount + 1, lastColumn).createFilter();
+}
+
+/**
+ * Builds red-yellow-green gradient rules for color-coded columns (0-5 scale)
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @returns {Array<ConditionalFormatRule>} Rules
+ */
+function buildCallQualityRules(sheet, headers, dataRowCount, headerRow) {
+  const rules = [];
+
+  loadColumns().forEach(column => {
+    if (!column.colorCode) return;
+
+    const col = headers.indexOf(column.header) + 1;
+    if (col === 0) return;
+
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .setGradientMinpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MIN, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MIN)
+      .setGradientMidpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MID, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MID)
+      .setGradientMaxpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MAX, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.SCORE_RANGE.MAX)
+      .setRanges([sheet.getRange(headerRow + 1, col, dataRowCount, 1)])
+      .build());
+  });
+
+  return rules;
+}
+
+/**
+ * Builds Deal Health rules: 0-100 gradient on the score, label colors
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @returns {Array<ConditionalFormatRule>} Rules (empty if the columns aren't shown)
+ */
+function buildDealHealthRules(sheet, headers, dataRowCount, headerRow) {
+  const rules = [];
+
+  loadColumns().forEach(column => {
+    if (column.source !== 'computed') return;
+
+    const col = headers.indexOf(column.header) + 1;
+    if (col === 0) return;
+
+    const range = sheet.getRange(headerRow + 1, col, dataRowCount, 1);
+
+    if (column.property === 'deal_health') {
+      rules.push(SpreadsheetApp.newConditionalFormatRule()
+        .setGradientMinpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MIN, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.HEALTH_RANGE.MIN)
+        .setGradientMidpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MID, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.HEALTH_RANGE.MID)
+        .setGradientMaxpointWithValue(DEAL_TABLE_CONFIG.SCORE_COLORS.MAX, SpreadsheetApp.InterpolationType.NUMBER, DEAL_TABLE_CONFIG.HEALTH_RANGE.MAX)
+        .setRanges([range])
+        .build());
+    } else if (column.property === 'deal_health_label') {
+      Object.keys(DEAL_TABLE_CONFIG.HEALTH_LABEL_COLORS).forEach(label => {
+        rules.push(SpreadsheetApp.newConditionalFormatRule()
+          .whenTextEqualTo(label)
+          .setBackground(DEAL_TABLE_CONFIG.HEALTH_LABEL_COLORS[label])
+          .setRanges([range])
+          .build());
+      });
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Builds the red-if-blank and red-if-overdue rules for the Next Activity column
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @param {Array<number>} groupRows - Section rows, left out of the blank rule
+ * @returns {Array<ConditionalFormatRule>} Rules (empty if the column isn't shown)
+ */
+function buildNextActivityRules(sheet, headers, dataRowCount, headerRow, groupRows) {
+  const nextActivityCol = headers.indexOf('Next Activity') + 1;
+  if (nextActivityCol === 0) {
+    return [];
+  }
+
+  const ranges = getDealRowRanges(sheet, nextActivityCol, dataRowCount, headerRow, groupRows);
+  if (ranges.length === 0) {
+    return [];
+  }
+
+  return [
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenCellEmpty()
+      .setBackground(DEAL_TABLE_CONFIG.BLANK_NEXT_ACTIVITY_COLOR)
+      .setRanges(ranges)
+      .build(),
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenDateBefore(SpreadsheetApp.RelativeDate.TODAY)
+      .setBackground(DEAL_TABLE_CONFIG.OVERDUE_NEXT_ACTIVITY_COLOR)
+      .setRanges(ranges)
+      .build()
+  ];
+}
+
+/**
+ * Builds the red-if-overdue rule for the next task columns (name and due date),
+ * keyed on the due date column
+ * @param {Sheet} sheet - Deal table sheet
+ * @param {Array<string>} headers - Header row values
+ * @param {number} dataRowCount - Number of data rows
+ * @param {number} headerRow - Sheet row of the header
+ * @returns {Array<ConditionalFormatRule>} Rules (empty if the due date column isn't shown)
+ */
+function buildNextTaskRules(sheet, headers, dataRowCount, headerRow) {
+  const columns = loadColumns().filter(column => column.source === 'computed' && column.valid);
+  const colOf = property => {
+    const column = columns.find(candidate => candidate.property === property);
+    return column ? headers.indexOf(column.header) + 1 : 0;
+  };
+
+  const dueCol = colOf('next_task_due');
+  if (dueCol === 0) {
+    return [];
+  }
+
+  // Section rows have no due date, so whole columns are safe here
+  const ranges = [dueCol, colOf('next_task_name')]
+    .filter(col => col > 0)
+    .map(col => sheet.getRange(headerRow + 1, col, dataRowCount, 1));
+  const dueCell = '$' + sheet.getRange(headerRow + 1, dueCol).getA1Notation();
+
+  return [
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(`=AND(ISNUMBER(${dueCell}), ${dueCell} < TODAY())`)
+      .setBackground(DEAL_TABLE_CONFIG.OVERDUE_TASK_COLOR)
+      .setRanges(ranges)
+      .build()
+  ];
+}
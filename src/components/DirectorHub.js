@@ -3,10 +3,16 @@
  * 
  * Team-wide view for directors to review all deals across their AEs
  * Includes manual flagging system and automatic conditional formatting
+ * 
+ * Directors limited to some teams (Directors tab, see DirectorScopes.js) also
+ * get their own hub tab ("👔 Hub: <Name>") with only their AEs' deals. Flags
+ * are shared: each refresh captures them from every hub tab and restores them
+ * on every hub that shows the deal.
  */
 
-// Tab name constant
+// Tab name constants
 const TAB_DIRECTOR_HUB = '👔 Director Hub';
+const DIRECTOR_HUB_TAB_PREFIX = '👔 Hub: ';
 
 // Director priority flags
 const PRIORITY_FLAGS = {
@@ -17,12 +23,14 @@ const PRIORITY_FLAGS = {
 };
 
 /**
- * Updates the Director Hub with all deals from the team
+ * Updates the Director Hub with all deals from the team, and the hub tab of
+ * each scoped director with their AEs' deals
  * @param {Spreadsheet} controlSheet - The control spreadsheet
  * @param {Array<Object>} salespeople - Array of salesperson configs
+ * @param {Object} [snapshot] - Team deal snapshot (see buildDealSnapshot); fetched live if omitted
  * @returns {Object} Update result
  */
-function updateDirectorHub(controlSheet, salespeople) {
+function updateDirectorHub(controlSheet, salespeople, snapshot = null) {
   try {
     Logger.log('[Director Hub] Updating...');
     const startTime = new Date();
@@ -34,54 +42,40 @@ function updateDirectorHub(controlSheet, salespeople) {
       Logger.log('  Created Director Hub sheet');
     }
     
-    // Step 1: Capture existing director flags/notes
+    // Step 1: Capture existing director flags/notes (from every hub tab)
     Logger.log('  Step 1: Capturing director directives...');
-    const directives = captureDirectorDirectives(sheet);
+    const directives = captureAllDirectorDirectives(controlSheet);
+    const baseline = captureChangeBaseline(sheet);
     
-    // Step 2: Fetch and aggregate deals from all AEs
-    Logger.log('  Step 2: Fetching deals for all AEs...');
+    // Step 2: Aggregate deals from all AEs
+    Logger.log('  Step 2: Collecting deals for all AEs...');
+    const dealsByOwner = {};
     const allDeals = [];
-    const properties = getPipelineReviewProperties();
     
     salespeople.forEach(person => {
-      Logger.log(`    Fetching for ${person.name}...`);
-      const options = {};
-      if (person.hubspotUserId && person.hubspotUserId !== '') {
-        options.hubspotUserId = person.hubspotUserId;
-      }
-      
-      const deals = fetchDealsByOwner(person.email, properties, options);
+      const deals = getPipelineDealsForPerson(snapshot, person);
       
       // Add owner name to each deal
       deals.forEach(deal => {
         deal.ownerName = person.name;
       });
       
+      dealsByOwner[getSnapshotKey(person)] = deals;
       allDeals.push(...deals);
     });
     
     Logger.log(`  Found ${allDeals.length} total deals across team`);
     
-    // Step 3: Build data array with director columns
-    Logger.log('  Step 3: Building data array...');
-    const { dataArray, urlMap, dealIdMap } = buildDirectorHubDataArray(allDeals);
-    
-    // Step 4: Clear and write data
-    Logger.log('  Step 4: Writing data to sheet...');
-    sheet.clear();
-    writeDirectorHubData(sheet, dataArray, urlMap);
+    // Steps 3-6: Build, write, format and restore directives
+    Logger.log('  Steps 3-6: Writing Director Hub...');
+    const changes = writeDirectorHubTab(sheet, allDeals, directives, baseline);
     
-    // Step 5: Apply formatting
-    Logger.log('  Step 5: Applying formatting...');
-    applyDirectorHubFormatting(sheet, dataArray.length - 1);
+    // Team change log (diff against the previous Hub refresh)
+    appendChangeLog(controlSheet, TAB_TEAM_CHANGES, changes, true);
     
-    // Step 6: Restore director directives
-    Logger.log('  Step 6: Restoring director directives...');
-    restoreDirectorDirectives(sheet, directives, dealIdMap);
-    
-    // Step 7: Apply conditional formatting (red for blank Next Activity)
-    Logger.log('  Step 7: Applying conditional formatting...');
-    applyNextActivityConditionalFormatting(sheet, dataArray.length - 1);
+    // Step 7: Scoped director hubs
+    Logger.log('  Step 7: Updating scoped director hubs...');
+    const scopedHubCount = updateScopedDirectorHubs(controlSheet, salespeople, dealsByOwner, directives);
     
     const duration = (new Date() - startTime) / 1000;
     Logger.log(`[Director Hub] Complete (${duration}s)`);
@@ -89,6 +83,8 @@ function updateDirectorHub(controlSheet, salespeople) {
     return {
       success: true,
       dealCount: allDeals.length,
+      changeCount: changes.length,
+      scopedHubCount: scopedHubCount,
       duration: duration
     };
     
@@ -102,256 +98,142 @@ function updateDirectorHub(controlSheet, salespeople) {
 }
 
 /**
- * Builds the data array for Director Hub
- * @param {Array<Object>} deals - All deals from all AEs
- * @returns {Object} {dataArray, urlMap, dealIdMap}
+ * Rewrites a hub tab: deal table, change markers, formatting, directives
+ * @param {Sheet} sheet - Director Hub or scoped hub sheet
+ * @param {Array<Object>} deals - Deals with ownerName set
+ * @param {Object} directives - From captureAllDirectorDirectives()
+ * @param {Object} baseline - From captureChangeBaseline() (before the sheet is cleared)
+ * @returns {Array<Object>} Changes since the previous refresh of this tab
  */
-function buildDirectorHubDataArray(deals) {
-  const dataArray = [];
-  const urlMap = {};
-  const dealIdMap = {};
+function writeDirectorHubTab(sheet, deals, directives, baseline) {
+  const table = buildDealTable(deals, {
+    role: 'director',
+    leadingColumns: [{ header: 'Owner', getValue: deal => deal.ownerName || '' }]
+  });
+  const { dataArray, dealIdMap } = table;
   
-  // Headers - add Owner at the beginning
-  const headers = [
-    'Owner',
-    ...getPipelineReviewHeaders()
-  ];
-  dataArray.push(headers);
+  const { changes, markers } = diffDealRows(baseline, dataArray, dealIdMap);
+  applyChangeMarkers(dataArray, markers);
   
-  // Data rows
-  deals.forEach((deal, index) => {
-    const row = [];
-    const rowIndex = index + 2; // +2 for header and 0-based
-    
-    // Store Deal ID for preservation
-    dealIdMap[rowIndex] = deal.id;
-    
-    // Owner name (first column)
-    row.push(deal.ownerName || '');
-    
-    // First 5 core fields (B-F)
-    for (let i = 0; i < 5 && i < CORE_FIELDS.length; i++) {
-      const field = CORE_FIELDS[i];
-      if (field.property === 'dealname') {
-        const dealName = extractDealProperty(deal, field.property);
-        row.push(dealName);
-        urlMap[rowIndex] = buildDealUrl(deal.id);
-      } else if (field.property === 'dealstage' && field.useMapping) {
-        const stageId = extractDealProperty(deal, field.property);
-        row.push(STAGE_MAP[stageId] || stageId);
-      } else if (field.type === 'date') {
-        row.push(extractDateProperty(deal, field.property));
-      } else if (field.enabled === false) {
-        row.push('');
-      } else {
-        row.push(extractDealProperty(deal, field.property));
-      }
+  sheet.clear();
+  writeDealTable(sheet, table);
+  
+  // Incl. red for blank Next Activity
+  formatDealTable(sheet, dataArray.length - 1);
+  
+  restoreDirectorDirectives(sheet, directives, dealIdMap);
+  return changes;
+}
+
+/**
+ * Rewrites the hub tab of each scoped director and deletes the hub tabs of
+ * directors no longer scoped (their flags were captured and live on in the
+ * Director Hub)
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @param {Array<Object>} salespeople - Array of salesperson configs
+ * @param {Object} dealsByOwner - Map of snapshot key → deals
+ * @param {Object} directives - From captureAllDirectorDirectives()
+ * @returns {number} Number of scoped hubs written
+ */
+function updateScopedDirectorHubs(controlSheet, salespeople, dealsByOwner, directives) {
+  const tabNames = [];
+  
+  loadDirectorScopes().filter(isScopedDirector).forEach(director => {
+    const tabName = getDirectorHubTabName(director);
+    if (tabNames.includes(tabName)) {
+      Logger.log(`  Warning: ${director.email} shares the hub tab "${tabName}" with another director, skipping`);
+      return;
     }
+    tabNames.push(tabName);
     
-    // Director fields at positions 7-8 (G-H) - initially empty
-    DIRECTOR_FIELDS.forEach(() => {
-      row.push('');
-    });
-    
-    // Remaining core fields (from position 6 onwards)
-    for (let i = 5; i < CORE_FIELDS.length; i++) {
-      const field = CORE_FIELDS[i];
-      if (field.property === 'dealname') {
-        const dealName = extractDealProperty(deal, field.property);
-        row.push(dealName);
-        urlMap[rowIndex] = buildDealUrl(deal.id);
-      } else if (field.property === 'dealstage' && field.useMapping) {
-        const stageId = extractDealProperty(deal, field.property);
-        row.push(STAGE_MAP[stageId] || stageId);
-      } else if (field.type === 'date') {
-        row.push(extractDateProperty(deal, field.property));
-      } else if (field.enabled === false) {
-        row.push('');
-      } else {
-        row.push(extractDealProperty(deal, field.property));
-      }
+    let sheet = controlSheet.getSheetByName(tabName);
+    if (!sheet) {
+      sheet = controlSheet.insertSheet(tabName);
+      Logger.log(`  Created ${tabName} sheet`);
     }
     
-    // Call quality fields
-    CALL_QUALITY_FIELDS.forEach(field => {
-      row.push(extractNumericProperty(deal, field.property));
-    });
-    
-    // Manual fields (Note 1, Note 2)
-    MANUAL_FIELDS.forEach(() => {
-      row.push('');
+    const deals = [];
+    getScopedSalespeople(director, salespeople).forEach(person => {
+      deals.push(...(dealsByOwner[getSnapshotKey(person)] || []));
     });
     
-    dataArray.push(row);
+    // Team changes are logged once, from the Director Hub diff
+    writeDirectorHubTab(sheet, deals, directives, captureChangeBaseline(sheet));
+    Logger.log(`  ${tabName}: ${deals.length} deals`);
   });
   
-  return { dataArray, urlMap, dealIdMap };
+  controlSheet.getSheets()
+    .filter(sheet => sheet.getName().indexOf(DIRECTOR_HUB_TAB_PREFIX) === 0 && !tabNames.includes(sheet.getName()))
+    .forEach(sheet => {
+      Logger.log(`  Deleted ${sheet.getName()} (director no longer in ${TAB_DIRECTORS} with teams)`);
+      controlSheet.deleteSheet(sheet);
+    });
+  
+  return tabNames.length;
 }
 
 /**
- * Writes data to Director Hub sheet
- * @param {Sheet} sheet - The sheet
- * @param {Array<Array>} dataArray - 2D data array
- * @param {Object} urlMap - Map of row to URL
+ * Gets the hub tab name of a scoped director
+ * @param {Object} director - From loadDirectorScopes()
+ * @returns {string} Tab name
  */
-function writeDirectorHubData(sheet, dataArray, urlMap) {
-  if (dataArray.length === 0) return;
-  
-  // Write all data
-  const range = sheet.getRange(1, 1, dataArray.length, dataArray[0].length);
-  range.setValues(dataArray);
-  
-  // Apply hyperlinks to Deal Name column (Column B - after Owner)
-  const dealNameCol = 2;
-  const rowCount = dataArray.length - 1;
-  
-  if (rowCount > 0 && Object.keys(urlMap).length > 0) {
-    const richTextValues = [];
-    
-    for (let i = 0; i < rowCount; i++) {
-      const rowIndex = i + 2;
-      const dealName = dataArray[i + 1][1]; // Column B (index 1)
-      const url = urlMap[rowIndex];
-      
-      if (url && dealName) {
-        const richText = SpreadsheetApp.newRichTextValue()
-          .setText(dealName)
-          .setLinkUrl(url)
-          .build();
-        richTextValues.push([richText]);
-      } else {
-        richTextValues.push([dealName]);
-      }
-    }
-    
-    sheet.getRange(2, dealNameCol, rowCount, 1).setRichTextValues(richTextValues);
-  }
+function getDirectorHubTabName(director) {
+  return `${DIRECTOR_HUB_TAB_PREFIX}${director.name}`;
 }
 
 /**
- * Applies formatting to Director Hub
- * @param {Sheet} sheet - The sheet
- * @param {number} dataRowCount - Number of data rows
+ * Whether a tab is the Director Hub or a scoped director hub
+ * @param {string} tabName - Sheet name
+ * @returns {boolean} True for hub tabs
  */
-function applyDirectorHubFormatting(sheet, dataRowCount) {
-  if (dataRowCount < 1) return;
-  
-  // Format header row
-  const headerRange = sheet.getRange(1, 1, 1, sheet.getLastColumn());
-  headerRange
-    .setFontWeight('bold')
-    .setBackground('#4285F4')
-    .setFontColor('#FFFFFF')
-    .setHorizontalAlignment('center');
-  
-  // Freeze header row and first two columns (Owner + Deal Name)
-  sheet.setFrozenRows(1);
-  sheet.setFrozenColumns(2);
-  
-  // Auto-resize columns
-  for (let col = 1; col <= sheet.getLastColumn(); col++) {
-    sheet.autoResizeColumn(col);
-  }
-  
-  // Set width and text wrapping for specific columns
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const whyNotPurchaseCol = headers.indexOf('Why Not Purchase Today') + 1;
-  const callsHistoryCol = headers.indexOf('calls history') + 1;
-  
-  if (whyNotPurchaseCol > 0) {
-    sheet.setColumnWidth(whyNotPurchaseCol, 250); // 250 pixels width
-    if (dataRowCount > 0) {
-      sheet.getRange(2, whyNotPurchaseCol, dataRowCount, 1).setWrap(true);
-    }
-  }
-  
-  if (callsHistoryCol > 0) {
-    sheet.setColumnWidth(callsHistoryCol, 250); // 250 pixels width
-    if (dataRowCount > 0) {
-      sheet.getRange(2, callsHistoryCol, dataRowCount, 1).setWrap(true);
-    }
-  }
-  
-  // Apply call quality conditional formatting
-  applyCallQualityFormattingDirectorHub(sheet, dataRowCount);
+function isDirectorHubTab(tabName) {
+  return tabName === TAB_DIRECTOR_HUB || tabName.indexOf(DIRECTOR_HUB_TAB_PREFIX) === 0;
 }
 
 /**
- * Applies conditional formatting to call quality columns in Director Hub
- * @param {Sheet} sheet - The sheet
- * @param {number} dataRowCount - Number of data rows
+ * Gets every hub tab, Director Hub first
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @returns {Array<Sheet>} Hub sheets
  */
-function applyCallQualityFormattingDirectorHub(sheet, dataRowCount) {
-  if (dataRowCount < 1) return;
-  
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const rules = [];
-  
-  CALL_QUALITY_FIELDS.forEach(field => {
-    if (field.colorCode) {
-      const colIndex = headers.indexOf(field.header) + 1;
-      
-      if (colIndex > 0) {
-        const range = sheet.getRange(2, colIndex, dataRowCount, 1);
-        
-        const rule = SpreadsheetApp.newConditionalFormatRule()
-          .setGradientMinpointWithValue('#F4C7C3', SpreadsheetApp.InterpolationType.NUMBER, '0')
-          .setGradientMidpointWithValue('#FCE8B2', SpreadsheetApp.InterpolationType.NUMBER, '2.5')
-          .setGradientMaxpointWithValue('#B7E1CD', SpreadsheetApp.InterpolationType.NUMBER, '5')
-          .setRanges([range])
-          .build();
-        
-        rules.push(rule);
-      }
-    }
-  });
-  
-  if (rules.length > 0) {
-    sheet.setConditionalFormatRules(rules);
-  }
+function getDirectorHubSheets(controlSheet) {
+  return controlSheet.getSheets()
+    .filter(sheet => isDirectorHubTab(sheet.getName()))
+    .sort((a, b) => (b.getName() === TAB_DIRECTOR_HUB) - (a.getName() === TAB_DIRECTOR_HUB));
 }
 
 /**
- * Applies conditional formatting to Next Activity column (red if blank)
- * @param {Sheet} sheet - The sheet
- * @param {number} dataRowCount - Number of data rows
+ * Captures the directives of every hub tab
+ * The flag menu keeps all hubs in step; if a deal still differs (edited by
+ * hand), the scoped hub wins over the Director Hub.
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @returns {Object} {byId, byName} - Merged directives
  */
-function applyNextActivityConditionalFormatting(sheet, dataRowCount) {
-  if (dataRowCount < 1) return;
+function captureAllDirectorDirectives(controlSheet) {
+  const merged = { byId: {}, byName: {} };
   
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const nextActivityCol = headers.indexOf('Next Activity') + 1;
+  getDirectorHubSheets(controlSheet).forEach(sheet => {
+    const directives = captureDirectorDirectives(sheet);
+    Object.assign(merged.byId, directives.byId);
+    Object.assign(merged.byName, directives.byName);
+  });
   
-  if (nextActivityCol > 0) {
-    const range = sheet.getRange(2, nextActivityCol, dataRowCount, 1);
-    
-    // Red background if blank
-    const rule = SpreadsheetApp.newConditionalFormatRule()
-      .whenCellEmpty()
-      .setBackground('#F4C7C3')
-      .setRanges([range])
-      .build();
-    
-    const existingRules = sheet.getConditionalFormatRules();
-    existingRules.push(rule);
-    sheet.setConditionalFormatRules(existingRules);
-    
-    Logger.log('  Applied blank Next Activity conditional formatting');
-  }
+  return merged;
 }
 
 /**
  * Captures director directives before refresh
+ * Hubs written before the Deal ID column existed are captured by Deal Name once (migration)
  * @param {Sheet} sheet - Director Hub sheet
- * @returns {Object} Directives indexed by Deal ID
+ * @returns {Object} {byId, byName} - Directives indexed by Deal ID (byName only for legacy hubs)
  */
 function captureDirectorDirectives(sheet) {
-  const directives = {};
+  const directives = { byId: {}, byName: {} };
   
   const lastRow = sheet.getLastRow();
   if (lastRow < 2) return directives;
   
   const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const dealIdCol = headers.indexOf('Deal ID') + 1;
   const dealNameCol = headers.indexOf('Deal Name') + 1;
   const priorityCol = headers.indexOf('Director Priority') + 1;
   const noteCol = headers.indexOf('Director Note') + 1;
@@ -362,32 +244,41 @@ function captureDirectorDirectives(sheet) {
   const backgrounds = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getBackgrounds();
   
   for (let i = 0; i < data.length; i++) {
-    const dealName = data[i][dealNameCol - 1];
+    const dealId = dealIdCol > 0 ? data[i][dealIdCol - 1] : '';
+    const dealName = dealNameCol > 0 ? data[i][dealNameCol - 1] : '';
     const priority = data[i][priorityCol - 1];
     const note = data[i][noteCol - 1];
     const rowBackground = backgrounds[i];
     
-    if (dealName && (priority || note)) {
-      directives[dealName] = {
-        priority: priority,
-        note: note,
-        background: rowBackground
-      };
+    if (!priority && !note) continue;
+    
+    const directive = {
+      priority: priority,
+      note: note,
+      background: rowBackground
+    };
+    
+    if (dealIdCol > 0) {
+      if (dealId !== '' && dealId !== null) {
+        directives.byId[dealId.toString()] = directive;
+      }
+    } else if (dealName) {
+      directives.byName[dealName.toString()] = directive;
     }
   }
   
-  Logger.log(`  Captured ${Object.keys(directives).length} directives`);
+  Logger.log(`  Captured ${Object.keys(directives.byId).length + Object.keys(directives.byName).length} directives`);
   return directives;
 }
 
 /**
  * Restores director directives after refresh
  * @param {Sheet} sheet - Director Hub sheet
- * @param {Object} directives - Directives indexed by Deal Name
+ * @param {Object} directives - Directives from captureDirectorDirectives()
  * @param {Object} dealIdMap - Map of row index to Deal ID
  */
 function restoreDirectorDirectives(sheet, directives, dealIdMap) {
-  if (Object.keys(directives).length === 0) {
+  if (Object.keys(directives.byId).length === 0 && Object.keys(directives.byName).length === 0) {
     Logger.log('  No directives to restore');
     return;
   }
@@ -407,10 +298,11 @@ function restoreDirectorDirectives(sheet, directives, dealIdMap) {
   for (let i = 0; i < dealNames.length; i++) {
     const dealName = dealNames[i][0];
     const rowIndex = i + 2;
+    const dealId = dealIdMap[rowIndex];
+    const directive = (dealId && directives.byId[dealId.toString()]) ||
+      (dealName && directives.byName[dealName.toString()]);
     
-    if (dealName && directives[dealName]) {
-      const directive = directives[dealName];
-      
+    if (directive) {
       // Restore priority and note
       if (directive.priority) {
         sheet.getRange(rowIndex, priorityCol).setValue(directive.priority);
@@ -422,7 +314,7 @@ function restoreDirectorDirectives(sheet, directives, dealIdMap) {
       // Restore row background
       if (directive.background) {
         const rowRange = sheet.getRange(rowIndex, 1, 1, headers.length);
-        rowRange.setBackgrounds([directive.background]);
+        rowRange.setBackgrounds([fitRowBackground(directive.background, headers.length)]);
       }
       
       restoredCount++;
@@ -432,3 +324,17 @@ function restoreDirectorDirectives(sheet, directives, dealIdMap) {
   Logger.log(`  Restored ${restoredCount} directives`);
 }
 
+/**
+ * Fits a captured row background to the current column count
+ * Flag colors fill the whole row, so a row captured with a different layout
+ * (e.g. before the Deal ID column was added) is refilled with its first color.
+ * @param {Array<string>} background - Captured row background colors
+ * @param {number} columnCount - Current number of columns
+ * @returns {Array<string>} Background colors for columnCount columns
+ */
+function fitRowBackground(background, columnCount) {
+  if (background.length === columnCount) {
+    return background;
+  }
+  return new Array(columnCount).fill(background[0] || FLAG_COLORS.NONE);
+}
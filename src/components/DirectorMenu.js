@@ -4,7 +4,12 @@
  * Custom menu for directors to flag deals in Director Hub
  * Provides Hot/Cold/Attention flags with optional notes
  * 
- * Note: TAB_DIRECTOR_HUB is defined in DirectorHub.js
+ * Works in the Director Hub and in scoped director hubs. A director limited
+ * to some teams (Directors tab) can only flag their AEs' deals; a flag is
+ * mirrored to every hub tab showing the deal and logged to the Flag History
+ * (FlagHistory.js).
+ * 
+ * Note: TAB_DIRECTOR_HUB and isDirectorHubTab() are defined in DirectorHub.js
  * Note: TAB_PIPELINE is defined in SheetProvisioner.js
  * Note: CONTROL_SHEET_ID is defined in ConfigManager.js
  */
@@ -160,9 +165,9 @@ function applyDirectorFlag(flag, flagName, color) {
     const sheet = ss.getActiveSheet();
     const ui = SpreadsheetApp.getUi();
     
-    // Validate we're in Director Hub
-    if (sheet.getName() !== TAB_DIRECTOR_HUB) {
-      ui.alert('⚠️ Wrong Sheet', 'This action only works in the Director Hub tab.', ui.ButtonSet.OK);
+    // Validate we're in a Director Hub
+    if (!isDirectorHubTab(sheet.getName())) {
+      ui.alert('⚠️ Wrong Sheet', 'This action only works in a Director Hub tab.', ui.ButtonSet.OK);
       return;
     }
     
@@ -183,22 +188,33 @@ function applyDirectorFlag(flag, flagName, color) {
     
     // Get column indices
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const dealIdCol = headers.indexOf('Deal ID') + 1;
     const dealNameCol = headers.indexOf('Deal Name') + 1;
+    const ownerCol = headers.indexOf('Owner') + 1;
     const priorityCol = headers.indexOf('Director Priority') + 1;
     const noteCol = headers.indexOf('Director Note') + 1;
     
-    if (dealNameCol === 0 || priorityCol === 0 || noteCol === 0) {
-      ui.alert('⚠️ Error', 'Could not find required columns.', ui.ButtonSet.OK);
+    if (dealIdCol === 0 || dealNameCol === 0 || ownerCol === 0 || priorityCol === 0 || noteCol === 0) {
+      ui.alert('⚠️ Error', 'Could not find required columns. Refresh the Director Hub first.', ui.ButtonSet.OK);
       return;
     }
     
-    // Get deal name for confirmation
+    // Get deal ID (row key) and name (for confirmation)
+    const dealId = sheet.getRange(selectedRow, dealIdCol).getValue().toString();
     const dealName = sheet.getRange(selectedRow, dealNameCol).getValue();
-    if (!dealName) {
+    if (!dealId || !dealName) {
       ui.alert('⚠️ Empty Row', 'This row does not contain a deal.', ui.ButtonSet.OK);
       return;
     }
     
+    // Scoped directors only flag their own AEs' deals
+    const ownerName = sheet.getRange(selectedRow, ownerCol).getValue();
+    const permissionError = getFlagPermissionError(ownerName);
+    if (permissionError) {
+      ui.alert('⚠️ Not Allowed', permissionError, ui.ButtonSet.OK);
+      return;
+    }
+    
     // Prompt for optional note (skip if clearing)
     let note = '';
     if (flag !== '') {
@@ -215,9 +231,29 @@ function applyDirectorFlag(flag, flagName, color) {
       note = response.getResponseText();
     }
     
-    // Apply flag and note to Director Hub
-    sheet.getRange(selectedRow, priorityCol).setValue(flag);
-    sheet.getRange(selectedRow, noteCol).setValue(note);
+    // Record who changed what in the Flag History (clearing an unflagged deal is a no-op)
+    const oldFlag = sheet.getRange(selectedRow, priorityCol).getValue();
+    if (oldFlag || flag) {
+      appendFlagHistory({
+        director: Session.getActiveUser().getEmail(),
+        dealId: dealId,
+        dealName: dealName,
+        owner: ownerName,
+        oldFlag: oldFlag,
+        newFlag: flag,
+        note: note
+      });
+    }
+    const history = getFlagHistorySummary(dealId);
+    const cellValues = {
+      'Director Priority': flag,
+      'Director Note': note,
+      'Flagged Since': history.flaggedSince,
+      'Times Flagged': history.timesFlagged
+    };
+    
+    // Apply flag, note and history columns to Director Hub
+    setHubRowValues(sheet, selectedRow, headers, cellValues);
     
     // Apply background color to entire row in Director Hub
     const rowRange = sheet.getRange(selectedRow, 1, 1, headers.length);
@@ -227,10 +263,11 @@ function applyDirectorFlag(flag, flagName, color) {
     }
     rowRange.setBackgrounds([rowBackground]);
     
+    // Keep the other hub tabs in step
+    mirrorFlagToOtherHubs(ss, sheet.getName(), dealId, cellValues, color);
+    
     // Immediately sync to AE's sheet
-    const ownerCol = headers.indexOf('Owner') + 1;
-    const ownerName = sheet.getRange(selectedRow, ownerCol).getValue();
-    syncSingleDealToAE(dealName, ownerName, flag, note, rowBackground);
+    syncSingleDealToAE(dealId, ownerName, flag, note, rowBackground);
     
     // Success message
     const action = flag === '' ? 'cleared' : `marked as ${flagName}`;
@@ -244,15 +281,90 @@ function applyDirectorFlag(flag, flagName, color) {
   }
 }
 
+/**
+ * Checks whether the user running the menu may flag an AE's deals
+ * Until a director in the Directors tab has Teams or Small Teams, anyone may
+ * flag. After that, only directors in the tab may: unscoped ones (both blank)
+ * any deal, scoped ones their own AEs' deals. A blank signed-in email (user
+ * outside the domain) is refused.
+ * @param {string} ownerName - Deal owner (Owner column)
+ * @returns {string} Reason the flag is refused, '' if allowed
+ */
+function getFlagPermissionError(ownerName) {
+  if (!loadDirectorScopes().some(isScopedDirector)) {
+    return '';
+  }
+  
+  const email = Session.getActiveUser().getEmail();
+  if (!email) {
+    return `Could not read your email address. Flagging is limited to the directors in the ${TAB_DIRECTORS} tab.`;
+  }
+  
+  const director = getDirectorByEmail(email);
+  if (!director) {
+    return `${email} is not in the ${TAB_DIRECTORS} tab. Ask an admin to add you.`;
+  }
+  if (!isScopedDirector(director)) {
+    return '';
+  }
+  
+  const person = loadConfiguration().salespeople.find(candidate => candidate.name === ownerName);
+  return person && isInDirectorScope(director, person) ? '' : `${ownerName} is not on your teams (${TAB_DIRECTORS} tab).`;
+}
+
+/**
+ * Writes values to a hub row by header (headers missing from the hub are skipped)
+ * @param {Sheet} sheet - Hub sheet
+ * @param {number} row - Row to write
+ * @param {Array<string>} headers - Hub headers
+ * @param {Object} cellValues - Map of header → value
+ */
+function setHubRowValues(sheet, row, headers, cellValues) {
+  Object.keys(cellValues).forEach(header => {
+    const col = headers.indexOf(header) + 1;
+    if (col > 0) {
+      sheet.getRange(row, col).setValue(cellValues[header]);
+    }
+  });
+}
+
+/**
+ * Writes a flag to every other hub tab that shows the deal
+ * @param {Spreadsheet} ss - The control spreadsheet
+ * @param {string} flaggedTabName - Hub tab the flag was set in
+ * @param {string} dealId - The HubSpot Deal ID
+ * @param {Object} cellValues - Map of header → value (flag, note, history columns)
+ * @param {string} color - Background color for the row
+ */
+function mirrorFlagToOtherHubs(ss, flaggedTabName, dealId, cellValues, color) {
+  getDirectorHubSheets(ss)
+    .filter(hub => hub.getName() !== flaggedTabName)
+    .forEach(hub => {
+      const lastRow = hub.getLastRow();
+      if (lastRow < 2) return;
+      
+      const headers = hub.getRange(1, 1, 1, hub.getLastColumn()).getValues()[0];
+      const dealIdCol = headers.indexOf('Deal ID') + 1;
+      if (dealIdCol === 0) return;
+      
+      const dealIds = hub.getRange(2, dealIdCol, lastRow - 1, 1).getValues();
+      const index = dealIds.findIndex(row => row[0].toString() === dealId);
+      if (index === -1) return;
+      
+      setHubRowValues(hub, index + 2, headers, cellValues);
+      hub.getRange(index + 2, 1, 1, headers.length).setBackground(color);
+    });
+}
+
 /**
  * Syncs a single deal flag to the AE's sheet immediately
- * @param {string} dealName - The deal name to sync
+ * @param {string} dealId - The HubSpot Deal ID to sync
  * @param {string} ownerName - The owner's name
  * @param {string} flag - The flag emoji
  * @param {string} note - The director's note
  * @param {Array} rowBackground - The background colors for the row
  */
-function syncSingleDealToAE(dealName, ownerName, flag, note, rowBackground) {
+function syncSingleDealToAE(dealId, ownerName, flag, note, rowBackground) {
   try {
     // Read config directly from Control Sheet
     const controlSheet = SpreadsheetApp.openById(CONTROL_SHEET_ID);
@@ -286,28 +398,29 @@ function syncSingleDealToAE(dealName, ownerName, flag, note, rowBackground) {
     
     if (!pipelineSheet) return;
     
+    const aeHeaderRow = getDealTableHeaderRow(pipelineSheet);
     const aeLastRow = pipelineSheet.getLastRow();
-    if (aeLastRow < 2) return;
+    if (aeLastRow <= aeHeaderRow) return;
     
     // Find the deal in AE's sheet
-    const headers = pipelineSheet.getRange(1, 1, 1, pipelineSheet.getLastColumn()).getValues()[0];
-    const dealNameCol = headers.indexOf('Deal Name') + 1;
+    const headers = pipelineSheet.getRange(aeHeaderRow, 1, 1, pipelineSheet.getLastColumn()).getValues()[0];
+    const dealIdCol = headers.indexOf('Deal ID') + 1;
     const priorityCol = headers.indexOf('Director Priority') + 1;
     const noteCol = headers.indexOf('Director Note') + 1;
     
-    if (dealNameCol === 0 || priorityCol === 0 || noteCol === 0) return;
+    if (dealIdCol === 0 || priorityCol === 0 || noteCol === 0) return;
     
-    const dealNames = pipelineSheet.getRange(2, dealNameCol, aeLastRow - 1, 1).getValues();
+    const dealIds = pipelineSheet.getRange(aeHeaderRow + 1, dealIdCol, aeLastRow - aeHeaderRow, 1).getValues();
     
     // Find matching deal
-    for (let i = 0; i < dealNames.length; i++) {
-      if (dealNames[i][0] === dealName) {
-        const rowIndex = i + 2;
+    for (let i = 0; i < dealIds.length; i++) {
+      if (dealIds[i][0].toString() === dealId) {
+        const rowIndex = aeHeaderRow + 1 + i;
         
         // FAST: Set flag and note only (skip background for speed)
-        // Background will be synced on next full refresh
-        pipelineSheet.getRange(rowIndex, priorityCol, 1, 2)
-          .setValues([[flag, note]]);
+        // Background will be synced on next full refresh. Columns can be in any order (Columns tab)
+        pipelineSheet.getRange(rowIndex, priorityCol).setValue(flag);
+        pipelineSheet.getRange(rowIndex, noteCol).setValue(note);
         
         // Show confirmation in UI
         SpreadsheetApp.openById(CONTROL_SHEET_ID).toast(
@@ -326,7 +439,54 @@ function syncSingleDealToAE(dealName, ownerName, flag, note, rowBackground) {
 }
 
 /**
- * Syncs director flags from Director Hub to individual AE sheets
+ * Reads the flags of a hub tab into a map of owner → Deal ID → flag
+ * @param {Sheet} hub - Director Hub or scoped hub sheet
+ * @param {Array<string>} owners - Owner names this hub may flag
+ * @param {Object} flagsByOwner - Map to fill (later hubs override earlier ones)
+ */
+function readHubFlags(hub, owners, flagsByOwner) {
+  const lastRow = hub.getLastRow();
+  if (lastRow < 2) {
+    Logger.log(`[Director Sync] No deals in ${hub.getName()}, skipping`);
+    return;
+  }
+  
+  const headers = hub.getRange(1, 1, 1, hub.getLastColumn()).getValues()[0];
+  const ownerCol = headers.indexOf('Owner') + 1;
+  const dealIdCol = headers.indexOf('Deal ID') + 1;
+  const priorityCol = headers.indexOf('Director Priority') + 1;
+  const noteCol = headers.indexOf('Director Note') + 1;
+  
+  if (ownerCol === 0 || dealIdCol === 0 || priorityCol === 0 || noteCol === 0) {
+    Logger.log(`[Director Sync] Missing required columns in ${hub.getName()}`);
+    return;
+  }
+  
+  const data = hub.getRange(2, 1, lastRow - 1, hub.getLastColumn()).getValues();
+  const backgrounds = hub.getRange(2, 1, lastRow - 1, hub.getLastColumn()).getBackgrounds();
+  
+  for (let i = 0; i < data.length; i++) {
+    const owner = data[i][ownerCol - 1];
+    const dealId = data[i][dealIdCol - 1].toString();
+    const priority = data[i][priorityCol - 1];
+    const note = data[i][noteCol - 1];
+    
+    if (owner && dealId && (priority || note) && owners.includes(owner)) {
+      if (!flagsByOwner[owner]) {
+        flagsByOwner[owner] = {};
+      }
+      
+      flagsByOwner[owner][dealId] = {
+        priority: priority,
+        note: note,
+        background: backgrounds[i]
+      };
+    }
+  }
+}
+
+/**
+ * Syncs director flags from the hub tabs to individual AE sheets
  * Called after Director Hub refresh to propagate flags to AE sheets
  * @param {Spreadsheet} controlSheet - The control spreadsheet
  * @param {Array<Object>} salespeople - Array of salesperson configs
@@ -335,55 +495,29 @@ function syncDirectorFlagsToAESheets(controlSheet, salespeople) {
   try {
     Logger.log('[Director Sync] Syncing flags to AE sheets...');
     
-    const directorSheet = controlSheet.getSheetByName(TAB_DIRECTOR_HUB);
-    if (!directorSheet) {
+    if (!controlSheet.getSheetByName(TAB_DIRECTOR_HUB)) {
       Logger.log('[Director Sync] No Director Hub found, skipping sync');
       return;
     }
     
-    const lastRow = directorSheet.getLastRow();
-    if (lastRow < 2) {
-      Logger.log('[Director Sync] No deals in Director Hub, skipping sync');
-      return;
-    }
-    
-    // Read Director Hub data
-    const headers = directorSheet.getRange(1, 1, 1, directorSheet.getLastColumn()).getValues()[0];
-    const ownerCol = headers.indexOf('Owner') + 1;
-    const dealNameCol = headers.indexOf('Deal Name') + 1;
-    const priorityCol = headers.indexOf('Director Priority') + 1;
-    const noteCol = headers.indexOf('Director Note') + 1;
-    
-    if (ownerCol === 0 || dealNameCol === 0 || priorityCol === 0 || noteCol === 0) {
-      Logger.log('[Director Sync] Missing required columns');
-      return;
-    }
-    
-    const data = directorSheet.getRange(2, 1, lastRow - 1, directorSheet.getLastColumn()).getValues();
-    const backgrounds = directorSheet.getRange(2, 1, lastRow - 1, directorSheet.getLastColumn()).getBackgrounds();
-    
-    // Build map of flags by owner and deal name
+    // Build map of flags by owner and Deal ID (each hub only reaches its AEs)
     const flagsByOwner = {};
+    const directorsByTab = {};
+    loadDirectorScopes().filter(isScopedDirector).forEach(director => {
+      directorsByTab[getDirectorHubTabName(director)] = director;
+    });
     
-    for (let i = 0; i < data.length; i++) {
-      const owner = data[i][ownerCol - 1];
-      const dealName = data[i][dealNameCol - 1];
-      const priority = data[i][priorityCol - 1];
-      const note = data[i][noteCol - 1];
-      const background = backgrounds[i];
-      
-      if (owner && dealName && (priority || note)) {
-        if (!flagsByOwner[owner]) {
-          flagsByOwner[owner] = {};
-        }
-        
-        flagsByOwner[owner][dealName] = {
-          priority: priority,
-          note: note,
-          background: background
-        };
+    getDirectorHubSheets(controlSheet).forEach(hub => {
+      const director = directorsByTab[hub.getName()];
+      if (hub.getName() !== TAB_DIRECTOR_HUB && !director) {
+        return; // Hub of a director no longer scoped
       }
-    }
+      
+      const owners = salespeople
+        .filter(person => !director || isInDirectorScope(director, person))
+        .map(person => person.name);
+      readHubFlags(hub, owners, flagsByOwner);
+    });
     
     const ownerCount = Object.keys(flagsByOwner).length;
     Logger.log(`[Director Sync] Found flags for ${ownerCount} owners`);
@@ -415,39 +549,41 @@ function syncDirectorFlagsToAESheets(controlSheet, salespeople) {
           return;
         }
         
+        const aeHeaderRow = getDealTableHeaderRow(pipelineSheet);
         const aeLastRow = pipelineSheet.getLastRow();
-        if (aeLastRow < 2) {
+        if (aeLastRow <= aeHeaderRow) {
           return;
         }
         
-        const aeHeaders = pipelineSheet.getRange(1, 1, 1, pipelineSheet.getLastColumn()).getValues()[0];
-        const aeDealNameCol = aeHeaders.indexOf('Deal Name') + 1;
+        const aeHeaders = pipelineSheet.getRange(aeHeaderRow, 1, 1, pipelineSheet.getLastColumn()).getValues()[0];
+        const aeDealIdCol = aeHeaders.indexOf('Deal ID') + 1;
         const aePriorityCol = aeHeaders.indexOf('Director Priority') + 1;
         const aeNoteCol = aeHeaders.indexOf('Director Note') + 1;
         
-        if (aeDealNameCol === 0 || aePriorityCol === 0 || aeNoteCol === 0) {
+        if (aeDealIdCol === 0 || aePriorityCol === 0 || aeNoteCol === 0) {
           Logger.log(`[Director Sync] Missing columns in ${person.name}'s sheet, skipping`);
           return;
         }
         
-        const aeDealNames = pipelineSheet.getRange(2, aeDealNameCol, aeLastRow - 1, 1).getValues();
+        const aeDealIds = pipelineSheet.getRange(aeHeaderRow + 1, aeDealIdCol, aeLastRow - aeHeaderRow, 1).getValues();
         
         let syncedForAE = 0;
         
-        for (let i = 0; i < aeDealNames.length; i++) {
-          const dealName = aeDealNames[i][0];
-          const rowIndex = i + 2;
+        for (let i = 0; i < aeDealIds.length; i++) {
+          const dealId = aeDealIds[i][0].toString();
+          const rowIndex = aeHeaderRow + 1 + i;
           
-          if (dealName && flags[dealName]) {
-            const flag = flags[dealName];
+          if (dealId && flags[dealId]) {
+            const flag = flags[dealId];
             
             // Set priority and note
             pipelineSheet.getRange(rowIndex, aePriorityCol).setValue(flag.priority);
             pipelineSheet.getRange(rowIndex, aeNoteCol).setValue(flag.note);
             
             // Set row background (remove Owner column - first element)
-            // Director Hub has Owner column, AE sheets don't
-            const aeBackground = flag.background.slice(1); // Skip first column (Owner)
+            // Director Hub has Owner column, AE sheets don't; director-only
+            // columns (e.g. Flagged Since) can make the widths differ too
+            const aeBackground = fitRowBackground(flag.background.slice(1), aeHeaders.length); // Skip first column (Owner)
             const rowRange = pipelineSheet.getRange(rowIndex, 1, 1, aeHeaders.length);
             rowRange.setBackgrounds([aeBackground]);
             
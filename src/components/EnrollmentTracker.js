@@ -52,6 +52,13 @@ function getEnrollmentProperties() {
   // Add easy_start_option for filtering
   properties.push('easy_start_option');
   
+  // Add forecast inputs (enrolled amount, see Forecast.js)
+  getForecastProperties().forEach(property => {
+    if (!properties.includes(property)) {
+      properties.push(property);
+    }
+  });
+  
   // Add standard fields always needed
   if (!properties.includes('hubspot_owner_id')) {
     properties.push('hubspot_owner_id');
@@ -214,9 +221,10 @@ function calculateTierProgress(role, enrollmentCount, tierLevels) {
  * Updates the Enrollment Tracker tab for a salesperson
  * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
  * @param {Object} person - Person object {name, email}
+ * @param {Object} [snapshot] - Team deal snapshot (see buildDealSnapshot); fetched live if omitted
  * @returns {Object} Update result
  */
-function updateEnrollmentTracker(individualSheet, person) {
+function updateEnrollmentTracker(individualSheet, person, snapshot = null) {
   try {
     Logger.log(`[Enrollment Tracker] Updating for ${person.name}...`);
     
@@ -231,17 +239,9 @@ function updateEnrollmentTracker(individualSheet, person) {
     Logger.log('  Step 1: Capturing historical data...');
     const historicalData = captureHistoricalData(sheet);
     
-    // Step 2: Fetch enrollment deals from HubSpot (current + last month)
-    Logger.log('  Step 2: Fetching enrollment deals from HubSpot...');
-    const properties = getEnrollmentProperties();
-    const options = {};
-    
-    // Pass HubSpot User ID if available
-    if (person.hubspotUserId && person.hubspotUserId !== '') {
-      options.hubspotUserId = person.hubspotUserId;
-    }
-    
-    const deals = fetchEnrollmentDeals(person.email, properties, options);
+    // Step 2: Get enrollment deals (current + last month)
+    Logger.log('  Step 2: Getting enrollment deals...');
+    const deals = getEnrollmentDealsForPerson(snapshot, person);
     Logger.log(`  Found ${deals.length} enrollment deals`);
     
     // Debug: Log properties of first deal to verify property names
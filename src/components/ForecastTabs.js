@@ -0,0 +1,263 @@
+/**
+ * Forecast Tabs Component
+ *
+ * Writes the current business month forecast (Forecast.js):
+ * - "📈 Forecast" in each AE sheet: totals vs the AE's goal, then the deals
+ *   closing this month with amount, probability and category
+ * - "📈 Team Forecast" in the Control Sheet, next to the Director Hub: one row
+ *   per AE and a Team row, compared with Goals & Quotas
+ *
+ * Both tabs are regenerated on every refresh (sections written with
+ * writeSummarySection() from SummaryDashboard.js).
+ *
+ * Note: Uses TAB_FORECAST from SheetProvisioner.js, TAB_TEAM_FORECAST from ConfigManager.js
+ */
+
+const FORECAST_TABS_CONFIG = {
+  TOTAL_HEADERS: ['Category', 'Deals', 'Amount'],
+  DEAL_HEADERS: ['Deal Name', 'Stage', 'Close Date', 'Amount', 'Probability', 'Weighted', 'Category'],
+  TEAM_HEADERS: ['AE', 'Enrolled', 'Commit', 'Commit $', 'Best Case', 'Best Case $', 'Weighted $', 'Expected Enrollments', 'Goal', '% of Goal'],
+  CURRENCY_FORMAT: '$#,##0',
+  PERCENT_FORMAT: '0%',
+  DATE_FORMAT: 'yyyy-mm-dd',
+  TIMEZONE: 'America/New_York'
+};
+
+/**
+ * Regenerates an AE's Forecast tab
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Object} person - Person object {name, email}
+ * @param {Object} [snapshot] - Team deal snapshot (see buildDealSnapshot); fetched live if omitted
+ * @param {number|string} goal - Monthly goal ('' if none)
+ * @returns {Object} Update result
+ */
+function updateForecast(individualSheet, person, snapshot, goal) {
+  try {
+    const forecast = buildForecast(
+      getPipelineDealsForPerson(snapshot, person),
+      getEnrollmentDealsForPerson(snapshot, person)
+    );
+
+    let sheet = individualSheet.getSheetByName(TAB_FORECAST);
+    if (!sheet) {
+      sheet = individualSheet.insertSheet(TAB_FORECAST);
+      Logger.log(`  Created ${TAB_FORECAST} sheet`);
+    }
+
+    const expected = getExpectedEnrollments(forecast);
+    const totals = {
+      title: `📈 Forecast: ${formatForecastRange(forecast.range)}`,
+      note: buildForecastNote(expected, goal),
+      headers: FORECAST_TABS_CONFIG.TOTAL_HEADERS,
+      rows: [
+        ['Enrolled', forecast.enrolled.count, forecast.enrolled.amount],
+        [FORECAST_CATEGORIES.COMMIT, forecast.commit.count, forecast.commit.amount],
+        [FORECAST_CATEGORIES.BEST_CASE, forecast.bestCase.count, forecast.bestCase.amount],
+        ['Weighted', Math.round(forecast.weighted.count * 10) / 10, Math.round(forecast.weighted.amount)]
+      ]
+    };
+    const deals = {
+      title: 'Deals closing this month',
+      note: forecast.deals.length === 0 ? 'No Pipeline Review deal has a close date this month' : '',
+      headers: FORECAST_TABS_CONFIG.DEAL_HEADERS,
+      rows: forecast.deals.map(item => [
+        extractDealProperty(item.deal, 'dealname'),
+        getStageLabel(extractDealProperty(item.deal, 'dealstage')),
+        item.closeDate,
+        item.amount,
+        item.probability === null ? '' : item.probability,
+        Math.round(item.weighted),
+        item.category
+      ])
+    };
+
+    sheet.clear();
+    const totalsEnd = writeSummarySection(sheet, 1, totals);
+    const dealsEnd = writeSummarySection(sheet, totalsEnd + 1, deals); // Blank row between sections
+
+    formatForecastColumns(sheet, totalsEnd - totals.rows.length, totals, { Amount: FORECAST_TABS_CONFIG.CURRENCY_FORMAT });
+    formatForecastColumns(sheet, dealsEnd - deals.rows.length, deals, {
+      'Close Date': FORECAST_TABS_CONFIG.DATE_FORMAT,
+      Amount: FORECAST_TABS_CONFIG.CURRENCY_FORMAT,
+      Probability: FORECAST_TABS_CONFIG.PERCENT_FORMAT,
+      Weighted: FORECAST_TABS_CONFIG.CURRENCY_FORMAT
+    });
+    linkForecastDealNames(sheet, dealsEnd - deals.rows.length, forecast.deals);
+
+    for (let col = 1; col <= FORECAST_TABS_CONFIG.DEAL_HEADERS.length; col++) {
+      sheet.autoResizeColumn(col);
+    }
+
+    return {
+      success: true,
+      dealCount: forecast.deals.length,
+      expected: expected,
+      goal: goal
+    };
+
+  } catch (error) {
+    Logger.log(`[Forecast] Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Regenerates the Control Sheet Team Forecast tab
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @param {Object} [snapshot] - Team deal snapshot; fetched live if omitted
+ * @param {Map} goalsMap - Goals from loadConfiguration()
+ * @returns {Object} Update result
+ */
+function updateTeamForecast(controlSheet, salespeople, snapshot, goalsMap) {
+  try {
+    Logger.log('[Team Forecast] Updating...');
+
+    let sheet = findTab(controlSheet, TAB_TEAM_FORECAST, 'Team Forecast');
+    if (!sheet) {
+      sheet = controlSheet.insertSheet(TAB_TEAM_FORECAST);
+      Logger.log('  Created Team Forecast sheet');
+    }
+
+    const forecasts = [];
+    let teamGoal = 0;
+    const rows = salespeople.map(person => {
+      const forecast = buildForecast(
+        getPipelineDealsForPerson(snapshot, person),
+        getEnrollmentDealsForPerson(snapshot, person)
+      );
+      const goal = getPersonGoal(goalsMap, person);
+
+      forecasts.push(forecast);
+      teamGoal += goal === '' ? 0 : goal;
+      return buildTeamForecastRow(person.name, forecast, goal);
+    });
+
+    const total = sumForecasts(forecasts);
+    rows.push(buildTeamForecastRow('Team', total, teamGoal || ''));
+
+    const section = {
+      title: `📈 Team Forecast: ${formatForecastRange(getBusinessMonthRange(new Date()))}`,
+      note: `Commit ≥ ${getSetting('Forecast Commit Probability')}%, Best Case ≥ ${getSetting('Forecast Best Case Probability')}% stage probability; Expected Enrollments = enrolled + sum of probabilities`,
+      headers: FORECAST_TABS_CONFIG.TEAM_HEADERS,
+      rows: rows
+    };
+
+    sheet.clear();
+    const end = writeSummarySection(sheet, 1, section);
+    formatForecastColumns(sheet, end - rows.length, section, {
+      'Commit $': FORECAST_TABS_CONFIG.CURRENCY_FORMAT,
+      'Best Case $': FORECAST_TABS_CONFIG.CURRENCY_FORMAT,
+      'Weighted $': FORECAST_TABS_CONFIG.CURRENCY_FORMAT,
+      '% of Goal': FORECAST_TABS_CONFIG.PERCENT_FORMAT
+    });
+
+    for (let col = 1; col <= section.headers.length; col++) {
+      sheet.autoResizeColumn(col);
+    }
+
+    return {
+      success: true,
+      expected: getExpectedEnrollments(total),
+      goal: teamGoal
+    };
+
+  } catch (error) {
+    Logger.log(`[Team Forecast] Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Builds one Team Forecast row
+ * @param {string} label - AE name or 'Team'
+ * @param {Object} forecast - Forecast (or sumForecasts() total)
+ * @param {number|string} goal - Monthly goal ('' if none)
+ * @returns {Array} Row values
+ */
+function buildTeamForecastRow(label, forecast, goal) {
+  const expected = getExpectedEnrollments(forecast);
+  return [
+    label,
+    forecast.enrolled.count,
+    forecast.commit.count,
+    forecast.commit.amount,
+    forecast.bestCase.count,
+    forecast.bestCase.amount,
+    Math.round(forecast.weighted.amount),
+    expected,
+    goal,
+    goal ? expected / goal : ''
+  ];
+}
+
+/**
+ * Builds the note under the AE forecast title
+ * @param {number} expected - Expected enrollments
+ * @param {number|string} goal - Monthly goal ('' if none)
+ * @returns {string} Note
+ */
+function buildForecastNote(expected, goal) {
+  if (goal === '' || !goal) {
+    return `Expected enrollments: ${expected} (no goal in ${TAB_GOALS})`;
+  }
+  return `Expected enrollments: ${expected} of ${goal} goal (${Math.round(expected / goal * 100)}%)`;
+}
+
+/**
+ * Formats a business month range for titles
+ * @param {Object} range - {start, end} from getBusinessMonthRange() (end exclusive)
+ * @returns {string} e.g. "2026-10-01 to 2026-10-31"
+ */
+function formatForecastRange(range) {
+  const lastDay = new Date(range.end.getTime());
+  lastDay.setDate(lastDay.getDate() - 1);
+  const format = date => Utilities.formatDate(date, FORECAST_TABS_CONFIG.TIMEZONE, 'yyyy-MM-dd');
+  return `${format(range.start)} to ${format(lastDay)}`;
+}
+
+/**
+ * Applies number formats to the data rows of a written section, by header
+ * @param {Sheet} sheet - Sheet the section was written to
+ * @param {number} firstRow - First data row of the section
+ * @param {Object} section - {headers, rows}
+ * @param {Object} formats - Map of header → number format
+ */
+function formatForecastColumns(sheet, firstRow, section, formats) {
+  if (section.rows.length === 0) {
+    return;
+  }
+
+  Object.keys(formats).forEach(header => {
+    const col = section.headers.indexOf(header) + 1;
+    if (col > 0) {
+      sheet.getRange(firstRow, col, section.rows.length, 1).setNumberFormat(formats[header]);
+    }
+  });
+}
+
+/**
+ * Hyperlinks the deal names of the deals section to HubSpot
+ * @param {Sheet} sheet - Forecast sheet
+ * @param {number} firstRow - First data row of the deals section
+ * @param {Array<Object>} items - forecast.deals
+ */
+function linkForecastDealNames(sheet, firstRow, items) {
+  if (items.length === 0) {
+    return;
+  }
+
+  const richTextValues = items.map(item => [
+    SpreadsheetApp.newRichTextValue()
+      .setText(extractDealProperty(item.deal, 'dealname').toString())
+      .setLinkUrl(buildDealUrl(item.deal.id))
+      .build()
+  ]);
+  sheet.getRange(firstRow, 1, items.length, 1).setRichTextValues(richTextValues);
+}
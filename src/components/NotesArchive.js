@@ -0,0 +1,226 @@
+/**
+ * Notes Archive Component
+ *
+ * Keeps AE notes for deals that drop out of Pipeline Review (stage change,
+ * GTC filter, closed) and restores them when the deal re-qualifies
+ *
+ * Rows are keyed by Deal ID. A deal is archived only if it had a manual value
+ * or a director flag, and its row is removed again once the notes are restored.
+ * Director flags are kept for reference only; the Director Hub owns them.
+ *
+ * There is one archive column per manual column (Columns tab), read and
+ * written by header, so adding or renaming manual columns never shifts
+ * archived values. Values of removed manual columns stay in the archive, even
+ * after the rest of the row is restored.
+ *
+ * Note: Uses TAB_NOTES_ARCHIVE constant from SheetProvisioner.js
+ */
+
+// Fixed columns around the manual ones: Deal ID | Deal Name | Last Stage | <manual...> | Director Priority | Director Note | Dropped On
+const NOTES_ARCHIVE_LEADING_HEADERS = ['Deal ID', 'Deal Name', 'Last Stage'];
+const NOTES_ARCHIVE_TRAILING_HEADERS = ['Director Priority', 'Director Note', 'Dropped On'];
+
+/**
+ * Archives notes of dropped deals and restores notes of re-qualified deals
+ * Restored notes are added to preserved.byId, so restorePreservedData() writes them back.
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Object} preserved - Preserved data from capturePreservedData()
+ * @param {Object} dealIdMap - Map of row index to Deal ID for the refreshed deals
+ * @returns {Object} {archived, restored}
+ */
+function syncNotesArchive(individualSheet, preserved, dealIdMap) {
+  const sheet = getNotesArchiveSheet(individualSheet);
+  const archive = readNotesArchive(sheet);
+
+  const currentIds = {};
+  Object.keys(dealIdMap).forEach(rowIndex => {
+    currentIds[dealIdMap[rowIndex].toString()] = true;
+  });
+
+  // Archive deals that were on the sheet last time but aren't anymore
+  let archived = 0;
+  Object.keys(preserved.byId).forEach(dealId => {
+    const data = preserved.byId[dealId];
+
+    if (currentIds[dealId] || !hasArchivableNotes(data)) return;
+
+    archive[dealId] = {
+      dealId: dealId,
+      dealName: data.dealName || '',
+      stage: data.stage || '',
+      manual: Object.assign({}, archive[dealId] ? archive[dealId].manual : {}, data.manual), // Keeps values of removed columns
+      directorPriority: data.directorPriority || '',
+      directorNote: data.directorNote || '',
+      droppedOn: new Date()
+    };
+    archived++;
+  });
+
+  // Restore notes for archived deals that are back on the sheet
+  const manualHeaders = getManualColumns().map(column => column.header);
+  let restored = 0;
+  Object.keys(currentIds).forEach(dealId => {
+    const entry = archive[dealId];
+
+    if (!entry || preserved.byId[dealId]) return;
+
+    preserved.byId[dealId] = {
+      manual: entry.manual,
+      directorPriority: '',
+      directorNote: ''
+    };
+    restored++;
+
+    // Values of manual columns no longer in the Columns tab can't go back on the sheet, keep them here
+    const leftover = {};
+    Object.keys(entry.manual).forEach(header => {
+      const value = entry.manual[header];
+      if (!manualHeaders.includes(header) && value !== '' && value !== null && value !== undefined) {
+        leftover[header] = value;
+      }
+    });
+
+    if (Object.keys(leftover).length > 0) {
+      entry.manual = leftover;
+    } else {
+      delete archive[dealId];
+    }
+  });
+
+  if (archived > 0 || restored > 0) {
+    writeNotesArchive(sheet, archive);
+  }
+
+  Logger.log(`  Notes archive: ${archived} archived, ${restored} restored`);
+  return { archived, restored };
+}
+
+/**
+ * Checks whether a preserved row has anything worth archiving
+ * @param {Object} data - Preserved row data
+ * @returns {boolean} True if the row has a manual value or director flag
+ */
+function hasArchivableNotes(data) {
+  return [...Object.values(data.manual || {}), data.directorPriority, data.directorNote]
+    .some(value => value !== '' && value !== null && value !== undefined && value !== false);
+}
+
+/**
+ * Gets (or creates) the Notes Archive tab
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @returns {Sheet} Notes Archive sheet
+ */
+function getNotesArchiveSheet(individualSheet) {
+  let sheet = individualSheet.getSheetByName(TAB_NOTES_ARCHIVE);
+
+  if (!sheet) {
+    sheet = individualSheet.insertSheet(TAB_NOTES_ARCHIVE);
+    writeNotesArchive(sheet, {});
+    Logger.log('  Created Notes Archive sheet');
+  }
+
+  return sheet;
+}
+
+/**
+ * Reads the archive (by header, so older layouts still read)
+ * @param {Sheet} sheet - Notes Archive sheet
+ * @returns {Object} Map of Deal ID → {dealId, dealName, stage, manual, directorPriority, directorNote, droppedOn}
+ */
+function readNotesArchive(sheet) {
+  const archive = {};
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return archive;
+  }
+
+  const values = sheet.getRange(1, 1, lastRow, sheet.getLastColumn()).getValues();
+  const headers = values[0].map(header => header.toString());
+  const fixedHeaders = [...NOTES_ARCHIVE_LEADING_HEADERS, ...NOTES_ARCHIVE_TRAILING_HEADERS];
+  const manualHeaders = headers.filter(header => header !== '' && !fixedHeaders.includes(header));
+  const valueOf = (row, header) => headers.indexOf(header) === -1 ? '' : row[headers.indexOf(header)];
+
+  values.slice(1).forEach(row => {
+    const dealId = valueOf(row, 'Deal ID');
+    if (dealId === '' || dealId === null) return;
+
+    const manual = {};
+    manualHeaders.forEach(header => {
+      manual[header] = valueOf(row, header);
+    });
+
+    archive[dealId.toString()] = {
+      dealId: dealId.toString(),
+      dealName: valueOf(row, 'Deal Name'),
+      stage: valueOf(row, 'Last Stage'),
+      manual: manual,
+      directorPriority: valueOf(row, 'Director Priority'),
+      directorNote: valueOf(row, 'Director Note'),
+      droppedOn: valueOf(row, 'Dropped On')
+    };
+  });
+
+  return archive;
+}
+
+/**
+ * Gets the manual headers of the archive: the configured manual columns,
+ * then any other header that still has archived values
+ * @param {Object} archive - Map of Deal ID → archive entry
+ * @returns {Array<string>} Headers
+ */
+function getNotesArchiveManualHeaders(archive) {
+  const headers = getManualColumns().map(column => column.header);
+
+  Object.values(archive).forEach(entry => {
+    Object.keys(entry.manual).forEach(header => {
+      const value = entry.manual[header];
+      if (!headers.includes(header) && value !== '' && value !== null && value !== undefined) {
+        headers.push(header);
+      }
+    });
+  });
+
+  return headers;
+}
+
+/**
+ * Replaces the archive contents (most recently dropped first)
+ * @param {Sheet} sheet - Notes Archive sheet
+ * @param {Object} archive - Map of Deal ID → archive entry
+ */
+function writeNotesArchive(sheet, archive) {
+  const manualHeaders = getNotesArchiveManualHeaders(archive);
+  const headers = [...NOTES_ARCHIVE_LEADING_HEADERS, ...manualHeaders, ...NOTES_ARCHIVE_TRAILING_HEADERS];
+
+  const rows = Object.values(archive)
+    .sort((a, b) => new Date(b.droppedOn).getTime() - new Date(a.droppedOn).getTime())
+    .map(entry => [
+      entry.dealId,
+      entry.dealName,
+      entry.stage,
+      ...manualHeaders.map(header => entry.manual[header] === undefined ? '' : entry.manual[header]),
+      entry.directorPriority,
+      entry.directorNote,
+      entry.droppedOn
+    ]);
+
+  sheet.clear();
+
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    // Deal IDs as plain text, same as Pipeline Review
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.length, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+  }
+}
@@ -2,7 +2,14 @@
  * Pipeline Review Component
  * 
  * Displays deal pipeline data from HubSpot with call quality scores
- * Includes manual notes preservation and format preservation across refreshes
+ * Includes preservation of manual columns (any number, by header) and
+ * formatting across refreshes
+ * Notes of deals that drop out are kept in the Notes Archive (NotesArchive.js)
+ * Manual columns with a Write Back target are synced with HubSpot (NoteWriteBack.js)
+ * Stale deals are listed on Today's Actions (TodaysActions.js), counted in a
+ * banner row above the header
+ * Columns are configured in the Control Sheet Columns tab (ColumnConfig.js)
+ * and rendered by the shared deal table (DealTable.js)
  * 
  * Note: Uses TAB_PIPELINE constant from SheetProvisioner.js
  */
@@ -11,74 +18,18 @@
 // FIELD CONFIGURATION
 // ============================================================================
 
-// Stage mapping (ID to Name)
-const STAGE_MAP = {
-  '90284257': 'Create Curiosity',
-  '90284258': 'Needs Analysis',
-  '90284259': 'Demonstrating Value',
-  '90284260': 'Partnership Proposal',
-  '90284261': 'Negotiation',
-  '90284262': 'Partnership Confirmed'
-};
+// Columns come from the Control Sheet Columns tab (ColumnConfig.js)
+// Stage labels come from the live HubSpot stage catalog (StageCatalog.js)
 
-// Core deal fields (always visible)
-const CORE_FIELDS = [
-  { property: 'dealname', header: 'Deal Name', hyperlink: true, type: 'text' },
-  { property: 'dealstage', header: 'Stage', type: 'text', useMapping: true },
-  { property: 'notes_last_updated', header: 'Last Activity', type: 'date' },
-  { property: 'notes_next_activity_date', header: 'Next Activity', type: 'date' },
-  { property: 'next_task_name', header: 'Next Task Name', enabled: false, type: 'text' }, // Future: needs API permissions
-  { property: 'why_not_purchase_today_', header: 'Why Not Purchase Today', type: 'text' },
-  { property: 'sales_note_to_lc', header: 'calls history', type: 'text' }
-];
-
-// Call quality score fields (color-coded red-yellow-green)
-const CALL_QUALITY_FIELDS = [
-  { property: 's_discovery_a_questioning_technique', header: 'DISCOVERY', colorCode: true, type: 'number' },
-  { property: 's_discovery_a_empathy__rapport_building_and_active_listening', header: 'TRUST', colorCode: true, type: 'number' },
-  { property: 's_building_value_a_recap_of_students_needs', header: 'RECAP NEEDS', colorCode: true, type: 'number' },
-  { property: 's_building_value_a_tailoring_features_and_benefits', header: 'TAILORING FEATURES', colorCode: true, type: 'number' },
-  { property: 's_gaining_an_affirmation_and_program_requirements__a_gaining_affirmation', header: 'PROGRAM ALIGNMENT', colorCode: true, type: 'number' },
-  { property: 's_gaining_an_affirmation_and_program_requirements__a_essential_program_requirements', header: 'REQUIREMENTS', colorCode: true, type: 'number' },
-  { property: 's_funding_options__a_identifying_funding_needs', header: 'FUNDING NEEDS', colorCode: true, type: 'number' },
-  { property: 's_funding_options__a_presenting_funding_solutions', header: 'FUNDING SOLUTION', colorCode: true, type: 'number' },
-  { property: 's_funding_options__a_securing_financial_commitment', header: 'FUNDING COMMITMENT', colorCode: true, type: 'number' },
-  { property: 's_addressing_objections_a_identifying_and_addressing_objections_and_obstacles', header: 'OBJECTIONS', colorCode: true, type: 'number' },
-  { property: 's_closing_the_deal__a_creating_a_sense_of_urgency', header: 'URGENCY', colorCode: true, type: 'number' },
-  { property: 's_closing_the_deal__a_assuming_the_sale', header: 'ASSUME SALE', colorCode: true, type: 'number' },
-  { property: 's_closing_the_deal__a_ask_for_referral', header: 'REFERRAL', colorCode: true, type: 'number' }
-];
-
-// Manual note columns (editable, preserved across refreshes)
-const MANUAL_FIELDS = [
-  { header: 'Note 1', editable: true, preserve: true },
-  { header: 'Note 2', editable: true, preserve: true }
-];
-
-// Director columns (set by director, synced from Director Hub)
-const DIRECTOR_FIELDS = [
-  { header: 'Director Priority', preserve: true },
-  { header: 'Director Note', preserve: true }
-];
+// Row 1 is the Today's Actions banner, the table starts below it
+const PIPELINE_REVIEW_HEADER_ROW = 2;
 
 /**
- * Gets all enabled properties to fetch from HubSpot
+ * Gets all properties to fetch from HubSpot
  * @returns {Array<string>} Array of property names
  */
 function getPipelineReviewProperties() {
-  const properties = [];
-  
-  // Add core fields (only enabled ones)
-  CORE_FIELDS.forEach(field => {
-    if (field.enabled !== false) {
-      properties.push(field.property);
-    }
-  });
-  
-  // Add call quality fields
-  CALL_QUALITY_FIELDS.forEach(field => {
-    properties.push(field.property);
-  });
+  const properties = getColumnProperties();
   
   // Add standard fields always needed
   if (!properties.includes('hubspot_owner_id')) {
@@ -92,43 +43,24 @@ function getPipelineReviewProperties() {
   if (!properties.includes('warm_prospects')) {
     properties.push('warm_prospects');
   }
-  
+
+  // Add computed column and forecast inputs (see DealHealth.js, StalenessRules.js, StageVelocity.js, Forecast.js)
+  [...getDealHealthProperties(), ...getStalenessProperties(), ...getStageVelocityProperties(), ...getForecastProperties()].forEach(property => {
+    if (!properties.includes(property)) {
+      properties.push(property);
+    }
+  });
+
   return properties;
 }
 
 /**
  * Gets all column headers in order
+ * @param {string} [role] - 'ae' (default) or 'director'
  * @returns {Array<string>} Array of header names
  */
-function getPipelineReviewHeaders() {
-  const headers = [];
-  
-  // First 5 core fields (A-E)
-  for (let i = 0; i < 5 && i < CORE_FIELDS.length; i++) {
-    headers.push(CORE_FIELDS[i].header);
-  }
-  
-  // Director fields at positions 6-7 (F-G)
-  DIRECTOR_FIELDS.forEach(field => {
-    headers.push(field.header);
-  });
-  
-  // Remaining core fields (from position 6 onwards)
-  for (let i = 5; i < CORE_FIELDS.length; i++) {
-    headers.push(CORE_FIELDS[i].header);
-  }
-  
-  // Call quality fields
-  CALL_QUALITY_FIELDS.forEach(field => {
-    headers.push(field.header);
-  });
-  
-  // Manual fields
-  MANUAL_FIELDS.forEach(field => {
-    headers.push(field.header);
-  });
-  
-  return headers;
+function getPipelineReviewHeaders(role = 'ae') {
+  return getColumns(role).map(column => column.header);
 }
 
 // ============================================================================
@@ -139,9 +71,12 @@ function getPipelineReviewHeaders() {
  * Updates the Pipeline Review tab for a salesperson
  * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
  * @param {Object} person - Person object {name, email}
+ * @param {Object} [snapshot] - Team deal snapshot (see buildDealSnapshot); fetched live if omitted
  * @returns {Object} Update result
  */
-function updatePipelineReview(individualSheet, person) {
+function updatePipelineReview(individualSheet, person, snapshot = null) {
+  let writeBackLock = null;
+  
   try {
     Logger.log(`[Pipeline Review] Updating for ${person.name}...`);
     
@@ -152,39 +87,67 @@ function updatePipelineReview(individualSheet, person) {
       throw new Error(`Pipeline Review tab not found for ${person.name}`);
     }
     
-    // Step 1: Capture existing notes and formatting BEFORE clearing
+    // Live write-back edits (onEdit) wait until the sheet is restored
+    writeBackLock = acquireWriteBackLock();
+    
+    // Step 1: Capture existing notes, formatting and rows (for the change log) BEFORE clearing
     Logger.log('  Step 1: Capturing existing notes and formatting...');
     const preserved = capturePreservedData(sheet);
+    const baseline = captureChangeBaseline(sheet);
     
-    // Step 2: Fetch deals from HubSpot
-    Logger.log('  Step 2: Fetching deals from HubSpot...');
-    const properties = getPipelineReviewProperties();
-    const options = {};
-    
-    // Pass HubSpot User ID if available
-    if (person.hubspotUserId && person.hubspotUserId !== '') {
-      options.hubspotUserId = person.hubspotUserId;
-    }
-    
-    const deals = fetchDealsByOwner(person.email, properties, options);
+    // Step 2: Get deals (team snapshot, or HubSpot directly)
+    Logger.log('  Step 2: Getting deals...');
+    const deals = getPipelineDealsForPerson(snapshot, person);
     Logger.log(`  Found ${deals.length} deals`);
     
-    // Step 3: Build data array
+    // Step 3: Sort (and optionally group by stage), then build data array
     Logger.log('  Step 3: Building data array...');
-    const { dataArray, urlMap, dealIdMap } = buildPipelineDataArray(deals);
+    const groupByStage = getFlagSetting('Pipeline Group By Stage');
+    const sortedDeals = sortDealsForTable(deals, {
+      sortBy: getSetting('Pipeline Sort'),
+      direction: getSetting('Pipeline Sort Direction'),
+      groupByStage: groupByStage,
+      role: 'ae'
+    });
+    const table = buildDealTable(sortedDeals, { role: 'ae', groupByStage: groupByStage });
+    const { dataArray, dealIdMap } = table;
+    
+    // Step 4: Diff against the previous refresh (Changes tab + Changed column)
+    Logger.log('  Step 4: Recording changes...');
+    const { changes, markers } = diffDealRows(baseline, dataArray, dealIdMap);
+    applyChangeMarkers(dataArray, markers);
+    appendChangeLog(individualSheet, TAB_CHANGES, changes, false);
+    
+    // Step 5: Archive notes of dropped deals, bring back notes of re-qualified ones
+    Logger.log('  Step 5: Syncing notes archive...');
+    const archiveResult = syncNotesArchive(individualSheet, preserved, dealIdMap);
+    
+    // Step 5.1: Write edited manual columns to HubSpot, pull values changed in HubSpot
+    Logger.log('  Step 5.1: Syncing write-back columns with HubSpot...');
+    const writeBackResult = syncWriteBackColumns(individualSheet, person, preserved, deals);
     
-    // Step 4: Clear and write data
-    Logger.log('  Step 4: Writing data to sheet...');
+    // Step 6: Clear and write data
+    Logger.log('  Step 6: Writing data to sheet...');
     sheet.clear();
-    writeDataToSheet(sheet, dataArray, urlMap);
+    writeDealTable(sheet, table, PIPELINE_REVIEW_HEADER_ROW);
     
-    // Step 5: Apply formatting
-    Logger.log('  Step 5: Applying formatting...');
-    applyPipelineFormatting(sheet, dataArray.length - 1); // -1 for header
+    // Step 7: Apply formatting
+    Logger.log('  Step 7: Applying formatting...');
+    formatDealTable(sheet, dataArray.length - 1, PIPELINE_REVIEW_HEADER_ROW, table.groupRows); // -1 for header
     
-    // Step 6: Restore preserved notes and formatting
-    Logger.log('  Step 6: Restoring preserved data...');
+    // Step 8: Restore preserved notes and formatting
+    Logger.log('  Step 8: Restoring preserved data...');
     restorePreservedData(sheet, preserved, dealIdMap);
+    markWriteBackConflicts(sheet, writeBackResult.conflictCells);
+    if (writeBackLock) {
+      writeBackLock.releaseLock();
+      writeBackLock = null;
+    }
+    
+    // Step 9: List stale/overdue deals and show the count above the table
+    Logger.log('  Step 9: Updating Today\'s Actions...');
+    const actionCount = updateTodaysActions(individualSheet, deals);
+    writeActionsBanner(sheet, actionCount, PIPELINE_REVIEW_HEADER_ROW);
     
     const duration = (new Date() - startTime) / 1000;
     Logger.log(`[Pipeline Review] Complete for ${person.name} (${duration}s)`);
@@ -192,6 +155,12 @@ function updatePipelineReview(individualSheet, person) {
     return {
       success: true,
       dealCount: deals.length,
+      changeCount: changes.length,
+      archivedCount: archiveResult.archived,
+      restoredCount: archiveResult.restored,
+      actionCount: actionCount,
+      writeBackCount: writeBackResult.written,
+      writeBackConflictCount: writeBackResult.conflicts,
       duration: duration
     };
     
@@ -201,250 +170,10 @@ function updatePipelineReview(individualSheet, person) {
       success: false,
       error: error.message
     };
-  }
-}
-
-// ============================================================================
-// DATA BUILDING
-// ============================================================================
-
-/**
- * Builds the data array for Pipeline Review sheet
- * @param {Array<Object>} deals - Raw deals from HubSpot
- * @returns {Object} {dataArray, urlMap, dealIdMap}
- */
-function buildPipelineDataArray(deals) {
-  const dataArray = [];
-  const urlMap = {}; // Map of row index to URL for hyperlinks
-  const dealIdMap = {}; // Map of row index to Deal ID (for preservation)
-  
-  // Headers
-  dataArray.push(getPipelineReviewHeaders());
-  
-  // Data rows
-  deals.forEach((deal, index) => {
-    const row = [];
-    const rowIndex = index + 2; // +2 because row 1 is header, index starts at 0
-    
-    // Store Deal ID for preservation (not displayed in sheet)
-    dealIdMap[rowIndex] = deal.id;
-    
-    // First 5 core fields (A-E)
-    for (let i = 0; i < 5 && i < CORE_FIELDS.length; i++) {
-      const field = CORE_FIELDS[i];
-      if (field.property === 'dealname') {
-        // Deal Name - will be hyperlinked
-        const dealName = extractDealProperty(deal, field.property);
-        row.push(dealName);
-        urlMap[rowIndex] = buildDealUrl(deal.id);
-      } else if (field.property === 'dealstage' && field.useMapping) {
-        // Stage - map ID to name
-        const stageId = extractDealProperty(deal, field.property);
-        row.push(STAGE_MAP[stageId] || stageId);
-      } else if (field.type === 'date') {
-        // Date fields
-        row.push(extractDateProperty(deal, field.property));
-      } else if (field.enabled === false) {
-        // Disabled field (Next Task Name) - leave blank
-        row.push('');
-      } else {
-        // Regular text field
-        row.push(extractDealProperty(deal, field.property));
-      }
-    }
-    
-    // Director fields at positions 6-7 (F-G) - blank initially, synced from Director Hub
-    DIRECTOR_FIELDS.forEach(() => {
-      row.push('');
-    });
-    
-    // Remaining core fields (from position 6 onwards)
-    for (let i = 5; i < CORE_FIELDS.length; i++) {
-      const field = CORE_FIELDS[i];
-      if (field.property === 'dealname') {
-        // Deal Name - will be hyperlinked
-        const dealName = extractDealProperty(deal, field.property);
-        row.push(dealName);
-        urlMap[rowIndex] = buildDealUrl(deal.id);
-      } else if (field.property === 'dealstage' && field.useMapping) {
-        // Stage - map ID to name
-        const stageId = extractDealProperty(deal, field.property);
-        row.push(STAGE_MAP[stageId] || stageId);
-      } else if (field.type === 'date') {
-        // Date fields
-        row.push(extractDateProperty(deal, field.property));
-      } else if (field.enabled === false) {
-        // Disabled field (Next Task Name) - leave blank
-        row.push('');
-      } else {
-        // Regular text field
-        row.push(extractDealProperty(deal, field.property));
-      }
-    }
-    
-    // Call quality fields (numeric)
-    CALL_QUALITY_FIELDS.forEach(field => {
-      row.push(extractNumericProperty(deal, field.property));
-    });
-    
-    // Manual fields (blank initially, will be restored if preserved)
-    MANUAL_FIELDS.forEach(() => {
-      row.push('');
-    });
-    
-    dataArray.push(row);
-  });
-  
-  return { dataArray, urlMap, dealIdMap };
-}
-
-// ============================================================================
-// SHEET WRITING
-// ============================================================================
-
-/**
- * Writes data to the Pipeline Review sheet
- * @param {Sheet} sheet - The sheet to write to
- * @param {Array<Array>} dataArray - 2D array of data
- * @param {Object} urlMap - Map of row index to URL for hyperlinks
- */
-function writeDataToSheet(sheet, dataArray, urlMap) {
-  if (dataArray.length === 0) {
-    return;
-  }
-  
-  // Write all data at once
-  const range = sheet.getRange(1, 1, dataArray.length, dataArray[0].length);
-  range.setValues(dataArray);
-  
-  // Apply hyperlinks to Deal Name column (Column A) - batch operation
-  const dealNameCol = 1; // Column A
-  const rowCount = dataArray.length - 1; // Exclude header
-  
-  if (rowCount > 0 && Object.keys(urlMap).length > 0) {
-    // Build rich text values array for all rows
-    const richTextValues = [];
-    
-    for (let i = 0; i < rowCount; i++) {
-      const rowIndex = i + 2; // +2 for header and 0-based
-      const dealName = dataArray[i + 1][0]; // +1 to skip header row
-      const url = urlMap[rowIndex];
-      
-      if (url && dealName) {
-        const richText = SpreadsheetApp.newRichTextValue()
-          .setText(dealName)
-          .setLinkUrl(url)
-          .build();
-        richTextValues.push([richText]);
-      } else {
-        richTextValues.push([dealName]); // Plain text if no URL
-      }
+  } finally {
+    if (writeBackLock) {
+      writeBackLock.releaseLock();
     }
-    
-    // Apply all hyperlinks at once
-    sheet.getRange(2, dealNameCol, rowCount, 1).setRichTextValues(richTextValues);
-  }
-}
-
-/**
- * Applies formatting to Pipeline Review sheet
- * @param {Sheet} sheet - The sheet to format
- * @param {number} dataRowCount - Number of data rows (excluding header)
- */
-function applyPipelineFormatting(sheet, dataRowCount) {
-  if (dataRowCount < 1) {
-    return;
-  }
-  
-  // Format header row
-  const headerRange = sheet.getRange(1, 1, 1, sheet.getLastColumn());
-  headerRange
-    .setFontWeight('bold')
-    .setBackground('#4285F4')
-    .setFontColor('#FFFFFF')
-    .setHorizontalAlignment('center');
-  
-  // Freeze header row
-  sheet.setFrozenRows(1);
-  
-  // Auto-resize columns
-  for (let col = 1; col <= sheet.getLastColumn(); col++) {
-    sheet.autoResizeColumn(col);
-  }
-  
-  // Set width and text wrapping for specific columns
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const whyNotPurchaseCol = headers.indexOf('Why Not Purchase Today') + 1;
-  const callsHistoryCol = headers.indexOf('calls history') + 1;
-  
-  if (whyNotPurchaseCol > 0) {
-    sheet.setColumnWidth(whyNotPurchaseCol, 250); // 250 pixels width
-    if (dataRowCount > 0) {
-      sheet.getRange(2, whyNotPurchaseCol, dataRowCount, 1).setWrap(true);
-    }
-  }
-  
-  if (callsHistoryCol > 0) {
-    sheet.setColumnWidth(callsHistoryCol, 250); // 250 pixels width
-    if (dataRowCount > 0) {
-      sheet.getRange(2, callsHistoryCol, dataRowCount, 1).setWrap(true);
-    }
-  }
-  
-  // Apply conditional formatting to call quality columns
-  applyCallQualityFormatting(sheet, dataRowCount);
-}
-
-/**
- * Applies red-yellow-green conditional formatting to call quality columns
- * @param {Sheet} sheet - The sheet to format
- * @param {number} dataRowCount - Number of data rows
- */
-function applyCallQualityFormatting(sheet, dataRowCount) {
-  if (dataRowCount < 1) {
-    return;
-  }
-  
-  // Find column indices for call quality fields
-  const headers = getPipelineReviewHeaders();
-  const rules = [];
-  
-  CALL_QUALITY_FIELDS.forEach(field => {
-    if (field.colorCode) {
-      const colIndex = headers.indexOf(field.header) + 1; // +1 for 1-based indexing
-      
-      if (colIndex > 0) {
-        const range = sheet.getRange(2, colIndex, dataRowCount, 1);
-        
-        // Create gradient rule: 0-5 scale with red (0) -> yellow (2.5) -> green (5)
-        const rule = SpreadsheetApp.newConditionalFormatRule()
-          .setGradientMinpointWithValue(
-            '#F4C7C3', // Light red
-            SpreadsheetApp.InterpolationType.NUMBER,
-            '0'
-          )
-          .setGradientMidpointWithValue(
-            '#FCE8B2', // Light yellow
-            SpreadsheetApp.InterpolationType.NUMBER,
-            '2.5'
-          )
-          .setGradientMaxpointWithValue(
-            '#B7E1CD', // Light green
-            SpreadsheetApp.InterpolationType.NUMBER,
-            '5'
-          )
-          .setRanges([range])
-          .build();
-        
-        rules.push(rule);
-      }
-    }
-  });
-  
-  // Apply all rules at once
-  if (rules.length > 0) {
-    sheet.setConditionalFormatRules(rules);
-    Logger.log(`  Applied conditional formatting to ${rules.length} call quality columns`);
   }
 }
 
@@ -454,120 +183,161 @@ function applyCallQualityFormatting(sheet, dataRowCount) {
 
 /**
  * Captures notes and formatting before refresh
+ * Sheets written before the Deal ID column existed are captured by Deal Name
+ * once, so existing notes migrate to ID keys on the next refresh.
  * @param {Sheet} sheet - The Pipeline Review sheet
- * @returns {Object} Preserved data indexed by row number (temporary, will map to Deal ID)
+ * @returns {Object} {byId, byName} - Preserved data indexed by Deal ID (byName only for legacy sheets)
  */
 function capturePreservedData(sheet) {
-  const preserved = {};
+  const preserved = { byId: {}, byName: {} };
   
+  const headerRow = getDealTableHeaderRow(sheet);
   const lastRow = sheet.getLastRow();
-  if (lastRow < 2) {
+  if (lastRow <= headerRow) {
     return preserved; // No data to preserve
   }
   
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const dealIdCol = headers.indexOf('Deal ID') + 1;
   const dealNameCol = headers.indexOf('Deal Name') + 1;
-  const note1Col = headers.indexOf('Note 1') + 1;
-  const note2Col = headers.indexOf('Note 2') + 1;
+  const stageCol = headers.indexOf('Stage') + 1;
+  const manualCols = getManualColumnIndexes(headers);
   const dirPriorityCol = headers.indexOf('Director Priority') + 1;
   const dirNoteCol = headers.indexOf('Director Note') + 1;
   
   // Read all data
-  const dataRange = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+  const dataRange = sheet.getRange(headerRow + 1, 1, lastRow - headerRow, sheet.getLastColumn());
   const values = dataRange.getValues();
   const backgrounds = dataRange.getBackgrounds();
   const fontColors = dataRange.getFontColors();
   const fontWeights = dataRange.getFontWeights();
   
-  // Capture by Deal Name
+  // Capture by Deal ID (or Deal Name for legacy sheets without a Deal ID column)
   for (let i = 0; i < values.length; i++) {
-    const dealName = dealNameCol > 0 ? values[i][dealNameCol - 1] : '';
+    const manual = {};
+    Object.keys(manualCols).forEach(header => {
+      manual[header] = values[i][manualCols[header] - 1];
+    });
+
+    const data = {
+      dealName: dealNameCol > 0 ? values[i][dealNameCol - 1] : '',
+      stage: stageCol > 0 ? values[i][stageCol - 1] : '',
+      manual: manual,
+      directorPriority: dirPriorityCol > 0 ? values[i][dirPriorityCol - 1] : '',
+      directorNote: dirNoteCol > 0 ? values[i][dirNoteCol - 1] : '',
+      backgrounds: backgrounds[i],
+      fontColors: fontColors[i],
+      fontWeights: fontWeights[i]
+    };
     
-    if (dealName && dealName !== '') {
-      preserved[dealName.toString()] = {
-        note1: note1Col > 0 ? values[i][note1Col - 1] : '',
-        note2: note2Col > 0 ? values[i][note2Col - 1] : '',
-        directorPriority: dirPriorityCol > 0 ? values[i][dirPriorityCol - 1] : '',
-        directorNote: dirNoteCol > 0 ? values[i][dirNoteCol - 1] : '',
-        backgrounds: backgrounds[i],
-        fontColors: fontColors[i],
-        fontWeights: fontWeights[i]
-      };
+    if (dealIdCol > 0) {
+      const dealId = values[i][dealIdCol - 1];
+      if (dealId !== '' && dealId !== null) {
+        preserved.byId[dealId.toString()] = data;
+      }
+    } else {
+      const dealName = dealNameCol > 0 ? values[i][dealNameCol - 1] : '';
+      if (dealName && dealName !== '') {
+        preserved.byName[dealName.toString()] = data;
+      }
     }
   }
   
-  Logger.log(`  Preserved data for ${Object.keys(preserved).length} deals`);
+  const byNameCount = Object.keys(preserved.byName).length;
+  if (byNameCount > 0) {
+    Logger.log(`  No Deal ID column, migrating ${byNameCount} deals by name`);
+  }
+  Logger.log(`  Preserved data for ${Object.keys(preserved.byId).length + byNameCount} deals`);
   return preserved;
 }
 
 /**
  * Restores preserved notes and formatting after refresh
  * @param {Sheet} sheet - The Pipeline Review sheet
- * @param {Object} preserved - Preserved data indexed by Deal Name
+ * @param {Object} preserved - Preserved data from capturePreservedData()
  * @param {Object} dealIdMap - Map of row index to Deal ID
  */
 function restorePreservedData(sheet, preserved, dealIdMap) {
-  if (Object.keys(preserved).length === 0) {
+  if (Object.keys(preserved.byId).length === 0 && Object.keys(preserved.byName).length === 0) {
     Logger.log('  No preserved data to restore');
     return;
   }
   
+  const headerRow = getDealTableHeaderRow(sheet);
   const lastRow = sheet.getLastRow();
-  if (lastRow < 2) {
+  if (lastRow <= headerRow) {
     return;
   }
   
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
   const dealNameCol = headers.indexOf('Deal Name') + 1;
-  const note1Col = headers.indexOf('Note 1') + 1;
-  const note2Col = headers.indexOf('Note 2') + 1;
+  const manualCols = getManualColumnIndexes(headers);
   const dirPriorityCol = headers.indexOf('Director Priority') + 1;
   const dirNoteCol = headers.indexOf('Director Note') + 1;
   
-  // Read all deal names at once
-  const dealNames = sheet.getRange(2, dealNameCol, lastRow - 1, 1).getValues();
+  // Read all deal names at once (only needed for the legacy name fallback)
+  const dealNames = sheet.getRange(headerRow + 1, dealNameCol, lastRow - headerRow, 1).getValues();
   
-  // Prepare batch updates
-  const note1Updates = [];
-  const note2Updates = [];
+  // Prepare batch updates (one column of values per manual column)
+  const manualUpdates = {};
+  Object.keys(manualCols).forEach(header => {
+    manualUpdates[header] = [];
+  });
   const dirPriorityUpdates = [];
   const dirNoteUpdates = [];
   let restoredCount = 0;
   
   // Build updates array
   for (let i = 0; i < dealNames.length; i++) {
+    const dealId = dealIdMap[i + 2]; // Table row: +2 for header and 0-based
     const dealName = dealNames[i][0];
+    const data = (dealId && preserved.byId[dealId.toString()]) ||
+      (dealName && preserved.byName[dealName.toString()]);
     
-    if (dealName && preserved[dealName.toString()]) {
-      const data = preserved[dealName.toString()];
-      
-      note1Updates.push([data.note1 || '']);
-      note2Updates.push([data.note2 || '']);
+    Object.keys(manualCols).forEach(header => {
+      const value = data && data.manual ? data.manual[header] : undefined;
+      manualUpdates[header].push([value === undefined || value === null ? '' : value]);
+    });
+    
+    if (data) {
       dirPriorityUpdates.push([data.directorPriority || '']);
       dirNoteUpdates.push([data.directorNote || '']);
       
       restoredCount++;
     } else {
-      note1Updates.push(['']);
-      note2Updates.push(['']);
       dirPriorityUpdates.push(['']);
       dirNoteUpdates.push(['']);
     }
   }
   
   // Apply all updates at once (batch)
-  if (note1Col > 0 && note1Updates.length > 0) {
-    sheet.getRange(2, note1Col, note1Updates.length, 1).setValues(note1Updates);
-  }
-  if (note2Col > 0 && note2Updates.length > 0) {
-    sheet.getRange(2, note2Col, note2Updates.length, 1).setValues(note2Updates);
-  }
+  Object.keys(manualCols).forEach(header => {
+    if (manualUpdates[header].length > 0) {
+      sheet.getRange(headerRow + 1, manualCols[header], manualUpdates[header].length, 1).setValues(manualUpdates[header]);
+    }
+  });
   if (dirPriorityCol > 0 && dirPriorityUpdates.length > 0) {
-    sheet.getRange(2, dirPriorityCol, dirPriorityUpdates.length, 1).setValues(dirPriorityUpdates);
+    sheet.getRange(headerRow + 1, dirPriorityCol, dirPriorityUpdates.length, 1).setValues(dirPriorityUpdates);
   }
   if (dirNoteCol > 0 && dirNoteUpdates.length > 0) {
-    sheet.getRange(2, dirNoteCol, dirNoteUpdates.length, 1).setValues(dirNoteUpdates);
+    sheet.getRange(headerRow + 1, dirNoteCol, dirNoteUpdates.length, 1).setValues(dirNoteUpdates);
   }
   
   Logger.log(`  Restored data for ${restoredCount} deals`);
 }
+
+/**
+ * Finds the manual columns (Columns tab) on a sheet
+ * @param {Array<string>} headers - Header row values
+ * @returns {Object} Map of header → column (1-based), for manual columns present
+ */
+function getManualColumnIndexes(headers) {
+  const manualCols = {};
+  getManualColumns().forEach(column => {
+    const col = headers.indexOf(column.header) + 1;
+    if (col > 0) {
+      manualCols[column.header] = col;
+    }
+  });
+  return manualCols;
+}
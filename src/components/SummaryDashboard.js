@@ -0,0 +1,154 @@
+/**
+ * Summary Dashboard Component
+ *
+ * Rebuilds the Control Sheet "📊 Summary Dashboard" tab on every run as a
+ * stack of sections. A section is {title, note, headers, rows}; add a
+ * builder to updateSummaryDashboard() for a new one.
+ *
+ * Sections:
+ * - Stage Velocity: median days per review stage over recently closed deals,
+ *   per AE and for the team
+ *
+ * Note: Uses TAB_SUMMARY constant from ConfigManager.js
+ */
+
+const SUMMARY_DASHBOARD_CONFIG = {
+  TITLE_FONT_SIZE: 12,
+  NOTE_FONT_COLOR: '#666666',
+  TEAM_ROW_BACKGROUND: '#E8F0FE' // Light blue
+};
+
+/**
+ * Rebuilds the Summary Dashboard
+ * @param {Spreadsheet} controlSheet - The control spreadsheet
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @returns {Object} Update result
+ */
+function updateSummaryDashboard(controlSheet, salespeople) {
+  try {
+    Logger.log('[Summary Dashboard] Updating...');
+    const startTime = new Date();
+
+    let sheet = findTab(controlSheet, TAB_SUMMARY, 'Summary Dashboard');
+    if (!sheet) {
+      sheet = controlSheet.insertSheet(TAB_SUMMARY);
+      Logger.log('  Created Summary Dashboard sheet');
+    }
+
+    const sections = [
+      buildStageVelocitySection(salespeople)
+    ];
+
+    sheet.clear();
+    let row = 1;
+    sections.forEach(section => {
+      row = writeSummarySection(sheet, row, section) + 1; // Blank row between sections
+    });
+
+    const duration = (new Date() - startTime) / 1000;
+    Logger.log(`[Summary Dashboard] Complete (${duration}s)`);
+
+    return {
+      success: true,
+      sectionCount: sections.length,
+      duration: duration
+    };
+
+  } catch (error) {
+    Logger.log(`[Summary Dashboard] Error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Writes one section: title, note, header row, data rows
+ * Rows whose first cell is 'Team' are highlighted as totals.
+ * @param {Sheet} sheet - Summary Dashboard sheet
+ * @param {number} startRow - First row of the section
+ * @param {Object} section - {title, note, headers, rows}
+ * @returns {number} Next free row
+ */
+function writeSummarySection(sheet, startRow, section) {
+  let row = startRow;
+
+  sheet.getRange(row, 1)
+    .setValue(section.title)
+    .setFontWeight('bold')
+    .setFontSize(SUMMARY_DASHBOARD_CONFIG.TITLE_FONT_SIZE);
+  row++;
+
+  if (section.note) {
+    sheet.getRange(row, 1)
+      .setValue(section.note)
+      .setFontColor(SUMMARY_DASHBOARD_CONFIG.NOTE_FONT_COLOR);
+    row++;
+  }
+
+  sheet.getRange(row, 1, 1, section.headers.length)
+    .setValues([section.headers])
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF')
+    .setHorizontalAlignment('center');
+  row++;
+
+  if (section.rows.length > 0) {
+    sheet.getRange(row, 1, section.rows.length, section.headers.length).setValues(section.rows);
+
+    section.rows.forEach((dataRow, index) => {
+      if (dataRow[0] === 'Team') {
+        sheet.getRange(row + index, 1, 1, section.headers.length)
+          .setFontWeight('bold')
+          .setBackground(SUMMARY_DASHBOARD_CONFIG.TEAM_ROW_BACKGROUND);
+      }
+    });
+    row += section.rows.length;
+  }
+
+  return row;
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+/**
+ * Builds the Stage Velocity section: median days per review stage
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @returns {Object} Section
+ */
+function buildStageVelocitySection(salespeople) {
+  const stageIds = getVelocityStageIds();
+  const headers = ['AE', ...stageIds.map(stageId => `${getStageLabel(stageId)} (median days)`), 'Closed Deals'];
+  const dealsByOwner = fetchStageVelocityDeals(salespeople);
+
+  const teamDeals = [];
+  const rows = salespeople.map(person => {
+    const deals = dealsByOwner[(person.hubspotUserId || '').toString()] || [];
+    teamDeals.push(...deals);
+    return buildStageVelocityRow(person.name, deals, stageIds);
+  });
+  rows.push(buildStageVelocityRow('Team', teamDeals, stageIds));
+
+  return {
+    title: '⏱ Stage Velocity',
+    note: 'Median days from entering a stage to leaving it, over the deals of the "Stage Velocity" view (by default closed in the last 6 months). Deals still in a stage are not counted, see Days in Stage.',
+    headers: headers,
+    rows: rows
+  };
+}
+
+/**
+ * Builds one velocity row
+ * @param {string} label - AE name or 'Team'
+ * @param {Array<Object>} deals - The AE's (or team's) deals
+ * @param {Array<string>} stageIds - Review stage IDs (column order)
+ * @returns {Array} Row values
+ */
+function buildStageVelocityRow(label, deals, stageIds) {
+  const medians = getMedianStageDays(deals);
+  return [label, ...stageIds.map(stageId => medians[stageId] ? medians[stageId].median : ''), deals.length];
+}
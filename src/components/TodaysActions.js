@@ -0,0 +1,106 @@
+/**
+ * Today's Actions Component
+ *
+ * Lists an AE's deals that break a staleness rule (StalenessRules.js) on the
+ * "⏰ Today's Actions" tab, most urgent first, and shows the count in a
+ * banner row above the Pipeline Review header.
+ *
+ * The tab is regenerated on every refresh; nothing typed into it is kept.
+ *
+ * Note: Uses TAB_TODAYS_ACTIONS constant from SheetProvisioner.js
+ */
+
+const TODAYS_ACTIONS_CONFIG = {
+  HEADERS: ['Priority', 'Deal Name', 'Stage', 'Issue', 'Last Activity', 'Next Activity', 'Deal ID'],
+  BANNER_ACTION_COLOR: '#F4C7C3', // Light red
+  BANNER_CLEAR_COLOR: '#B7E1CD' // Light green
+};
+
+/**
+ * Regenerates the Today's Actions tab from the AE's Pipeline Review deals
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Array<Object>} deals - Pipeline Review deals
+ * @returns {number} Number of deals listed
+ */
+function updateTodaysActions(individualSheet, deals) {
+  const staleDeals = findStaleDeals(deals);
+
+  let sheet = individualSheet.getSheetByName(TAB_TODAYS_ACTIONS);
+  if (!sheet) {
+    sheet = individualSheet.insertSheet(TAB_TODAYS_ACTIONS);
+    Logger.log(`  Created ${TAB_TODAYS_ACTIONS} sheet`);
+  }
+
+  const headers = TODAYS_ACTIONS_CONFIG.HEADERS;
+  const rows = staleDeals.map(stale => [
+    stale.priority,
+    extractDealProperty(stale.deal, 'dealname'),
+    getStageLabel(extractDealProperty(stale.deal, 'dealstage')),
+    stale.issues.join('; '),
+    extractDateProperty(stale.deal, 'notes_last_updated'),
+    extractDateProperty(stale.deal, 'notes_next_activity_date'),
+    stale.deal.id.toString()
+  ]);
+
+  sheet.clear();
+
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    const dealIdCol = headers.indexOf('Deal ID') + 1;
+    sheet.getRange(2, dealIdCol, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+
+    // Hyperlink deal names
+    const dealNameCol = headers.indexOf('Deal Name') + 1;
+    const richTextValues = staleDeals.map((stale, i) => [
+      SpreadsheetApp.newRichTextValue()
+        .setText(rows[i][dealNameCol - 1].toString())
+        .setLinkUrl(buildDealUrl(stale.deal.id))
+        .build()
+    ]);
+    sheet.getRange(2, dealNameCol, rows.length, 1).setRichTextValues(richTextValues);
+    sheet.getRange(2, headers.indexOf('Issue') + 1, rows.length, 1).setWrap(true);
+  }
+
+  for (let col = 1; col <= headers.length; col++) {
+    sheet.autoResizeColumn(col);
+  }
+
+  Logger.log(`  Today's Actions: ${rows.length} deals`);
+  return rows.length;
+}
+
+/**
+ * Writes the action count banner above the Pipeline Review header
+ * @param {Sheet} sheet - Pipeline Review sheet (written table, header below the banner)
+ * @param {number} actionCount - Number of deals on the Today's Actions tab
+ * @param {number} headerRow - Sheet row of the table header
+ */
+function writeActionsBanner(sheet, actionCount, headerRow) {
+  const text = actionCount > 0
+    ? `⏰ ${actionCount} to action today`
+    : '✅ Nothing to action today';
+  const color = actionCount > 0
+    ? TODAYS_ACTIONS_CONFIG.BANNER_ACTION_COLOR
+    : TODAYS_ACTIONS_CONFIG.BANNER_CLEAR_COLOR;
+
+  const lastColumn = Math.max(sheet.getLastColumn(), 1);
+  const headers = sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0];
+
+  // Text goes in the frozen Deal Name column (Deal ID is hidden), so it stays in view
+  const textCol = getDealTableLinkColumn(headers) || 1;
+
+  sheet.getRange(1, 1, headerRow - 1, lastColumn).setBackground(color);
+  sheet.getRange(1, textCol)
+    .setValue(text)
+    .setFontWeight('bold')
+    .setNote(`Deals breaking a staleness rule are listed on the ${TAB_TODAYS_ACTIONS} tab`);
+}
@@ -0,0 +1,127 @@
+/**
+ * Call Coaching
+ * Per-skill call quality summary over an AE's most recent scored deals
+ *
+ * Skills are the call quality columns (getCallQualityColumns(): 'hubspot'
+ * columns with Color Code, scored 0-5). For each skill, over the AE's last
+ * "Coaching Deal Count" Pipeline Review deals with at least one score (most
+ * recent activity first):
+ *   Average - mean of the deals scored on the skill
+ *   Min     - lowest score
+ *   Trend   - average of the newer half minus the older half (needs 2+ scores)
+ * The weakest skills are the lowest averages. Team benchmarks pool the recent
+ * deals of every AE, i.e. the deals on the Director Hub.
+ *
+ * Note: Setting keys are defined in ConfigManager.js (DEFAULT_SETTINGS)
+ */
+
+const CALL_COACHING_WEAK_SKILL_COUNT = 3;
+
+/**
+ * Gets the AE's most recent deals with a call quality score
+ * @param {Array<Object>} deals - Pipeline Review deals
+ * @returns {Array<Object>} Up to "Coaching Deal Count" deals, most recent activity first
+ */
+function getRecentScoredDeals(deals) {
+  const limit = parseInt(getSetting('Coaching Deal Count'), 10) || 20;
+  const skills = getCallQualityColumns();
+  const activityTime = deal => extractTimestampProperty(deal, 'notes_last_updated') || 0;
+
+  return deals
+    .filter(deal => skills.some(skill => extractNumericProperty(deal, skill.property) !== ''))
+    .sort((a, b) => activityTime(b) - activityTime(a))
+    .slice(0, limit);
+}
+
+/**
+ * Builds the coaching summary of a set of recent deals
+ * @param {Array<Object>} recentDeals - Deals from getRecentScoredDeals(), most recent first
+ * @returns {Object} {dealCount, skills: [{header, average, min, trend, count}], weakest: Array<header>}
+ *   average/min/trend are '' when the skill has no (or too few) scores
+ */
+function buildCoachingSummary(recentDeals) {
+  const skills = getCallQualityColumns().map(column => {
+    const scores = recentDeals
+      .map(deal => extractNumericProperty(deal, column.property))
+      .filter(value => value !== '');
+
+    return {
+      header: column.header,
+      average: roundCoachingScore(averageOf(scores)),
+      min: scores.length > 0 ? Math.min(...scores) : '',
+      trend: getCoachingTrend(scores),
+      count: scores.length
+    };
+  });
+
+  const weakest = skills
+    .filter(skill => skill.average !== '')
+    .sort((a, b) => a.average - b.average)
+    .slice(0, CALL_COACHING_WEAK_SKILL_COUNT)
+    .map(skill => skill.header);
+
+  return {
+    dealCount: recentDeals.length,
+    skills: skills,
+    weakest: weakest
+  };
+}
+
+/**
+ * Builds the summaries of every AE and the pooled team benchmark
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @param {Object} [snapshot] - Team deal snapshot; fetched live if omitted
+ * @returns {Object} {byEmail: Object<email, summary>, team: summary}
+ */
+function buildTeamCoachingSummaries(salespeople, snapshot) {
+  const byEmail = {};
+  const teamDeals = [];
+
+  salespeople.forEach(person => {
+    const recentDeals = getRecentScoredDeals(getPipelineDealsForPerson(snapshot, person));
+    byEmail[getSnapshotKey(person)] = buildCoachingSummary(recentDeals);
+    teamDeals.push(...recentDeals);
+  });
+
+  return {
+    byEmail: byEmail,
+    team: buildCoachingSummary(teamDeals)
+  };
+}
+
+/**
+ * Trend of a skill: newer half average minus older half average
+ * @param {Array<number>} scores - Scores, most recent first
+ * @returns {number|string} Difference (2 decimals), '' with fewer than 2 scores
+ */
+function getCoachingTrend(scores) {
+  if (scores.length < 2) {
+    return '';
+  }
+
+  const half = Math.floor(scores.length / 2);
+  const newer = scores.slice(0, half);
+  const older = scores.slice(scores.length - half);
+  return roundCoachingScore(averageOf(newer) - averageOf(older));
+}
+
+/**
+ * Averages numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Mean, null if empty
+ */
+function averageOf(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Rounds a score to 2 decimals
+ * @param {number|null} value - Score
+ * @returns {number|string} Rounded score, '' for null
+ */
+function roundCoachingScore(value) {
+  return value === null ? '' : Math.round(value * 100) / 100;
+}
@@ -0,0 +1,554 @@
+/**
+ * Column Config
+ * Pipeline Review / Director Hub columns from the Control Sheet Columns tab
+ *
+ * A column is a plain object:
+ *   {
+ *     header: 'Stage',          // Column header (also the key for preserved data)
+ *     property: 'dealstage',    // HubSpot property (or COMPUTED_COLUMNS key for 'computed')
+ *     source: 'hubspot',        // hubspot | director | manual | computed
+ *     type: 'stage',            // text | number | date | stage | link | id
+ *     position: 4,              // Sort order, left to right
+ *     colorCode: false,         // Red-yellow-green gradient (0-5 scores)
+ *     width: null,              // Pixels (null = auto-resize)
+ *     wrap: false,              // Wrap text
+ *     visibleAE: true,          // Shown in Pipeline Review / Ad Hoc research
+ *     visibleDirector: true,    // Shown in the Director Hub
+ *     validation: null,         // Data validation of 'manual' columns, see parseColumnValidation()
+ *     writeBack: ''             // 'manual' columns only: '' | property | note, see NoteWriteBack.js
+ *   }
+ *
+ * Types: 'link' is hyperlinked to the deal in HubSpot, 'stage' shows the stage
+ * label, 'id' is the hidden Deal ID row key (always shown, always hidden).
+ * Sources other than 'hubspot' start blank: 'director' columns are synced from
+ * the Director Hub, 'manual' columns are typed by AEs and preserved,
+ * 'computed' columns are filled by code: by the builder if their property is a
+ * COMPUTED_COLUMNS key in DealTable.js (e.g. deal_health), otherwise by the
+ * view (e.g. Changed).
+ *
+ * Manual columns are preserved by header, whatever their number or names,
+ * so renaming one starts it blank. Their Validation cell restricts input:
+ *   list: High, Medium, Low   - dropdown
+ *   date                      - valid date (date picker)
+ *   number / number: 0-100    - number, optionally between min and max
+ *   checkbox                  - TRUE/FALSE checkbox
+ * With the "HubSpot Write-Back" setting on, Write Back pushes edits to HubSpot:
+ *   property                  - two-way sync with the deal property in Property
+ *   note                      - each edit is added to the deal as a HubSpot note
+ *
+ * Headers used as keys in code must keep their names: Deal ID, Deal Name,
+ * Stage, Director Priority, Director Note.
+ *
+ * If the Columns tab has rows, they replace DEFAULT_COLUMNS entirely. Default
+ * columns added in later versions are appended to the tab once (Status
+ * "🆕 New default column"), after the default column they follow; deleting
+ * such a row afterwards is respected.
+ */
+
+const COLUMN_SOURCES = ['hubspot', 'director', 'manual', 'computed'];
+const COLUMN_TYPES = ['text', 'number', 'date', 'stage', 'link', 'id'];
+
+const COLUMN_VALIDATION_KINDS = ['list', 'date', 'number', 'checkbox'];
+const COLUMN_WRITE_BACK_TARGETS = ['property', 'note'];
+
+// Columns tab layout (Status is written back by validation; Validation and
+// Write Back came later and sit after it so existing tabs keep working)
+const COLUMNS_TAB_HEADERS = ['Header', 'Property', 'Source', 'Type', 'Position', 'Color Code', 'Width', 'Wrap', 'AE', 'Director', 'Status', 'Validation', 'Write Back'];
+
+// Built-in columns (used when the Columns tab is missing or empty)
+const DEFAULT_COLUMNS = [
+  { header: 'Deal ID', property: 'hs_object_id', source: 'hubspot', type: 'id' },
+  { header: 'Deal Name', property: 'dealname', source: 'hubspot', type: 'link' },
+  { header: 'Changed', property: '', source: 'computed', type: 'text' },
+  { header: 'Deal Health', property: 'deal_health', source: 'computed', type: 'number' },
+  { header: 'Health', property: 'deal_health_label', source: 'computed', type: 'text' },
+  { header: 'Stage', property: 'dealstage', source: 'hubspot', type: 'stage' },
+  { header: 'Days in Stage', property: 'days_in_stage', source: 'computed', type: 'number' },
+  { header: 'Close Date', property: 'closedate', source: 'hubspot', type: 'date' },
+  { header: 'Amount', property: 'amount', source: 'hubspot', type: 'number' },
+  { header: 'Probability %', property: 'stage_probability', source: 'computed', type: 'number' },
+  { header: 'Last Activity', property: 'notes_last_updated', source: 'hubspot', type: 'date' },
+  { header: 'Next Activity', property: 'notes_next_activity_date', source: 'hubspot', type: 'date' },
+  { header: 'Next Task Name', property: 'next_task_name', source: 'computed', type: 'text' },
+  { header: 'Next Task Due', property: 'next_task_due', source: 'computed', type: 'date' },
+  { header: 'Contact Email', property: 'contact_email', source: 'computed', type: 'text' },
+  { header: 'Contact Phone', property: 'contact_phone', source: 'computed', type: 'text' },
+  { header: 'Last Call', property: 'last_call_date', source: 'computed', type: 'date' },
+  { header: 'Last Call Outcome', property: 'last_call_outcome', source: 'computed', type: 'text' },
+  { header: 'Last Call Minutes', property: 'last_call_duration', source: 'computed', type: 'number' },
+  { header: 'Director Priority', property: '', source: 'director', type: 'text' },
+  { header: 'Director Note', property: '', source: 'director', type: 'text' },
+  { header: 'Flagged Since', property: 'flagged_since', source: 'computed', type: 'date', visibleAE: false },
+  { header: 'Times Flagged', property: 'times_flagged', source: 'computed', type: 'number', visibleAE: false },
+  { header: 'Why Not Purchase Today', property: 'why_not_purchase_today_', source: 'hubspot', type: 'text', width: 250, wrap: true },
+  { header: 'calls history', property: 'sales_note_to_lc', source: 'hubspot', type: 'text', width: 250, wrap: true },
+  // Call quality scores (0-5)
+  { header: 'DISCOVERY', property: 's_discovery_a_questioning_technique', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'TRUST', property: 's_discovery_a_empathy__rapport_building_and_active_listening', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'RECAP NEEDS', property: 's_building_value_a_recap_of_students_needs', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'TAILORING FEATURES', property: 's_building_value_a_tailoring_features_and_benefits', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'PROGRAM ALIGNMENT', property: 's_gaining_an_affirmation_and_program_requirements__a_gaining_affirmation', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'REQUIREMENTS', property: 's_gaining_an_affirmation_and_program_requirements__a_essential_program_requirements', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'FUNDING NEEDS', property: 's_funding_options__a_identifying_funding_needs', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'FUNDING SOLUTION', property: 's_funding_options__a_presenting_funding_solutions', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'FUNDING COMMITMENT', property: 's_funding_options__a_securing_financial_commitment', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'OBJECTIONS', property: 's_addressing_objections_a_identifying_and_addressing_objections_and_obstacles', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'URGENCY', property: 's_closing_the_deal__a_creating_a_sense_of_urgency', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'ASSUME SALE', property: 's_closing_the_deal__a_assuming_the_sale', source: 'hubspot', type: 'number', colorCode: true },
+  { header: 'REFERRAL', property: 's_closing_the_deal__a_ask_for_referral', source: 'hubspot', type: 'number', colorCode: true },
+  // Manual columns (editable, preserved across refreshes)
+  { header: 'Note 1', property: '', source: 'manual', type: 'text' },
+  { header: 'Note 2', property: '', source: 'manual', type: 'text' }
+].map((column, index) => normalizeColumn(Object.assign({ position: index + 1 }, column)));
+
+// Script Property listing the default headers already offered to the Columns tab
+const COLUMNS_OFFERED_DEFAULTS_KEY = 'COLUMNS_OFFERED_DEFAULTS';
+const NEW_DEFAULT_COLUMN_STATUS = '🆕 New default column (added automatically)';
+
+// Columns loaded once per run, see loadColumns()
+let columnsCache = null;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Loads all columns: the Columns tab if it has rows, otherwise DEFAULT_COLUMNS
+ * HubSpot columns are validated against the Properties API; the result is
+ * written to the tab's Status column.
+ * @returns {Array<Object>} Columns sorted by position
+ */
+function loadColumns() {
+  if (columnsCache) {
+    return columnsCache;
+  }
+
+  let columns = DEFAULT_COLUMNS;
+
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const columnsSheet = findTab(ss, TAB_COLUMNS, 'Columns');
+  let rows = [];
+
+  let addedHeaders = [];
+
+  if (columnsSheet && columnsSheet.getLastRow() >= 2) {
+    rows = columnsSheet.getRange(2, 1, columnsSheet.getLastRow() - 1, COLUMNS_TAB_HEADERS.length).getValues();
+
+    const addedRows = appendNewDefaultColumns(columnsSheet, rows);
+    addedHeaders = addedRows.map(row => row[0]);
+    rows = rows.concat(addedRows);
+
+    const fromSheet = parseColumnRows(rows);
+
+    if (fromSheet.length > 0) {
+      columns = fromSheet;
+      Logger.log(`Loaded ${columns.length} columns from ${TAB_COLUMNS}`);
+    }
+  }
+
+  columns = ensureDealIdColumn(columns).sort((a, b) => a.position - b.position);
+  validateColumnProperties(columns);
+  columns.forEach(column => {
+    // Warnings take precedence over the notice
+    if (addedHeaders.includes(column.header) && column.status === '✅ OK') {
+      column.status = NEW_DEFAULT_COLUMN_STATUS;
+    }
+  });
+
+  if (columnsSheet && rows.length > 0) {
+    writeColumnStatus(columnsSheet, rows, columns);
+  }
+
+  columnsCache = columns;
+  return columnsCache;
+}
+
+/**
+ * Appends default columns the Columns tab has never had (added in a later version)
+ * A default is present if a row has its header, or its property with the same
+ * source. Offered defaults are remembered, so deleting one of them sticks.
+ * @param {Sheet} sheet - Columns sheet
+ * @param {Array<Array>} rows - Current tab rows
+ * @returns {Array<Array>} Appended rows
+ */
+function appendNewDefaultColumns(sheet, rows) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const offeredValue = scriptProperties.getProperty(COLUMNS_OFFERED_DEFAULTS_KEY);
+  const offered = offeredValue ? JSON.parse(offeredValue) : [];
+
+  const isPresent = column => rows.some(row => {
+    const header = row[0] ? row[0].toString().trim() : '';
+    const property = row[1] ? row[1].toString().trim() : '';
+    const source = row[2] ? row[2].toString().trim().toLowerCase() : '';
+    return header === column.header ||
+      (column.property !== '' && property === column.property && source === column.source);
+  });
+
+  // Each new default goes right after the default column before it (if the tab has it)
+  const positionAfter = index => {
+    for (let i = index - 1; i >= 0; i--) {
+      const previous = rows.find(row => row[0] && row[0].toString().trim() === DEFAULT_COLUMNS[i].header);
+      const position = previous ? parseFloat(previous[4]) : NaN;
+      if (!isNaN(position)) return position;
+    }
+    return 0;
+  };
+
+  const defaultRows = getDefaultColumnRows();
+  const added = [];
+  DEFAULT_COLUMNS.forEach((column, index) => {
+    if (offered.includes(column.header) || isPresent(column)) return;
+
+    const row = defaultRows[index].slice();
+    row[4] = positionAfter(index) + (added.length + 1) / 100;
+    added.push(row);
+  });
+
+  if (added.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, added.length, COLUMNS_TAB_HEADERS.length).setValues(added);
+    Logger.log(`Added ${added.length} new default columns to ${TAB_COLUMNS}: ${added.map(row => row[0]).join(', ')}`);
+  }
+
+  scriptProperties.setProperty(COLUMNS_OFFERED_DEFAULTS_KEY, JSON.stringify(DEFAULT_COLUMNS.map(column => column.header)));
+  return added;
+}
+
+/**
+ * Parses Columns tab rows
+ * @param {Array<Array>} rows - Header | Property | Source | Type | Position | Color Code | Width | Wrap | AE | Director | Status | Validation | Write Back
+ * @returns {Array<Object>} Columns (rows without a header are skipped)
+ */
+function parseColumnRows(rows) {
+  const columns = [];
+
+  rows.forEach((row, index) => {
+    const header = row[0] ? row[0].toString().trim() : '';
+    if (!header) return;
+
+    if (columns.some(column => column.header === header)) {
+      Logger.log(`Warning: Duplicate column "${header}" in ${TAB_COLUMNS}, keeping the first`);
+      return;
+    }
+
+    const width = parseInt(row[6], 10);
+    const position = parseFloat(row[4]);
+    const validation = parseColumnValidation(row[11]);
+
+    columns.push(normalizeColumn({
+      header: header,
+      property: row[1] ? row[1].toString().trim() : '',
+      source: row[2] ? row[2].toString().trim().toLowerCase() : '',
+      type: row[3] ? row[3].toString().trim().toLowerCase() : '',
+      position: isNaN(position) ? 1000 + index : position,
+      colorCode: parseColumnFlag(row[5], false),
+      width: isNaN(width) ? null : width,
+      wrap: parseColumnFlag(row[7], false),
+      visibleAE: parseColumnFlag(row[8], true),
+      visibleDirector: parseColumnFlag(row[9], true),
+      validation: validation.rule,
+      validationError: validation.error,
+      writeBack: row[12] ? row[12].toString().trim().toLowerCase() : ''
+    }));
+  });
+
+  return columns;
+}
+
+/**
+ * Fills defaults and checks source/type
+ * @param {Object} column - Partial column
+ * @returns {Object} Column
+ */
+function normalizeColumn(column) {
+  const normalized = Object.assign({
+    property: '',
+    source: 'hubspot',
+    type: 'text',
+    colorCode: false,
+    width: null,
+    wrap: false,
+    visibleAE: true,
+    visibleDirector: true,
+    validation: null,
+    writeBack: '',
+    warnings: [], // Turned into status by validateColumnProperties()
+    status: ''
+  }, column);
+
+  if (!COLUMN_SOURCES.includes(normalized.source)) {
+    normalized.warnings.push(`Unknown source "${normalized.source}", using hubspot`);
+    normalized.source = 'hubspot';
+  }
+  if (!COLUMN_TYPES.includes(normalized.type)) {
+    normalized.warnings.push(`Unknown type "${normalized.type}", using text`);
+    normalized.type = 'text';
+  }
+  if (normalized.writeBack && !COLUMN_WRITE_BACK_TARGETS.includes(normalized.writeBack)) {
+    normalized.warnings.push(`Unknown write back "${normalized.writeBack}", not written back`);
+    normalized.writeBack = '';
+  }
+
+  return normalized;
+}
+
+/**
+ * Parses a Y/N cell (checkboxes, TRUE/FALSE, Yes/No, Y/N)
+ * @param {*} value - Cell value
+ * @param {boolean} defaultValue - Value for blank cells
+ * @returns {boolean}
+ */
+function parseColumnFlag(value, defaultValue) {
+  if (value === true || value === false) {
+    return value;
+  }
+  const text = value === null || value === undefined ? '' : value.toString().trim().toLowerCase();
+  if (text === '') {
+    return defaultValue;
+  }
+  return ['y', 'yes', 'true', '1', 'x'].includes(text);
+}
+
+/**
+ * Parses a Validation cell
+ * @param {*} value - Cell value, e.g. "list: High, Medium, Low", "date", "number: 0-100", "checkbox"
+ * @returns {Object} {rule: {kind, values, min, max} or null, error: string}
+ */
+function parseColumnValidation(value) {
+  const text = value === null || value === undefined ? '' : value.toString().trim();
+  if (text === '') {
+    return { rule: null, error: '' };
+  }
+
+  const separator = text.indexOf(':');
+  const kind = (separator === -1 ? text : text.substring(0, separator)).trim().toLowerCase();
+  const argument = separator === -1 ? '' : text.substring(separator + 1).trim();
+
+  if (!COLUMN_VALIDATION_KINDS.includes(kind)) {
+    return { rule: null, error: `Unknown validation "${text}"` };
+  }
+
+  if (kind === 'list') {
+    const values = argument.split(',').map(item => item.trim()).filter(item => item !== '');
+    if (values.length === 0) {
+      return { rule: null, error: 'List validation without values' };
+    }
+    return { rule: { kind: kind, values: values }, error: '' };
+  }
+
+  if (kind === 'number' && argument) {
+    const bounds = argument.match(/^(-?[\d.]+)\s*-\s*(-?[\d.]+)$/);
+    if (!bounds || isNaN(parseFloat(bounds[1])) || isNaN(parseFloat(bounds[2]))) {
+      return { rule: null, error: `Number range "${argument}" should look like 0-100` };
+    }
+    return { rule: { kind: kind, min: parseFloat(bounds[1]), max: parseFloat(bounds[2]) }, error: '' };
+  }
+
+  return { rule: { kind: kind }, error: '' };
+}
+
+/**
+ * Makes sure the Deal ID row key column exists (preservation depends on it)
+ * @param {Array<Object>} columns - Columns
+ * @returns {Array<Object>} Columns including Deal ID
+ */
+function ensureDealIdColumn(columns) {
+  if (columns.some(column => column.type === 'id')) {
+    return columns;
+  }
+  Logger.log(`Warning: No Deal ID column in ${TAB_COLUMNS}, adding it`);
+  return [Object.assign({}, DEFAULT_COLUMNS[0], { position: -1 })].concat(columns);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks HubSpot columns against the Properties API
+ * Unknown properties are left out of fetches (the column stays, blank) and
+ * flagged in column.status. Validation is skipped if the API is unavailable.
+ * Computed columns must name a known COMPUTED_COLUMNS key (or none), and
+ * manual columns written back to a property must name a known property.
+ * All problems of a column are joined into its status and logged once.
+ * @param {Array<Object>} columns - Columns (status/valid are set in place)
+ */
+function validateColumnProperties(columns) {
+  let propertyNames = null;
+
+  try {
+    propertyNames = getDealPropertyNames();
+  } catch (error) {
+    Logger.log(`Warning: Could not validate column properties: ${error.message}`);
+  }
+
+  columns.forEach(column => {
+    const warnings = column.warnings.slice();
+    column.valid = true;
+
+    if (column.validationError) {
+      warnings.push(column.validationError);
+    } else if (column.validation && column.source !== 'manual') {
+      warnings.push('Validation only applies to manual columns');
+    }
+
+    if (column.writeBack && column.source !== 'manual') {
+      warnings.push('Write back only applies to manual columns');
+      column.writeBack = '';
+    } else if (column.writeBack === 'property' &&
+      (!column.property || (propertyNames && !propertyNames.includes(column.property)))) {
+      column.valid = false;
+      warnings.push(column.property
+        ? `Unknown HubSpot property "${column.property}", not written back`
+        : 'Write back to a property without a property');
+    }
+
+    if (column.source === 'computed' && column.property && !COMPUTED_COLUMNS[column.property]) {
+      column.valid = false;
+      warnings.push(`Unknown computed value "${column.property}"`);
+    } else if (column.source === 'hubspot' && !column.property) {
+      column.valid = false;
+      warnings.push('HubSpot column without a property');
+    } else if (column.source === 'hubspot' && propertyNames && column.type !== 'id' &&
+      !propertyNames.includes(column.property)) {
+      column.valid = false;
+      warnings.push(`Unknown HubSpot property "${column.property}"`);
+    }
+
+    if (warnings.length > 0) {
+      column.status = `⚠️ ${warnings.join('; ')}`;
+      Logger.log(`Warning: Column "${column.header}": ${warnings.join('; ')}`);
+    } else {
+      column.status = '✅ OK';
+    }
+  });
+}
+
+/**
+ * Writes validation results to the Columns tab Status column
+ * @param {Sheet} sheet - Columns sheet
+ * @param {Array<Array>} rows - Rows read by loadColumns()
+ * @param {Array<Object>} columns - Validated columns
+ */
+function writeColumnStatus(sheet, rows, columns) {
+  const statuses = rows.map(row => {
+    const header = row[0] ? row[0].toString().trim() : '';
+    const column = columns.find(col => col.header === header);
+    return [column ? column.status : ''];
+  });
+
+  sheet.getRange(2, COLUMNS_TAB_HEADERS.indexOf('Status') + 1, statuses.length, 1).setValues(statuses);
+}
+
+/**
+ * Flags columns left blank this run in the Columns tab Status (e.g. a missing
+ * HubSpot scope), where admins look. The next run's loadColumns() resets it.
+ * @param {Array<string>} properties - Computed properties of the columns
+ * @param {string} message - Why they are blank
+ */
+function flagBlankColumnStatus(properties, message) {
+  try {
+    const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+    const sheet = findTab(ss, TAB_COLUMNS, 'Columns');
+    if (!sheet || sheet.getLastRow() < 2) {
+      return;
+    }
+
+    const statusCol = COLUMNS_TAB_HEADERS.indexOf('Status') + 1;
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach((row, index) => {
+      const property = row[1] ? row[1].toString().trim() : '';
+      const source = row[2] ? row[2].toString().trim().toLowerCase() : '';
+      if (source === 'computed' && properties.includes(property)) {
+        sheet.getRange(index + 2, statusCol).setValue(`⚠️ Blank: ${message}`);
+      }
+    });
+  } catch (error) {
+    Logger.log(`Warning: Could not update ${TAB_COLUMNS} status: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// ACCESSORS
+// ============================================================================
+
+/**
+ * Gets the columns shown to a role, in display order
+ * @param {string} role - 'ae' (Pipeline Review, Ad Hoc) or 'director' (Director Hub)
+ * @returns {Array<Object>} Columns
+ */
+function getColumns(role) {
+  return loadColumns().filter(column => {
+    if (column.type === 'id') return true; // Row key, always present (hidden)
+    return role === 'director' ? column.visibleDirector : column.visibleAE;
+  });
+}
+
+/**
+ * Gets the HubSpot properties needed for all columns (incl. write-back properties of manual columns)
+ * @returns {Array<string>} Property names
+ */
+function getColumnProperties() {
+  const properties = [];
+  loadColumns().forEach(column => {
+    const fetched = column.source === 'hubspot' || column.writeBack === 'property';
+    if (fetched && column.valid && column.property && !properties.includes(column.property)) {
+      properties.push(column.property);
+    }
+  });
+  return properties;
+}
+
+/**
+ * Gets the manual columns (typed by AEs, preserved by header)
+ * @returns {Array<Object>} Columns
+ */
+function getManualColumns() {
+  return loadColumns().filter(column => column.source === 'manual');
+}
+
+/**
+ * Gets the call quality score columns (color-coded HubSpot numbers)
+ * @returns {Array<Object>} Columns
+ */
+function getCallQualityColumns() {
+  return loadColumns().filter(column => column.colorCode && column.source === 'hubspot');
+}
+
+/**
+ * Serializes DEFAULT_COLUMNS as Columns tab rows (used when creating the tab)
+ * @returns {Array<Array>} Rows in COLUMNS_TAB_HEADERS order
+ */
+function getDefaultColumnRows() {
+  return DEFAULT_COLUMNS.map(column => [
+    column.header,
+    column.property,
+    column.source,
+    column.type,
+    column.position,
+    column.colorCode ? 'Y' : '',
+    column.width || '',
+    column.wrap ? 'Y' : '',
+    column.visibleAE ? 'Y' : 'N',
+    column.visibleDirector ? 'Y' : 'N',
+    '',
+    formatColumnValidation(column.validation),
+    column.writeBack
+  ]);
+}
+
+/**
+ * Formats a validation rule back to its Validation cell text
+ * @param {Object|null} rule - From parseColumnValidation()
+ * @returns {string} Cell text ('' for none)
+ */
+function formatColumnValidation(rule) {
+  if (!rule) {
+    return '';
+  }
+  if (rule.kind === 'list') {
+    return `list: ${rule.values.join(', ')}`;
+  }
+  if (rule.kind === 'number' && rule.min !== undefined) {
+    return `number: ${rule.min}-${rule.max}`;
+  }
+  return rule.kind;
+}
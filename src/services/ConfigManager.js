@@ -11,6 +11,46 @@ const TAB_CONFIG = '👥 Salespeople Config';
 const TAB_GOALS = '🎯 Goals & Quotas';
 const TAB_TECH = '🔧 Tech Access';
 const TAB_SUMMARY = '📊 Summary Dashboard';
+const TAB_SETTINGS = '⚙️ Settings';
+const TAB_VIEWS = '🔎 Views';
+const TAB_TEAM_CHANGES = '🕑 Team Changes';
+const TAB_COLUMNS = '🧱 Columns';
+const TAB_STALENESS_RULES = '⏰ Staleness Rules';
+const TAB_WRITE_BACK_LOG = '📝 Write-Back Log';
+const TAB_STAGE_PROBABILITIES = '🎲 Stage Probabilities';
+const TAB_TEAM_FORECAST = '📈 Team Forecast';
+const TAB_TEAM_COACHING = '🎯 Team Coaching';
+const TAB_DIRECTORS = '🧭 Directors';
+const TAB_FLAG_HISTORY = '📜 Flag History';
+
+// Default values for the Settings tab (Key | Value | Description)
+// Any key missing from the tab falls back to these
+const DEFAULT_SETTINGS = {
+  'Deal Pipeline': { value: '', description: 'HubSpot deal pipeline label (blank = match stages in any pipeline)' },
+  'Open Review Stages': { value: 'Demonstrating Value, Partnership Proposal, Negotiation', description: 'Comma-separated stage labels shown in Pipeline Review' },
+  'Enrolled Stage': { value: 'Partnership Confirmed', description: 'Stage label counted as an enrollment' },
+  'Pipeline Review View': { value: 'Pipeline Review', description: 'View (from the Views tab) used for Pipeline Review and Director Hub' },
+  'Enrollment View': { value: 'Enrollments', description: 'View (from the Views tab) used for Enrollment Tracker' },
+  'Business Month Start Day': { value: '1', description: 'Day of month a business month starts (1 = calendar month)' },
+  'Deal Store Full Sync Days': { value: '7', description: 'Days between full deal store syncs (other runs are incremental)' },
+  'Health Weight Activity': { value: '40', description: 'Deal Health weight of activity recency' },
+  'Health Weight Call Quality': { value: '35', description: 'Deal Health weight of the average call quality score' },
+  'Health Weight GTC': { value: '25', description: 'Deal Health weight of ability to pay / warm prospect ratings' },
+  'Health Activity Days': { value: '21', description: 'Days without activity at which the activity component reaches 0' },
+  'Health Healthy Min': { value: '70', description: 'Deal Health score labeled Healthy (this or higher)' },
+  'Health Stalled Below': { value: '40', description: 'Deal Health score labeled Stalled (below this); in between is At Risk' },
+  'Pipeline Sort': { value: 'Stage', description: 'Pipeline Review sort: a column header (e.g. Next Activity, Deal Health) or Stage for pipeline order' },
+  'Pipeline Sort Direction': { value: 'ASCENDING', description: 'ASCENDING or DESCENDING (blanks always last)' },
+  'Pipeline Group By Stage': { value: 'N', description: 'Y = stage section rows with deal count and average call quality' },
+  'Forecast Commit Probability': { value: '70', description: 'Stage probability (%) at which a deal closing this month is Commit' },
+  'Forecast Best Case Probability': { value: '40', description: 'Stage probability (%) at which a deal closing this month is Best Case (includes Commit)' },
+  'Coaching Deal Count': { value: '20', description: 'Coaching tabs: number of most recent scored deals per AE' },
+  'HubSpot Write-Back': { value: 'N', description: 'Y = push manual columns with a Write Back target (Columns tab) to HubSpot' },
+  'Director Emails': { value: '', description: 'Comma-separated director emails (on top of the Directors tab); with Tech Access, the only editors of HubSpot and director columns in AE sheets' }
+};
+
+// Settings loaded once per run, see loadSettings()
+let settingsCache = null;
 
 /**
  * Finds a tab by checking both emoji and non-emoji versions
@@ -23,6 +63,50 @@ function findTab(ss, emojiName, plainName) {
   return ss.getSheetByName(emojiName) || ss.getSheetByName(plainName);
 }
 
+/**
+ * Adds rows to the top of a log tab (newest first)
+ * Creates the tab with a styled header if missing (even with no rows) and
+ * drops the oldest rows beyond maxRows. Rows are inserted rather than
+ * rewritten, so concurrent runs (e.g. onEdit triggers) don't overwrite each
+ * other and a refresh doesn't rewrite the whole log.
+ * @param {Spreadsheet} ss - Spreadsheet holding the tab (Control Sheet or AE sheet)
+ * @param {string} emojiName - Tab name with emoji
+ * @param {string} plainName - Tab name without emoji
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Rows in headers order
+ * @param {number} maxRows - Rows kept below the header
+ * @param {Object} [numberFormats] - Map of column (1-based) → number format, set before the values ('@' = text)
+ */
+function prependLogRows(ss, emojiName, plainName, headers, rows, maxRows, numberFormats = {}) {
+  let sheet = findTab(ss, emojiName, plainName);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(emojiName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground('#4285F4')
+      .setFontColor('#FFFFFF')
+      .setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+    Logger.log(`  Created ${plainName} sheet`);
+  }
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  sheet.insertRowsBefore(2, rows.length);
+  Object.keys(numberFormats).forEach(column => {
+    sheet.getRange(2, Number(column), rows.length, 1).setNumberFormat(numberFormats[column]);
+  });
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+
+  const extraRows = sheet.getLastRow() - 1 - maxRows;
+  if (extraRows > 0) {
+    sheet.deleteRows(maxRows + 2, extraRows);
+  }
+}
+
 /**
  * Load configuration from Control Sheet
  * @returns {Object} Configuration object
@@ -38,8 +122,10 @@ function loadConfiguration() {
   
   const salespeople = configSheet.getRange('A2:H' + configSheet.getLastRow())
     .getValues()
-    .filter(row => row[0] && row[1]) // Name and Email required
-    .map(row => ({
+    .map((row, index) => ({ row, rowIndex: index + 2 })) // +2: header row, 0-based index
+    .filter(({ row }) => row[0] && row[1]) // Name and Email required
+    .map(({ row, rowIndex }) => ({
+      rowIndex: rowIndex, // Row in Salespeople Config (for write-backs)
       name: row[0],
       email: row[1],
       sheetId: row[2] || '', // May be empty for new people
@@ -80,6 +166,100 @@ function loadConfiguration() {
   };
 }
 
+/**
+ * Loads key/value settings from the Settings tab (cached for the run)
+ * @returns {Object} Map of setting key → value (string)
+ */
+function loadSettings() {
+  if (settingsCache) {
+    return settingsCache;
+  }
+  
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    settings[key] = DEFAULT_SETTINGS[key].value;
+  });
+  
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const settingsSheet = findTab(ss, TAB_SETTINGS, 'Settings');
+  
+  if (settingsSheet && settingsSheet.getLastRow() >= 2) {
+    const rows = settingsSheet.getRange(2, 1, settingsSheet.getLastRow() - 1, 2).getValues();
+    rows.forEach(row => {
+      const key = row[0] ? row[0].toString().trim() : '';
+      if (key && row[1] !== '') {
+        settings[key] = row[1].toString().trim();
+      }
+    });
+  } else {
+    Logger.log(`Warning: ${TAB_SETTINGS} tab not found or empty, using default settings`);
+  }
+  
+  settingsCache = settings;
+  return settingsCache;
+}
+
+/**
+ * Gets a single setting value
+ * @param {string} key - Setting key (as shown in the Settings tab)
+ * @returns {string} Setting value ('' if unset)
+ */
+function getSetting(key) {
+  const value = loadSettings()[key];
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Gets a comma-separated setting as a list
+ * @param {string} key - Setting key
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function getListSetting(key) {
+  return getSetting(key)
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value !== '');
+}
+
+/**
+ * Gets a Y/N setting
+ * @param {string} key - Setting key
+ * @returns {boolean} True for Y, Yes, TRUE, 1 or x
+ */
+function getFlagSetting(key) {
+  return ['y', 'yes', 'true', '1', 'x'].includes(getSetting(key).toString().trim().toLowerCase());
+}
+
+/**
+ * Fills in missing HubSpot User IDs from the owner directory
+ * Resolved IDs are written back to column E so later runs skip the lookup
+ * @param {Array<Object>} salespeople - Salespeople from loadConfiguration()
+ * @param {Sheet} configSheet - Salespeople Config sheet
+ * @returns {number} Number of IDs resolved
+ */
+function resolveSalespeopleOwnerIds(salespeople, configSheet) {
+  let resolvedCount = 0;
+  
+  salespeople.forEach(person => {
+    if (person.hubspotUserId && person.hubspotUserId !== '') {
+      return;
+    }
+    
+    const ownerId = getOwnerIdByEmail(person.email);
+    if (!ownerId) {
+      Logger.log(`  Warning: No HubSpot owner found for ${person.email}`);
+      return;
+    }
+    
+    person.hubspotUserId = ownerId;
+    configSheet.getRange(person.rowIndex, 5).setValue(ownerId); // Column E: HubSpot User ID
+    resolvedCount++;
+    Logger.log(`  Resolved HubSpot User ID for ${person.name}: ${ownerId}`);
+  });
+  
+  return resolvedCount;
+}
+
 /**
  * Get HubSpot API token from Script Properties
  * @returns {string} API token
@@ -0,0 +1,181 @@
+/**
+ * Deal Contacts
+ * Primary contact (email, phone) and last logged call of each deal
+ *
+ * Loaded in bulk like deal tasks (see DealTasks.js): once per run, the first
+ * time a table with a contact_* or last_call_* computed column is built, only
+ * for deals not loaded yet, through batched association and batch-read calls.
+ *
+ * The primary contact is the one associated with a "Primary" label, otherwise
+ * the first contact associated (lowest ID). The last call is the most recent
+ * call that isn't in the future (scheduled calls are skipped); its outcome is
+ * the label of hs_call_disposition.
+ *
+ * Contacts and calls each need their read scope on the HubSpot private app.
+ * Without one (403), its columns stay blank, a warning is logged once per run
+ * and shown in their Columns tab Status.
+ */
+
+const DEAL_CONTACT_PROPERTIES = ['email', 'phone', 'mobilephone'];
+const DEAL_CALL_PROPERTIES = ['hs_timestamp', 'hs_call_disposition', 'hs_call_duration'];
+
+// Computed columns filled from each associated object type
+const DEAL_CONTACT_COLUMNS = {
+  contacts: ['contact_email', 'contact_phone'],
+  calls: ['last_call_date', 'last_call_outcome', 'last_call_duration']
+};
+
+// Primary contact per deal ID (null = no contact), see loadDealContacts()
+const dealPrimaryContacts = {};
+
+// Last call per deal ID (null = no call), see loadDealCalls()
+const dealLastCalls = {};
+
+// Why contacts / calls couldn't be loaded this run ('' = loaded fine)
+const dealContactErrors = { contacts: '', calls: '' };
+
+/**
+ * Loads the primary contact of deals not loaded yet
+ * @param {Array<Object>} deals - Deals from HubSpot
+ */
+function loadDealContacts(deals) {
+  loadDealAssociationsInto('contacts', deals, DEAL_CONTACT_PROPERTIES, dealPrimaryContacts, pickPrimaryContact);
+}
+
+/**
+ * Loads the last call of deals not loaded yet
+ * @param {Array<Object>} deals - Deals from HubSpot
+ */
+function loadDealCalls(deals) {
+  loadDealAssociationsInto('calls', deals, DEAL_CALL_PROPERTIES, dealLastCalls, pickLastCall);
+}
+
+/**
+ * Fetches associated objects of deals not in the cache and stores one picked value per deal
+ * @param {string} objectType - 'contacts' or 'calls'
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @param {Array<string>} properties - Properties of the associated objects
+ * @param {Object} cache - Map of deal ID → picked value
+ * @param {Function} pick - Associated objects → value (or null)
+ */
+function loadDealAssociationsInto(objectType, deals, properties, cache, pick) {
+  if (dealContactErrors[objectType]) {
+    return;
+  }
+
+  const dealIds = deals
+    .map(deal => deal.id.toString())
+    .filter(dealId => !(dealId in cache));
+  if (dealIds.length === 0) {
+    return;
+  }
+
+  try {
+    const objectsByDeal = fetchDealAssociatedObjects(objectType, dealIds, properties);
+
+    dealIds.forEach(dealId => {
+      cache[dealId] = pick(objectsByDeal[dealId] || []);
+    });
+
+    Logger.log(`  Deal ${objectType}: loaded for ${dealIds.length} deals`);
+  } catch (error) {
+    dealContactErrors[objectType] = error.statusCode === 403
+      ? `HubSpot token lacks the ${objectType} read scope (403). Add it to the private app to fill these columns.`
+      : `Could not load deal ${objectType}: ${error.message}`;
+    Logger.log(`⚠️ ${dealContactErrors[objectType]}`);
+  }
+}
+
+/**
+ * Picks the primary contact: labeled "Primary", otherwise the lowest ID
+ * @param {Array<Object>} contacts - Associated contacts {id, labels, properties}
+ * @returns {Object|null} {email, phone}, null if the deal has no contact
+ */
+function pickPrimaryContact(contacts) {
+  if (contacts.length === 0) {
+    return null;
+  }
+
+  const byId = contacts.slice().sort((a, b) => Number(a.id) - Number(b.id));
+  const contact = byId.find(candidate => candidate.labels.some(label => /primary/i.test(label))) || byId[0];
+
+  return {
+    email: extractDealProperty(contact, 'email'),
+    phone: extractDealProperty(contact, 'phone') || extractDealProperty(contact, 'mobilephone')
+  };
+}
+
+/**
+ * Picks the most recent call that already happened
+ * @param {Array<Object>} calls - Associated calls {id, labels, properties}
+ * @returns {Object|null} {date, outcome, durationMinutes}, null if the deal has no past call
+ */
+function pickLastCall(calls) {
+  const now = new Date().getTime();
+  let last = null;
+  let lastTime = null;
+
+  calls.forEach(call => {
+    const time = extractTimestampProperty(call, 'hs_timestamp');
+    if (time === null || time > now) return;
+
+    if (lastTime === null || time > lastTime) {
+      last = call;
+      lastTime = time;
+    }
+  });
+
+  if (!last) {
+    return null;
+  }
+
+  const dispositionId = extractDealProperty(last, 'hs_call_disposition');
+  const durationMs = extractNumericProperty(last, 'hs_call_duration');
+
+  return {
+    date: new Date(lastTime),
+    outcome: dispositionId ? getCallOutcomeLabel(dispositionId) : '',
+    durationMinutes: durationMs === '' ? '' : Math.round(durationMs / 6000) / 10
+  };
+}
+
+/**
+ * Gets a call outcome label, falling back to the raw disposition ID
+ * @param {string} dispositionId - hs_call_disposition value
+ * @returns {string} Outcome label
+ */
+function getCallOutcomeLabel(dispositionId) {
+  try {
+    return getCallDispositionLabels()[dispositionId] || dispositionId;
+  } catch (error) {
+    return dispositionId;
+  }
+}
+
+/**
+ * Gets the primary contact of a deal (loadDealContacts() must have run for it)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {Object} {email, phone} (blank if none or not loaded)
+ */
+function getDealPrimaryContact(deal) {
+  return dealPrimaryContacts[deal.id.toString()] || { email: '', phone: '' };
+}
+
+/**
+ * Gets the last call of a deal (loadDealCalls() must have run for it)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {Object} {date, outcome, durationMinutes} (blank if none or not loaded)
+ */
+function getDealLastCall(deal) {
+  return dealLastCalls[deal.id.toString()] || { date: '', outcome: '', durationMinutes: '' };
+}
+
+/**
+ * Gets why contacts or calls couldn't be loaded this run
+ * @returns {Array<Object>} [{message, properties}] (empty if everything loaded or wasn't needed)
+ */
+function getDealContactErrors() {
+  return Object.keys(dealContactErrors)
+    .filter(objectType => dealContactErrors[objectType])
+    .map(objectType => ({ message: dealContactErrors[objectType], properties: DEAL_CONTACT_COLUMNS[objectType] }));
+}
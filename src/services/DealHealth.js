@@ -0,0 +1,174 @@
+/**
+ * Deal Health
+ * 0-100 score per deal rolling up activity recency, call quality and GTC signals
+ *
+ * Components (each 0-100):
+ *   Activity     - 100 on the day of the last activity, falling linearly to 0
+ *                  after "Health Activity Days"; 0 if the deal never had
+ *                  activity, so this component always has data
+ *   Call Quality - average call quality score (0-5) scaled to 0-100
+ *   GTC          - average of ability_to_pay and warm_prospects (1-5) scaled to 0-100
+ *
+ * The score is the weighted average of the components that have data
+ * (weights from the "Health Weight ..." settings); call quality and GTC are
+ * left out of it when the deal has no scores / ratings. Labels:
+ *   Healthy (>= "Health Healthy Min"), Stalled (< "Health Stalled Below"), At Risk otherwise
+ *
+ * Shown through computed columns (see COMPUTED_COLUMNS in DealTable.js).
+ * Note: Setting keys are defined in ConfigManager.js (DEFAULT_SETTINGS)
+ */
+
+const DEAL_HEALTH_LABELS = {
+  HEALTHY: 'Healthy',
+  AT_RISK: 'At Risk',
+  STALLED: 'Stalled'
+};
+
+const DEAL_HEALTH_GTC_PROPERTIES = ['ability_to_pay', 'warm_prospects'];
+
+// Scores computed once per deal per run, see getDealHealth()
+const dealHealthCache = {};
+
+/**
+ * Gets the health of a deal
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {Object} {score: number|'', label: string, components: Array<{name, value, weight}>}
+ */
+function getDealHealth(deal) {
+  if (dealHealthCache[deal.id]) {
+    return dealHealthCache[deal.id];
+  }
+
+  const components = [
+    { name: 'Activity', value: getActivityHealth(deal), weight: getHealthSetting('Health Weight Activity') },
+    { name: 'Call Quality', value: getCallQualityHealth(deal), weight: getHealthSetting('Health Weight Call Quality') },
+    { name: 'GTC', value: getGtcHealth(deal), weight: getHealthSetting('Health Weight GTC') }
+  ];
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  components.forEach(component => {
+    if (component.value === null || component.weight <= 0) return;
+    weightedSum += component.value * component.weight;
+    totalWeight += component.weight;
+  });
+
+  const score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : '';
+
+  const health = {
+    score: score,
+    label: getDealHealthLabel(score),
+    components: components
+  };
+
+  dealHealthCache[deal.id] = health;
+  return health;
+}
+
+/**
+ * Maps a score to its label
+ * @param {number|string} score - Score 0-100 ('' if unknown)
+ * @returns {string} Label ('' if unknown)
+ */
+function getDealHealthLabel(score) {
+  if (score === '') {
+    return '';
+  }
+  if (score >= getHealthSetting('Health Healthy Min')) {
+    return DEAL_HEALTH_LABELS.HEALTHY;
+  }
+  if (score < getHealthSetting('Health Stalled Below')) {
+    return DEAL_HEALTH_LABELS.STALLED;
+  }
+  return DEAL_HEALTH_LABELS.AT_RISK;
+}
+
+/**
+ * Formats the component breakdown (cell note)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {string} Note text
+ */
+function getDealHealthNote(deal) {
+  const health = getDealHealth(deal);
+  if (health.score === '') {
+    return 'No component with data and a weight above 0 (Health Weight settings)';
+  }
+
+  const lines = health.components.map(component => {
+    const value = component.value === null ? 'no data' : Math.round(component.value);
+    return `${component.name}: ${value} (weight ${component.weight})`;
+  });
+
+  return [`Deal Health ${health.score} - ${health.label}`, ...lines].join('\n');
+}
+
+/**
+ * Activity component: recency of the last activity
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number} 0-100, 0 if the deal has no activity date
+ */
+function getActivityHealth(deal) {
+  const lastActivity = extractTimestampProperty(deal, 'notes_last_updated');
+  if (lastActivity === null) {
+    return 0; // Never touched counts as fully stale
+  }
+
+  const days = Math.max(0, (new Date().getTime() - lastActivity) / (24 * 60 * 60 * 1000));
+  const staleDays = getHealthSetting('Health Activity Days') || 21;
+
+  return Math.max(0, 100 * (1 - days / staleDays));
+}
+
+/**
+ * Call quality component: average of the call quality columns
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number|null} 0-100, null if the deal has no scores
+ */
+function getCallQualityHealth(deal) {
+  const scores = getCallQualityColumns()
+    .map(column => extractNumericProperty(deal, column.property))
+    .filter(value => value !== '' && !isNaN(value));
+
+  if (scores.length === 0) {
+    return null;
+  }
+
+  const average = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+  return Math.min(100, Math.max(0, average / 5 * 100));
+}
+
+/**
+ * GTC component: ability to pay and warm prospect ratings
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number|null} 0-100, null if neither rating is set
+ */
+function getGtcHealth(deal) {
+  const ratings = DEAL_HEALTH_GTC_PROPERTIES
+    .map(property => extractNumericProperty(deal, property))
+    .filter(value => value !== '' && !isNaN(value));
+
+  if (ratings.length === 0) {
+    return null;
+  }
+
+  const average = ratings.reduce((sum, value) => sum + value, 0) / ratings.length;
+  return Math.min(100, Math.max(0, average / 5 * 100));
+}
+
+/**
+ * Gets the HubSpot properties the score needs (besides the call quality columns)
+ * @returns {Array<string>} Property names
+ */
+function getDealHealthProperties() {
+  return ['notes_last_updated', ...DEAL_HEALTH_GTC_PROPERTIES];
+}
+
+/**
+ * Reads a numeric health setting
+ * @param {string} key - Setting key
+ * @returns {number} Value (0 if not a number)
+ */
+function getHealthSetting(key) {
+  const value = parseFloat(getSetting(key));
+  return isNaN(value) ? 0 : value;
+}
@@ -0,0 +1,911 @@
+/**
+ * Deal Query
+ * Declarative deal queries ("views") and the shared search executor
+ *
+ * A view is a plain object:
+ *   {
+ *     filterGroups: [[{property, operator, value}]], // groups are OR'd, filters in a group AND'd
+ *     sorts: [{property, direction}],                 // ASCENDING | DESCENDING
+ *     properties: ['prop', ...]                       // fetched in addition to the caller's
+ *   }
+ *
+ * Values may use tokens resolved at run time:
+ *   {{owner}}             - owner ID(s) of the current fetch
+ *   {{openReviewStages}}  - stage IDs from the "Open Review Stages" setting
+ *   {{enrolledStage}}     - stage ID from the "Enrolled Stage" setting
+ *
+ * Besides HubSpot's own operators, date-relative operators are supported:
+ *   LAST_N_DAYS          - value = N, property >= now - N days
+ *   SINCE_MONTHS_AGO     - value = N, property >= first day of the month N months ago (0 = this month)
+ *   THIS_BUSINESS_MONTH  - property within the current business month ("Business Month Start Day" setting)
+ *
+ * Views are defined in the Control Sheet Views tab (TAB_VIEWS in ConfigManager.js).
+ * Rows for a view name replace the built-in definition below. Views fetched
+ * per AE (the built-ins and the "Pipeline Review View" / "Enrollment View"
+ * settings) need a {{owner}} filter in every group, otherwise their rows are
+ * ignored: each AE would get every team deal.
+ */
+
+// Built-in views (used when the Views tab doesn't define them)
+const DEFAULT_VIEWS = {
+  'Pipeline Review': {
+    filterGroups: [[
+      { property: 'hubspot_owner_id', operator: 'EQ', value: '{{owner}}' },
+      { property: 'dealstage', operator: 'IN', value: '{{openReviewStages}}' },
+      { property: 'createdate', operator: 'LAST_N_DAYS', value: '120' },
+      { property: 'closed_status', operator: 'NEQ', value: 'Closed lost (please specify the reason)' },
+      { property: 'ability_to_pay', operator: 'GTE', value: '3' }, // GTC = "Good To Close"
+      { property: 'warm_prospects', operator: 'GTE', value: '3' }
+    ]],
+    sorts: [],
+    properties: []
+  },
+  'Enrollments': {
+    filterGroups: [[
+      { property: 'hubspot_owner_id', operator: 'EQ', value: '{{owner}}' },
+      { property: 'dealstage', operator: 'EQ', value: '{{enrolledStage}}' },
+      { property: 'closed_status', operator: 'EQ', value: 'Closed won' },
+      { property: 'closedate', operator: 'SINCE_MONTHS_AGO', value: '1' } // Current month + last month
+    ]],
+    sorts: [],
+    properties: []
+  },
+  'Ad Hoc Research': {
+    filterGroups: [[
+      { property: 'hubspot_owner_id', operator: 'EQ', value: '{{owner}}' },
+      { property: 'dealstage', operator: 'IN', value: '{{openReviewStages}}' },
+      { property: 'createdate', operator: 'LAST_N_DAYS', value: '30' },
+      { property: 'closed_status', operator: 'NEQ', value: 'Closed lost (please specify the reason)' },
+      { property: 'ability_to_pay', operator: 'GTE', value: '3' },
+      { property: 'warm_prospects', operator: 'GTE', value: '3' }
+    ]],
+    sorts: [],
+    properties: []
+  },
+  'Stage Velocity': {
+    filterGroups: [[
+      { property: 'hubspot_owner_id', operator: 'EQ', value: '{{owner}}' },
+      { property: 'hs_is_closed', operator: 'EQ', value: 'true' },
+      { property: 'closedate', operator: 'SINCE_MONTHS_AGO', value: '6' }
+    ]],
+    sorts: [],
+    properties: []
+  }
+};
+
+// Date slicing used when a search exceeds HubSpot's 10,000-result cap
+const DEAL_QUERY_SLICE_CONFIG = {
+  MIN_WINDOW_MS: 60 * 60 * 1000, // Stop splitting below 1 hour
+  RANGE_OPERATORS: ['GT', 'GTE', 'LT', 'LTE', 'BETWEEN'], // Folded into the slice window
+  BLANK_OPERATORS: ['NOT_HAS_PROPERTY', 'NEQ', 'NOT_IN'], // Can match a blank value
+  MAX_GROUP_FILTERS: 6, // HubSpot search limits
+  MAX_FILTERS: 18
+};
+
+// Operators resolved client-side into HubSpot date filters
+const RELATIVE_DATE_OPERATORS = ['LAST_N_DAYS', 'SINCE_MONTHS_AGO', 'THIS_BUSINESS_MONTH'];
+
+// Views loaded once per run, see loadViews()
+let viewsCache = null;
+
+// View name → why its Views tab rows were ignored, see loadViews()
+const rejectedViewReasons = {};
+
+// ============================================================================
+// VIEW LOADING
+// ============================================================================
+
+/**
+ * Loads all views: built-in defaults overridden/extended by the Views tab
+ * Views tab columns: View | Kind (FILTER/SORT/PROPERTY) | Group | Property | Operator | Value
+ * @returns {Object} Map of view name → view
+ */
+function loadViews() {
+  if (viewsCache) {
+    return viewsCache;
+  }
+
+  const views = {};
+  Object.keys(DEFAULT_VIEWS).forEach(name => {
+    views[name] = DEFAULT_VIEWS[name];
+  });
+
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const viewsSheet = findTab(ss, TAB_VIEWS, 'Views');
+
+  if (viewsSheet && viewsSheet.getLastRow() >= 2) {
+    const rows = viewsSheet.getRange(2, 1, viewsSheet.getLastRow() - 1, 6).getValues();
+    const fromSheet = parseViewRows(rows);
+
+    Object.keys(fromSheet).forEach(name => {
+      const ownerError = getViewOwnerError(name, fromSheet[name]);
+      if (ownerError) {
+        rejectedViewReasons[name] = ownerError;
+        Logger.log(`Warning: ${ownerError}${DEFAULT_VIEWS[name] ? ', using the built-in view' : ''}`);
+        return;
+      }
+      views[name] = fromSheet[name];
+    });
+
+    Logger.log(`Loaded ${Object.keys(fromSheet).length} views from ${TAB_VIEWS}`);
+  }
+
+  viewsCache = views;
+  return viewsCache;
+}
+
+/**
+ * Parses Views tab rows into view objects
+ * @param {Array<Array>} rows - View | Kind | Group | Property | Operator | Value
+ * @returns {Object} Map of view name → view
+ */
+function parseViewRows(rows) {
+  const views = {};
+  const groupIndexes = {}; // view name → {group label → index in filterGroups}
+
+  rows.forEach(row => {
+    const name = row[0] ? row[0].toString().trim() : '';
+    const kind = row[1] ? row[1].toString().trim().toUpperCase() : '';
+    const property = row[3] ? row[3].toString().trim() : '';
+
+    if (!name || !kind || !property) return;
+
+    if (!views[name]) {
+      views[name] = { filterGroups: [], sorts: [], properties: [] };
+      groupIndexes[name] = {};
+    }
+
+    const view = views[name];
+
+    if (kind === 'FILTER') {
+      const groupLabel = row[2] === '' ? '1' : row[2].toString();
+      if (groupIndexes[name][groupLabel] === undefined) {
+        groupIndexes[name][groupLabel] = view.filterGroups.length;
+        view.filterGroups.push([]);
+      }
+      view.filterGroups[groupIndexes[name][groupLabel]].push({
+        property: property,
+        operator: row[4].toString().trim().toUpperCase(),
+        value: row[5] === '' ? '' : row[5].toString().trim()
+      });
+    } else if (kind === 'SORT') {
+      view.sorts.push({
+        property: property,
+        direction: (row[4] || 'ASCENDING').toString().trim().toUpperCase()
+      });
+    } else if (kind === 'PROPERTY') {
+      view.properties.push(property);
+    } else {
+      Logger.log(`Warning: Unknown kind "${kind}" for view "${name}" in ${TAB_VIEWS}`);
+    }
+  });
+
+  return views;
+}
+
+/**
+ * Checks that a view fetched per AE filters on the AE in every group
+ * @param {string} name - View name
+ * @param {Object} view - View from parseViewRows()
+ * @returns {string} Problem ('' if fine or not a per-AE view)
+ */
+function getViewOwnerError(name, view) {
+  const perAEViews = Object.keys(DEFAULT_VIEWS).concat([getSetting('Pipeline Review View'), getSetting('Enrollment View')]);
+  if (!perAEViews.includes(name)) {
+    return '';
+  }
+
+  const hasOwnerFilter = group => group.some(filter => filter.value.indexOf('{{owner}}') !== -1);
+  if (view.filterGroups.length > 0 && view.filterGroups.every(hasOwnerFilter)) {
+    return '';
+  }
+
+  return `View "${name}" in ${TAB_VIEWS} is fetched per AE but has a filter group without a hubspot_owner_id EQ {{owner}} row`;
+}
+
+/**
+ * Gets a view by name
+ * @param {string} name - View name
+ * @returns {Object} View
+ * @throws {Error} If the view doesn't exist (or its rows were ignored)
+ */
+function getView(name) {
+  const view = loadViews()[name];
+  if (!view) {
+    if (rejectedViewReasons[name]) {
+      throw new Error(`${rejectedViewReasons[name]}. Add the row to use it.`);
+    }
+    throw new Error(`View "${name}" not found. Define it in ${TAB_VIEWS}.`);
+  }
+  return view;
+}
+
+/**
+ * Serializes the built-in views as Views tab rows (used when creating the tab)
+ * @returns {Array<Array>} Rows: View | Kind | Group | Property | Operator | Value
+ */
+function getDefaultViewRows() {
+  const rows = [];
+
+  Object.keys(DEFAULT_VIEWS).forEach(name => {
+    const view = DEFAULT_VIEWS[name];
+
+    view.filterGroups.forEach((group, groupIndex) => {
+      group.forEach(filter => {
+        rows.push([name, 'FILTER', groupIndex + 1, filter.property, filter.operator, filter.value]);
+      });
+    });
+    view.sorts.forEach(sort => {
+      rows.push([name, 'SORT', '', sort.property, sort.direction, '']);
+    });
+    view.properties.forEach(property => {
+      rows.push([name, 'PROPERTY', '', property, '', '']);
+    });
+  });
+
+  return rows;
+}
+
+// ============================================================================
+// QUERY COMPILATION
+// ============================================================================
+
+/**
+ * Compiles a view into a HubSpot search request body
+ * @param {Object} view - View definition
+ * @param {Object} context - {ownerIds: Array<string>, properties: Array<string>}
+ * @returns {Object} Search payload (without paging cursor)
+ */
+function compileDealQuery(view, context) {
+  const payload = {
+    filterGroups: view.filterGroups.map(group => ({
+      filters: group.map(filter => compileFilter(filter, context))
+    })),
+    properties: mergeProperties(context.properties || [], view.properties || []),
+    limit: HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE
+  };
+
+  if (view.sorts && view.sorts.length > 0) {
+    payload.sorts = view.sorts.map(sort => ({
+      propertyName: sort.property,
+      direction: sort.direction
+    }));
+  }
+
+  return payload;
+}
+
+/**
+ * Compiles a single filter, resolving tokens and relative date operators
+ * @param {Object} filter - {property, operator, value}
+ * @param {Object} context - Query context
+ * @returns {Object} HubSpot filter
+ */
+function compileFilter(filter, context) {
+  const operator = filter.operator;
+
+  if (RELATIVE_DATE_OPERATORS.includes(operator)) {
+    const range = resolveRelativeDateRange(operator, filter.value);
+
+    if (range.end) {
+      return {
+        propertyName: filter.property,
+        operator: 'BETWEEN',
+        value: range.start.getTime().toString(),
+        highValue: (range.end.getTime() - 1).toString()
+      };
+    }
+
+    return {
+      propertyName: filter.property,
+      operator: 'GTE',
+      value: range.start.getTime().toString()
+    };
+  }
+
+  const value = resolveFilterValue(filter.value, context);
+
+  if (Array.isArray(value)) {
+    // Lists always go out as IN / NOT_IN (e.g. EQ {{owner}} for several owners)
+    const listOperator = operator === 'NEQ' || operator === 'NOT_IN' ? 'NOT_IN' : 'IN';
+    return { propertyName: filter.property, operator: listOperator, values: value };
+  }
+
+  if (operator === 'IN' || operator === 'NOT_IN') {
+    return { propertyName: filter.property, operator: operator, values: value.split(',').map(v => v.trim()) };
+  }
+
+  if (operator === 'HAS_PROPERTY' || operator === 'NOT_HAS_PROPERTY') {
+    return { propertyName: filter.property, operator: operator };
+  }
+
+  return { propertyName: filter.property, operator: operator, value: value };
+}
+
+/**
+ * Resolves {{tokens}} in a filter value
+ * @param {string} rawValue - Value from the view definition
+ * @param {Object} context - Query context
+ * @returns {string|Array<string>} Resolved value (arrays for multi-valued tokens)
+ */
+function resolveFilterValue(rawValue, context) {
+  const value = rawValue === null || rawValue === undefined ? '' : rawValue.toString();
+
+  switch (value) {
+    case '{{owner}}': {
+      const ownerIds = context.ownerIds || [];
+      if (ownerIds.length === 0) {
+        throw new Error('Query uses {{owner}} but no owner ID was provided');
+      }
+      return ownerIds.length === 1 ? ownerIds[0] : ownerIds;
+    }
+    case '{{openReviewStages}}':
+      return getOpenReviewStageIds();
+    case '{{enrolledStage}}':
+      return getEnrolledStageId();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolves a relative date operator into a date range
+ * @param {string} operator - LAST_N_DAYS | SINCE_MONTHS_AGO | THIS_BUSINESS_MONTH
+ * @param {string} value - Operator argument
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} {start: Date, end: Date|null} (end is exclusive)
+ */
+function resolveRelativeDateRange(operator, value, now = new Date()) {
+  const amount = parseInt(value, 10) || 0;
+
+  switch (operator) {
+    case 'LAST_N_DAYS': {
+      const start = new Date(now.getTime());
+      start.setDate(start.getDate() - amount);
+      return { start: start, end: null };
+    }
+    case 'SINCE_MONTHS_AGO':
+      return { start: new Date(now.getFullYear(), now.getMonth() - amount, 1), end: null };
+    case 'THIS_BUSINESS_MONTH':
+      return getBusinessMonthRange(now);
+    default:
+      throw new Error(`Unknown relative date operator: ${operator}`);
+  }
+}
+
+/**
+ * Gets the business month containing a date
+ * A business month starts on the "Business Month Start Day" setting (default 1 = calendar month)
+ * @param {Date} date - Reference date
+ * @returns {Object} {start: Date, end: Date} (end is exclusive)
+ */
+function getBusinessMonthRange(date) {
+  const startDay = parseInt(getSetting('Business Month Start Day'), 10) || 1;
+  const monthOffset = date.getDate() >= startDay ? 0 : -1;
+
+  const start = new Date(date.getFullYear(), date.getMonth() + monthOffset, startDay);
+  const end = new Date(date.getFullYear(), date.getMonth() + monthOffset + 1, startDay);
+
+  return { start: start, end: end };
+}
+
+/**
+ * Merges property lists without duplicates
+ * @param {Array<string>} base - Properties requested by the caller
+ * @param {Array<string>} extra - Properties requested by the view
+ * @returns {Array<string>} Combined list
+ */
+function mergeProperties(base, extra) {
+  const merged = base.slice();
+  extra.forEach(property => {
+    if (!merged.includes(property)) {
+      merged.push(property);
+    }
+  });
+  return merged;
+}
+
+// ============================================================================
+// CLIENT-SIDE EVALUATION
+// ============================================================================
+
+/**
+ * Checks whether a deal matches a compiled query (same semantics as HubSpot search)
+ * Used to serve views from the local deal store
+ * @param {Object} deal - Deal object ({id, properties})
+ * @param {Object} payload - Compiled search payload (see compileDealQuery)
+ * @returns {boolean} True if any filter group matches
+ */
+function dealMatchesQuery(deal, payload) {
+  return payload.filterGroups.some(group =>
+    group.filters.every(filter => dealMatchesFilter(deal, filter))
+  );
+}
+
+/**
+ * Checks a single compiled filter against a deal
+ * @param {Object} deal - Deal object
+ * @param {Object} filter - HubSpot filter ({propertyName, operator, value(s)})
+ * @returns {boolean} True if the filter matches
+ */
+function dealMatchesFilter(deal, filter) {
+  const raw = extractDealProperty(deal, filter.propertyName);
+  const actual = raw === '' ? '' : raw.toString();
+  const actualLower = actual.toLowerCase();
+  const expected = filter.value === undefined ? '' : filter.value.toString();
+
+  switch (filter.operator) {
+    case 'EQ':
+      return actual !== '' && actualLower === expected.toLowerCase();
+    case 'NEQ':
+      // HubSpot NEQ also matches deals without a value
+      return actualLower !== expected.toLowerCase();
+    case 'IN':
+      return actual !== '' && filter.values.some(value => value.toString().toLowerCase() === actualLower);
+    case 'NOT_IN':
+      return !filter.values.some(value => value.toString().toLowerCase() === actualLower);
+    case 'HAS_PROPERTY':
+      return actual !== '';
+    case 'NOT_HAS_PROPERTY':
+      return actual === '';
+    case 'CONTAINS_TOKEN':
+      return actual !== '' && actualLower.includes(expected.replace(/\*/g, '').toLowerCase());
+    case 'NOT_CONTAINS_TOKEN':
+      return !actualLower.includes(expected.replace(/\*/g, '').toLowerCase());
+    case 'GT':
+    case 'GTE':
+    case 'LT':
+    case 'LTE':
+    case 'BETWEEN':
+      return compareFilterValues(actual, filter);
+    default:
+      Logger.log(`Warning: Operator ${filter.operator} not supported for stored deals, treating as match`);
+      return true;
+  }
+}
+
+/**
+ * Compares numeric/date values for range operators
+ * @param {string} actual - Deal property value
+ * @param {Object} filter - HubSpot filter
+ * @returns {boolean} True if the value is in range
+ */
+function compareFilterValues(actual, filter) {
+  const value = toComparableValue(actual);
+  if (value === null) {
+    return false;
+  }
+
+  const low = toComparableValue(filter.value);
+  switch (filter.operator) {
+    case 'GT': return value > low;
+    case 'GTE': return value >= low;
+    case 'LT': return value < low;
+    case 'LTE': return value <= low;
+    case 'BETWEEN': return value >= low && value <= toComparableValue(filter.highValue);
+    default: return false;
+  }
+}
+
+/**
+ * Converts a property value to a number (dates → ms) for comparisons
+ * @param {*} value - Raw value (number, numeric string or ISO date)
+ * @returns {number|null} Comparable number or null
+ */
+function toComparableValue(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+
+  const str = value.toString().trim();
+  if (/^-?\d+(\.\d+)?$/.test(str)) {
+    return parseFloat(str);
+  }
+
+  const time = Date.parse(str);
+  return isNaN(time) ? null : time;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Executes a view against HubSpot deal search, following all pages
+ * Shared by Pipeline Review, Enrollment Tracker, Director Hub and Ad Hoc research
+ *
+ * HubSpot search stops paging at 10,000 results. When a query matches more,
+ * it is split into createdate (or closedate) windows that each fit under the
+ * cap, between the oldest and newest value the query matches, plus one slice
+ * for deals with a blank slice date. Results are merged and de-duplicated by
+ * deal ID.
+ * @param {Object} view - View definition (see getView)
+ * @param {Object} context - {ownerIds: Array<string>, properties: Array<string>}
+ * @returns {Object} {deals: Array<Object>, total: number, truncated: boolean}
+ */
+function executeDealQuery(view, context) {
+  const payload = compileDealQuery(view, context);
+  const firstPage = searchDealsPage(payload, null);
+  const total = firstPage.total || 0;
+
+  if (total <= HUBSPOT_API_CONFIG.MAX_RESULTS) {
+    return { deals: collectDealPages(payload, firstPage), total: total, truncated: false };
+  }
+
+  const sliceProperty = getSliceProperty(payload);
+  Logger.log(`  ${total} matches exceed the ${HUBSPOT_API_CONFIG.MAX_RESULTS} search cap, splitting by ${sliceProperty}...`);
+
+  const result = { dealsById: {}, total: 0, truncated: false, sliceCount: 0 };
+  executeSlicedDealQuery(payload, sliceProperty, result);
+
+  const deals = Object.values(result.dealsById);
+  Logger.log(`  Fetched ${deals.length} unique deals in ${result.sliceCount} slices (HubSpot total: ${result.total})`);
+
+  if (result.truncated) {
+    Logger.log(`  ⚠️ Some slices still exceeded the cap - results are incomplete`);
+  }
+
+  return { deals: deals, total: result.total, truncated: result.truncated };
+}
+
+/**
+ * Fetches a query in date windows on a property, then its deals with a blank value
+ * A blank slice over the cap is sliced again by createdate (always set).
+ * @param {Object} payload - Compiled search payload
+ * @param {string} sliceProperty - Date property to slice on
+ * @param {Object} result - Accumulator {dealsById, total, truncated, sliceCount}
+ */
+function executeSlicedDealQuery(payload, sliceProperty, result) {
+  const bounds = getSliceBounds(payload, sliceProperty);
+  if (bounds) {
+    executeDealQuerySlice(payload, sliceProperty, bounds.start, bounds.end, result);
+  }
+
+  const blankPayload = restrictPayloadToBlank(payload, sliceProperty);
+  if (!blankPayload) {
+    return;
+  }
+
+  const firstPage = searchDealsPage(blankPayload, null);
+  const total = firstPage.total || 0;
+
+  if (total > HUBSPOT_API_CONFIG.MAX_RESULTS && sliceProperty !== 'createdate') {
+    executeSlicedDealQuery(blankPayload, 'createdate', result);
+    return;
+  }
+
+  collectSlice(blankPayload, firstPage, result);
+}
+
+/**
+ * Fetches one date window, splitting it in half while it exceeds the cap
+ * @param {Object} payload - Compiled search payload
+ * @param {string} sliceProperty - Date property to slice on
+ * @param {number} start - Window start (ms, inclusive)
+ * @param {number} end - Window end (ms, inclusive)
+ * @param {Object} result - Accumulator {dealsById, total, truncated, sliceCount}
+ */
+function executeDealQuerySlice(payload, sliceProperty, start, end, result) {
+  const slicePayload = restrictPayloadToWindow(payload, sliceProperty, start, end);
+  if (!slicePayload) {
+    return; // No filter group can match inside this window
+  }
+
+  const firstPage = searchDealsPage(slicePayload, null);
+  const total = firstPage.total || 0;
+
+  if (total > HUBSPOT_API_CONFIG.MAX_RESULTS && end - start > DEAL_QUERY_SLICE_CONFIG.MIN_WINDOW_MS) {
+    const middle = start + Math.floor((end - start) / 2);
+    executeDealQuerySlice(payload, sliceProperty, start, middle, result);
+    executeDealQuerySlice(payload, sliceProperty, middle + 1, end, result);
+    return;
+  }
+
+  collectSlice(slicePayload, firstPage, result);
+}
+
+/**
+ * Adds all pages of a slice to the accumulator
+ * @param {Object} slicePayload - Slice search payload
+ * @param {Object} firstPage - First page response
+ * @param {Object} result - Accumulator {dealsById, total, truncated, sliceCount}
+ */
+function collectSlice(slicePayload, firstPage, result) {
+  const total = firstPage.total || 0;
+  if (total > HUBSPOT_API_CONFIG.MAX_RESULTS) {
+    result.truncated = true;
+  }
+
+  result.sliceCount++;
+  result.total += total;
+
+  collectDealPages(slicePayload, firstPage).forEach(deal => {
+    result.dealsById[deal.id] = deal;
+  });
+}
+
+/**
+ * Picks the date property to slice on: closedate if the query filters on it, else createdate
+ * @param {Object} payload - Compiled search payload
+ * @returns {string} Property name
+ */
+function getSliceProperty(payload) {
+  const usesCloseDate = payload.filterGroups.some(group =>
+    group.filters.some(filter => filter.propertyName === 'closedate')
+  );
+  return usesCloseDate ? 'closedate' : 'createdate';
+}
+
+/**
+ * Finds the oldest and newest slice date among the deals the query matches
+ * (two one-result searches sorted on the slice property). Groups without a
+ * filter that needs a slice date get a HAS_PROPERTY one.
+ * @param {Object} payload - Compiled search payload
+ * @param {string} sliceProperty - Date property to slice on
+ * @returns {Object|null} {start, end} in ms, null if no matching deal has the date
+ */
+function getSliceBounds(payload, sliceProperty) {
+  const datedGroups = payload.filterGroups
+    .filter(group => !group.filters.some(filter =>
+      filter.propertyName === sliceProperty && filter.operator === 'NOT_HAS_PROPERTY'
+    ))
+    .map(group => {
+      const needsDate = group.filters.some(filter =>
+        filter.propertyName === sliceProperty && !DEAL_QUERY_SLICE_CONFIG.BLANK_OPERATORS.includes(filter.operator)
+      );
+      return {
+        filters: needsDate ? group.filters : group.filters.concat([{ propertyName: sliceProperty, operator: 'HAS_PROPERTY' }])
+      };
+    });
+  if (datedGroups.length === 0) {
+    return null;
+  }
+  checkSliceFilterLimits(datedGroups, sliceProperty);
+
+  const edgeValue = direction => {
+    const response = searchDealsPage(Object.assign({}, payload, {
+      filterGroups: datedGroups,
+      properties: [sliceProperty],
+      sorts: [{ propertyName: sliceProperty, direction: direction }],
+      limit: 1
+    }), null);
+    const deal = response.results && response.results[0];
+    return deal ? toComparableValue(deal.properties[sliceProperty]) : null;
+  };
+
+  const start = edgeValue('ASCENDING');
+  const end = edgeValue('DESCENDING');
+  if (start === null || end === null) {
+    return null;
+  }
+
+  return { start: start, end: end };
+}
+
+/**
+ * Gets the range a filter group allows on a date property
+ * @param {Array<Object>} filters - Compiled filters of one group
+ * @param {string} property - Date property
+ * @returns {Object} {start, end} in ms (±Infinity when unbounded)
+ */
+function getFilterRange(filters, property) {
+  let start = -Infinity;
+  let end = Infinity;
+
+  filters.forEach(filter => {
+    if (filter.propertyName !== property) return;
+
+    const value = parseInt(filter.value, 10);
+    if (filter.operator === 'GTE') start = Math.max(start, value);
+    if (filter.operator === 'GT') start = Math.max(start, value + 1);
+    if (filter.operator === 'LTE') end = Math.min(end, value);
+    if (filter.operator === 'LT') end = Math.min(end, value - 1);
+    if (filter.operator === 'BETWEEN') {
+      start = Math.max(start, value);
+      end = Math.min(end, parseInt(filter.highValue, 10));
+    }
+  });
+
+  return { start: start, end: end };
+}
+
+/**
+ * Restricts every filter group to a date window
+ * Range filters on the slice property are replaced by the intersected window,
+ * which keeps groups within HubSpot's per-group filter limit; its other
+ * filters (EQ, HAS_PROPERTY...) are kept. Groups that need a blank slice date
+ * are left to restrictPayloadToBlank().
+ * @param {Object} payload - Compiled search payload
+ * @param {string} sliceProperty - Date property
+ * @param {number} start - Window start (ms, inclusive)
+ * @param {number} end - Window end (ms, inclusive)
+ * @returns {Object|null} New payload, or null if no group can match
+ */
+function restrictPayloadToWindow(payload, sliceProperty, start, end) {
+  const filterGroups = [];
+
+  payload.filterGroups.forEach(group => {
+    const range = getFilterRange(group.filters, sliceProperty);
+    const windowStart = Math.max(start, range.start);
+    const windowEnd = Math.min(end, range.end);
+
+    if (windowStart > windowEnd) return;
+    if (group.filters.some(filter => filter.propertyName === sliceProperty && filter.operator === 'NOT_HAS_PROPERTY')) return;
+
+    const filters = group.filters.filter(filter =>
+      filter.propertyName !== sliceProperty || !DEAL_QUERY_SLICE_CONFIG.RANGE_OPERATORS.includes(filter.operator)
+    );
+    filters.push({
+      propertyName: sliceProperty,
+      operator: 'BETWEEN',
+      value: windowStart.toString(),
+      highValue: windowEnd.toString()
+    });
+    filterGroups.push({ filters: filters });
+  });
+
+  if (filterGroups.length === 0) {
+    return null;
+  }
+
+  checkSliceFilterLimits(filterGroups, sliceProperty);
+  return Object.assign({}, payload, { filterGroups: filterGroups });
+}
+
+/**
+ * Restricts every filter group to deals with a blank slice property
+ * Groups with a filter that needs a value (range, EQ, HAS_PROPERTY...) can't
+ * match a blank date and are dropped. In the others, the slice property's
+ * filters (NEQ, NOT_IN, which a blank date passes) become one NOT_HAS_PROPERTY.
+ * @param {Object} payload - Compiled search payload
+ * @param {string} sliceProperty - Date property
+ * @returns {Object|null} New payload, or null if no group can match
+ */
+function restrictPayloadToBlank(payload, sliceProperty) {
+  const filterGroups = payload.filterGroups
+    .filter(group => group.filters.every(filter =>
+      filter.propertyName !== sliceProperty || DEAL_QUERY_SLICE_CONFIG.BLANK_OPERATORS.includes(filter.operator)
+    ))
+    .map(group => ({
+      filters: group.filters
+        .filter(filter => filter.propertyName !== sliceProperty)
+        .concat([{ propertyName: sliceProperty, operator: 'NOT_HAS_PROPERTY' }])
+    }));
+
+  if (filterGroups.length === 0) {
+    return null;
+  }
+
+  checkSliceFilterLimits(filterGroups, sliceProperty);
+  return Object.assign({}, payload, { filterGroups: filterGroups });
+}
+
+/**
+ * Checks slice filter groups against HubSpot's filter limits
+ * A slice adds a date filter to groups that had none on the slice property,
+ * which a view already at the limit can't take.
+ * @param {Array<Object>} filterGroups - Slice filter groups
+ * @param {string} sliceProperty - Date property
+ * @throws {Error} If a group or the total is over the limit
+ */
+function checkSliceFilterLimits(filterGroups, sliceProperty) {
+  const maxGroup = Math.max(...filterGroups.map(group => group.filters.length));
+  const total = filterGroups.reduce((sum, group) => sum + group.filters.length, 0);
+
+  if (maxGroup > DEAL_QUERY_SLICE_CONFIG.MAX_GROUP_FILTERS || total > DEAL_QUERY_SLICE_CONFIG.MAX_FILTERS) {
+    throw new Error(`Query matches over ${HUBSPOT_API_CONFIG.MAX_RESULTS} deals and can't be split by ${sliceProperty}: ` +
+      `slices need ${maxGroup} filters in a group and ${total} in total (HubSpot allows ` +
+      `${DEAL_QUERY_SLICE_CONFIG.MAX_GROUP_FILTERS} and ${DEAL_QUERY_SLICE_CONFIG.MAX_FILTERS}). ` +
+      `Add a ${sliceProperty} range to the view or remove a filter`);
+  }
+}
+
+/**
+ * Fetches a single page of deal search results
+ * @param {Object} payload - Compiled search payload
+ * @param {string|null} after - Pagination cursor
+ * @returns {Object} API response ({total, results, paging})
+ */
+function searchDealsPage(payload, after) {
+  const pagePayload = Object.assign({}, payload);
+  if (after) {
+    pagePayload.after = after;
+  }
+  return hubspotRequest('post', HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH, pagePayload);
+}
+
+/**
+ * Collects all pages of a search, starting from an already fetched first page
+ * @param {Object} payload - Compiled search payload
+ * @param {Object} firstPage - First page response
+ * @returns {Array<Object>} All deals
+ */
+function collectDealPages(payload, firstPage) {
+  const deals = [];
+  let page = firstPage;
+  let pageCount = 1;
+
+  while (true) {
+    if (page.results && page.results.length > 0) {
+      deals.push(...page.results);
+    }
+
+    const after = page.paging && page.paging.next ? page.paging.next.after : null;
+
+    // Search paging stops at the cap even when HubSpot reports more results
+    if (!after || deals.length >= HUBSPOT_API_CONFIG.MAX_RESULTS) {
+      break;
+    }
+
+    pageCount++;
+    Logger.log(`  Page ${pageCount}...`);
+    page = searchDealsPage(payload, after);
+  }
+
+  return deals;
+}
+
+/**
+ * Executes several queries at once, fetching their pages in parallel
+ * Each round sends the next page of every unfinished query through
+ * hubspotRequestAll. Queries over the 10,000 cap fall back to executeDealQuery
+ * (date slicing).
+ * @param {Array<Object>} queries - [{view, context}]
+ * @returns {Array<Object>} [{deals, total, truncated}], in the order of queries
+ */
+function executeDealQueriesParallel(queries) {
+  const states = queries.map(query => ({
+    payload: compileDealQuery(query.view, query.context),
+    deals: [],
+    total: 0,
+    after: null,
+    started: false,
+    done: false,
+    oversized: false
+  }));
+
+  let active = states;
+  let round = 0;
+
+  while (active.length > 0) {
+    round++;
+    Logger.log(`  Parallel round ${round}: ${active.length} requests...`);
+
+    const responses = hubspotRequestAll(active.map(state => ({
+      method: 'post',
+      path: HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH,
+      payload: state.after ? Object.assign({}, state.payload, { after: state.after }) : state.payload
+    })));
+
+    responses.forEach((response, index) => {
+      const state = active[index];
+
+      if (!state.started) {
+        state.started = true;
+        state.total = response.total || 0;
+
+        if (state.total > HUBSPOT_API_CONFIG.MAX_RESULTS) {
+          state.oversized = true;
+          state.done = true;
+          return;
+        }
+      }
+
+      if (response.results && response.results.length > 0) {
+        state.deals.push(...response.results);
+      }
+
+      state.after = response.paging && response.paging.next ? response.paging.next.after : null;
+      state.done = !state.after || state.deals.length >= HUBSPOT_API_CONFIG.MAX_RESULTS;
+    });
+
+    active = active.filter(state => !state.done);
+  }
+
+  return states.map((state, index) => {
+    if (state.oversized) {
+      return executeDealQuery(queries[index].view, queries[index].context);
+    }
+    return { deals: state.deals, total: state.total, truncated: false };
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Deal Snapshot
+ * One team-wide set of deals per run, partitioned per AE
+ *
+ * generateAllDashboards builds the snapshot once and hands it to the
+ * Director Hub and every AE's Pipeline Review / Enrollment Tracker, so all
+ * views show the same data and HubSpot is queried only once per owner.
+ *
+ * Source: the deal store when it synced this run, otherwise live HubSpot
+ * searches (one per owner and view, fetched in parallel).
+ */
+
+/**
+ * Builds the deal snapshot for the team
+ * @param {Array<Object>} salespeople - Salespeople with hubspotUserId resolved
+ * @returns {Object|null} {source, pipelineByEmail, enrollmentsByEmail, pipelineDealCount},
+ *   or null if it couldn't be built (components then fetch per AE)
+ */
+function buildDealSnapshot(salespeople) {
+  try {
+    return buildDealSnapshotData(salespeople);
+  } catch (error) {
+    Logger.log(`[Deal Snapshot] Failed, falling back to per-AE fetches: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds the snapshot (see buildDealSnapshot)
+ * @param {Array<Object>} salespeople - Salespeople with hubspotUserId resolved
+ * @returns {Object} Snapshot
+ */
+function buildDealSnapshotData(salespeople) {
+  const startTime = new Date();
+  const pipelineView = getSetting('Pipeline Review View');
+  const enrollmentView = getSetting('Enrollment View');
+  const owners = salespeople.filter(person => person.hubspotUserId && person.hubspotUserId !== '');
+
+  const snapshot = {
+    source: '',
+    pipelineByEmail: {},
+    enrollmentsByEmail: {},
+    pipelineDealCount: 0
+  };
+
+  if (dealStoreState.ready) {
+    snapshot.source = 'deal store';
+
+    owners.forEach(person => {
+      const key = getSnapshotKey(person);
+      snapshot.pipelineByEmail[key] = readDealStoreView(pipelineView, person.hubspotUserId);
+      snapshot.enrollmentsByEmail[key] = readDealStoreView(enrollmentView, person.hubspotUserId);
+    });
+
+  } else {
+    snapshot.source = 'HubSpot';
+
+    const queries = [];
+    owners.forEach(person => {
+      queries.push({
+        view: getView(pipelineView),
+        context: { ownerIds: [person.hubspotUserId], properties: getPipelineReviewProperties() }
+      });
+      queries.push({
+        view: getView(enrollmentView),
+        context: { ownerIds: [person.hubspotUserId], properties: getEnrollmentProperties() }
+      });
+    });
+
+    const results = executeDealQueriesParallel(queries);
+
+    owners.forEach((person, index) => {
+      const key = getSnapshotKey(person);
+      snapshot.pipelineByEmail[key] = results[index * 2].deals;
+      snapshot.enrollmentsByEmail[key] = results[index * 2 + 1].deals;
+    });
+  }
+
+  salespeople.forEach(person => {
+    if (!person.hubspotUserId || person.hubspotUserId === '') {
+      Logger.log(`  Warning: No HubSpot User ID for ${person.name}, snapshot has 0 deals`);
+    }
+  });
+
+  Object.keys(snapshot.pipelineByEmail).forEach(key => {
+    snapshot.pipelineDealCount += snapshot.pipelineByEmail[key].length;
+  });
+
+  const duration = (new Date() - startTime) / 1000;
+  Logger.log(`[Deal Snapshot] ${snapshot.pipelineDealCount} pipeline deals for ${owners.length} owners from ${snapshot.source} (${duration}s)`);
+
+  return snapshot;
+}
+
+/**
+ * Gets an AE's Pipeline Review deals
+ * Falls back to a live fetch when no snapshot is given (e.g. single-AE runs)
+ * @param {Object|null} snapshot - Snapshot from buildDealSnapshot()
+ * @param {Object} person - Person object {name, email, hubspotUserId}
+ * @returns {Array<Object>} Deals
+ */
+function getPipelineDealsForPerson(snapshot, person) {
+  if (snapshot) {
+    return snapshot.pipelineByEmail[getSnapshotKey(person)] || [];
+  }
+  return fetchDealsByOwner(person.email, getPipelineReviewProperties(), getOwnerFetchOptions(person));
+}
+
+/**
+ * Gets an AE's enrollment deals
+ * Falls back to a live fetch when no snapshot is given
+ * @param {Object|null} snapshot - Snapshot from buildDealSnapshot()
+ * @param {Object} person - Person object {name, email, hubspotUserId}
+ * @returns {Array<Object>} Deals
+ */
+function getEnrollmentDealsForPerson(snapshot, person) {
+  if (snapshot) {
+    return snapshot.enrollmentsByEmail[getSnapshotKey(person)] || [];
+  }
+  return fetchEnrollmentDeals(person.email, getEnrollmentProperties(), getOwnerFetchOptions(person));
+}
+
+/**
+ * Builds fetch options for a person (passes the HubSpot User ID if available)
+ * @param {Object} person - Person object
+ * @returns {Object} Options for fetchDealsByOwner/fetchEnrollmentDeals
+ */
+function getOwnerFetchOptions(person) {
+  const options = {};
+  if (person.hubspotUserId && person.hubspotUserId !== '') {
+    options.hubspotUserId = person.hubspotUserId;
+  }
+  return options;
+}
+
+/**
+ * Gets the snapshot key for a person
+ * @param {Object} person - Person object
+ * @returns {string} Lowercase email
+ */
+function getSnapshotKey(person) {
+  return person.email.toString().toLowerCase().trim();
+}
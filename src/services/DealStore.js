@@ -0,0 +1,356 @@
+/**
+ * Deal Store
+ * Local cache of team deals, persisted in a hidden Control Sheet tab
+ *
+ * The first run (and every "Deal Store Full Sync Days") does a full sync of
+ * every store view. Other runs only ask HubSpot for deals modified since the
+ * last successful sync (hs_lastmodifieddate watermark, any owner, so deals
+ * reassigned outside the team come back too) and merge them in. Stored deals
+ * HubSpot no longer returns (deleted) are checked with a batch read.
+ * Deals owned outside the team or no longer matching any store view are
+ * pruned after each sync.
+ *
+ * Once synced, fetchDealsByOwner/fetchEnrollmentDeals serve store views from
+ * here instead of calling HubSpot (see readDealStoreView).
+ */
+
+const TAB_DEAL_STORE = '🗄 Deal Store';
+
+const DEAL_STORE_CONFIG = {
+  HEADERS: ['Deal ID', 'Owner ID', 'Last Modified', 'Deal JSON'],
+  WATERMARK_KEY: 'DEAL_STORE_WATERMARK',
+  LAST_FULL_SYNC_KEY: 'DEAL_STORE_LAST_FULL_SYNC',
+  PROPERTIES_KEY: 'DEAL_STORE_PROPERTIES',
+  OVERLAP_MS: 5 * 60 * 1000 // Re-fetch 5 minutes before the watermark (search index lag)
+};
+
+// Store state for this run, see syncDealStore()
+const dealStoreState = {
+  ready: false,
+  dealsById: {},
+  ownerIds: [],
+  viewNames: []
+};
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+/**
+ * Syncs the deal store for the team (full or incremental)
+ * @param {Array<Object>} salespeople - Salespeople with hubspotUserId resolved
+ * @returns {Object} {success, mode, fetched, stored, duration, error}
+ */
+function syncDealStore(salespeople) {
+  const startTime = new Date();
+
+  try {
+    Logger.log('[Deal Store] Syncing...');
+
+    const ownerIds = salespeople
+      .map(person => person.hubspotUserId)
+      .filter(id => id && id !== '');
+
+    if (ownerIds.length === 0) {
+      throw new Error('No HubSpot User IDs available for the team');
+    }
+
+    const viewNames = getDealStoreViewNames();
+    const properties = getDealStoreProperties(viewNames);
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const watermark = parseInt(scriptProperties.getProperty(DEAL_STORE_CONFIG.WATERMARK_KEY), 10);
+    const mode = getDealStoreSyncMode(watermark, properties);
+
+    let dealsById = {};
+    let fetched = 0;
+
+    if (mode === 'full') {
+      Logger.log(`  Full sync of ${viewNames.join(', ')} for ${ownerIds.length} owners`);
+
+      // One query per owner and view, fetched in parallel
+      const queries = [];
+      viewNames.forEach(viewName => {
+        ownerIds.forEach(ownerId => {
+          queries.push({ view: getView(viewName), context: { ownerIds: [ownerId], properties: properties } });
+        });
+      });
+
+      executeDealQueriesParallel(queries).forEach(({ deals }) => {
+        deals.forEach(deal => {
+          dealsById[deal.id] = deal;
+        });
+        fetched += deals.length;
+      });
+
+    } else {
+      const since = watermark - DEAL_STORE_CONFIG.OVERLAP_MS;
+      Logger.log(`  Incremental sync since ${new Date(since).toISOString()}`);
+
+      dealsById = readDealStoreSheet();
+      const deletedCount = removeDeletedDeals(dealsById);
+      if (deletedCount > 0) {
+        Logger.log(`  Removed ${deletedCount} deals deleted in HubSpot`);
+      }
+
+      // Team deals, plus stored deals that were reassigned (pruned below)
+      const { deals } = executeDealQuery(getModifiedSinceView(since), { ownerIds: ownerIds, properties: properties });
+      deals.forEach(deal => {
+        if (deal.id in dealsById || ownerIds.includes(extractDealProperty(deal, 'hubspot_owner_id').toString())) {
+          dealsById[deal.id] = deal;
+          fetched++;
+        }
+      });
+    }
+
+    // Keep only team deals that still belong to a store view
+    const context = { ownerIds: ownerIds };
+    const compiledViews = viewNames.map(viewName => compileDealQuery(getView(viewName), context));
+    Object.keys(dealsById).forEach(dealId => {
+      const deal = dealsById[dealId];
+      const keep = ownerIds.includes(extractDealProperty(deal, 'hubspot_owner_id').toString()) &&
+        compiledViews.some(payload => dealMatchesQuery(deal, payload));
+      if (!keep) {
+        delete dealsById[dealId];
+      }
+    });
+
+    writeDealStoreSheet(dealsById);
+
+    scriptProperties.setProperty(DEAL_STORE_CONFIG.WATERMARK_KEY, startTime.getTime().toString());
+    scriptProperties.setProperty(DEAL_STORE_CONFIG.PROPERTIES_KEY, properties.slice().sort().join(','));
+    if (mode === 'full') {
+      scriptProperties.setProperty(DEAL_STORE_CONFIG.LAST_FULL_SYNC_KEY, startTime.getTime().toString());
+    }
+
+    dealStoreState.ready = true;
+    dealStoreState.dealsById = dealsById;
+    dealStoreState.ownerIds = ownerIds;
+    dealStoreState.viewNames = viewNames;
+
+    const stored = Object.keys(dealsById).length;
+    const duration = (new Date() - startTime) / 1000;
+    Logger.log(`[Deal Store] ${mode} sync complete: ${fetched} fetched, ${stored} stored (${duration}s)`);
+
+    return { success: true, mode: mode, fetched: fetched, stored: stored, duration: duration };
+
+  } catch (error) {
+    Logger.log(`[Deal Store] Sync failed, falling back to live HubSpot fetches: ${error.message}`);
+    dealStoreState.ready = false;
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Decides between a full and an incremental sync
+ * @param {number} watermark - Last successful sync time (ms) or NaN
+ * @param {Array<string>} properties - Properties the store needs now
+ * @returns {string} 'full' or 'incremental'
+ */
+function getDealStoreSyncMode(watermark, properties) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  if (isNaN(watermark)) {
+    return 'full';
+  }
+
+  // New columns/filters need properties older store rows don't have
+  const storedProperties = scriptProperties.getProperty(DEAL_STORE_CONFIG.PROPERTIES_KEY);
+  if (storedProperties !== properties.slice().sort().join(',')) {
+    Logger.log('  Store properties changed, forcing full sync');
+    return 'full';
+  }
+
+  const lastFullSync = parseInt(scriptProperties.getProperty(DEAL_STORE_CONFIG.LAST_FULL_SYNC_KEY), 10);
+  const fullSyncDays = parseFloat(getSetting('Deal Store Full Sync Days')) || 7;
+  if (isNaN(lastFullSync) || new Date().getTime() - lastFullSync > fullSyncDays * 24 * 60 * 60 * 1000) {
+    return 'full';
+  }
+
+  return 'incremental';
+}
+
+/**
+ * Gets the views the store keeps deals for
+ * @returns {Array<string>} View names
+ */
+function getDealStoreViewNames() {
+  const names = [getSetting('Pipeline Review View'), getSetting('Enrollment View')];
+  return names.filter((name, index) => name && names.indexOf(name) === index);
+}
+
+/**
+ * Gets every property the store needs: displayed fields plus view filter properties
+ * @param {Array<string>} viewNames - Store views
+ * @returns {Array<string>} Property names
+ */
+function getDealStoreProperties(viewNames) {
+  let properties = mergeProperties(getPipelineReviewProperties(), getEnrollmentProperties());
+  properties = mergeProperties(properties, ['hs_lastmodifieddate', 'hubspot_owner_id']);
+
+  viewNames.forEach(viewName => {
+    const view = getView(viewName);
+    const filterProperties = [];
+    view.filterGroups.forEach(group => {
+      group.forEach(filter => filterProperties.push(filter.property));
+    });
+    properties = mergeProperties(properties, view.properties || []);
+    properties = mergeProperties(properties, filterProperties);
+  });
+
+  return properties;
+}
+
+/**
+ * Builds the incremental sync query: deals of any owner modified since a timestamp
+ * No owner filter, so a deal moved to an owner outside the team is seen and pruned.
+ * @param {number} since - Timestamp (ms)
+ * @returns {Object} View definition
+ */
+function getModifiedSinceView(since) {
+  return {
+    filterGroups: [[
+      { property: 'hs_lastmodifieddate', operator: 'GTE', value: since.toString() }
+    ]],
+    sorts: [],
+    properties: []
+  };
+}
+
+/**
+ * Removes stored deals that HubSpot no longer returns (deleted or archived)
+ * @param {Object} dealsById - Map of deal ID → deal (modified in place)
+ * @returns {number} Number of deals removed
+ */
+function removeDeletedDeals(dealsById) {
+  const storedIds = Object.keys(dealsById);
+  if (storedIds.length === 0) {
+    return 0;
+  }
+
+  const existing = {};
+  fetchObjectsByIds('deals', storedIds, ['hs_object_id']).forEach(deal => {
+    existing[deal.id.toString()] = true;
+  });
+
+  const deletedIds = storedIds.filter(dealId => !existing[dealId]);
+  deletedIds.forEach(dealId => {
+    delete dealsById[dealId];
+  });
+  return deletedIds.length;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Checks whether a fetch can be served from the store
+ * @param {string} viewName - Requested view
+ * @param {string} ownerId - Requested owner
+ * @returns {boolean} True if the store was synced this run and covers the request
+ */
+function dealStoreCovers(viewName, ownerId) {
+  return dealStoreState.ready &&
+    dealStoreState.viewNames.includes(viewName) &&
+    dealStoreState.ownerIds.includes(ownerId);
+}
+
+/**
+ * Reads the deals of one owner matching a view from the store
+ * @param {string} viewName - View name
+ * @param {string} ownerId - HubSpot owner ID
+ * @returns {Array<Object>} Matching deals
+ */
+function readDealStoreView(viewName, ownerId) {
+  const payload = compileDealQuery(getView(viewName), { ownerIds: [ownerId] });
+
+  return Object.values(dealStoreState.dealsById)
+    .filter(deal => dealMatchesQuery(deal, payload));
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Gets (or creates) the hidden Deal Store tab
+ * @returns {Sheet} Deal Store sheet
+ */
+function getDealStoreSheet() {
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  let sheet = ss.getSheetByName(TAB_DEAL_STORE);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(TAB_DEAL_STORE);
+    sheet.hideSheet();
+    Logger.log('  Created Deal Store sheet');
+  }
+
+  return sheet;
+}
+
+/**
+ * Reads all stored deals
+ * @returns {Object} Map of deal ID → deal
+ */
+function readDealStoreSheet() {
+  const sheet = getDealStoreSheet();
+  const dealsById = {};
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return dealsById;
+  }
+
+  sheet.getRange(2, 1, lastRow - 1, DEAL_STORE_CONFIG.HEADERS.length).getValues().forEach(row => {
+    if (!row[0] || !row[3]) return;
+
+    try {
+      dealsById[row[0].toString()] = JSON.parse(row[3]);
+    } catch (error) {
+      Logger.log(`  Warning: Skipping unreadable store row for deal ${row[0]}`);
+    }
+  });
+
+  return dealsById;
+}
+
+/**
+ * Replaces the stored deals
+ * @param {Object} dealsById - Map of deal ID → deal
+ */
+function writeDealStoreSheet(dealsById) {
+  const sheet = getDealStoreSheet();
+  const rows = Object.keys(dealsById).map(dealId => {
+    const deal = dealsById[dealId];
+    return [
+      dealId,
+      extractDealProperty(deal, 'hubspot_owner_id'),
+      extractDealProperty(deal, 'hs_lastmodifieddate'),
+      JSON.stringify({ id: deal.id, properties: deal.properties })
+    ];
+  });
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, DEAL_STORE_CONFIG.HEADERS.length).setValues([DEAL_STORE_CONFIG.HEADERS]);
+
+  if (rows.length > 0) {
+    // Plain text so IDs and timestamps aren't reformatted as numbers
+    const range = sheet.getRange(2, 1, rows.length, DEAL_STORE_CONFIG.HEADERS.length);
+    range.setNumberFormat('@');
+    range.setValues(rows);
+  }
+}
+
+/**
+ * Clears the store and watermark so the next run does a full sync
+ * Can be run from the Apps Script editor
+ */
+function resetDealStore() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  scriptProperties.deleteProperty(DEAL_STORE_CONFIG.WATERMARK_KEY);
+  scriptProperties.deleteProperty(DEAL_STORE_CONFIG.LAST_FULL_SYNC_KEY);
+  scriptProperties.deleteProperty(DEAL_STORE_CONFIG.PROPERTIES_KEY);
+  getDealStoreSheet().clear();
+  Logger.log('[Deal Store] Reset - next run will do a full sync');
+}
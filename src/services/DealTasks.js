@@ -0,0 +1,106 @@
+/**
+ * Deal Tasks
+ * Next open HubSpot task of each deal (deal → task associations)
+ *
+ * Tasks are loaded in bulk once per run, the first time a table with a
+ * next_task_* computed column is built (see COMPUTED_COLUMNS in DealTable.js),
+ * and only for deals not loaded yet, so the Director Hub and AE sheets share
+ * one set of requests.
+ *
+ * The next task is the open task (any status but COMPLETED) with the earliest
+ * due date; tasks without a due date come last.
+ *
+ * Reading tasks needs the tasks read scope on the HubSpot private app. If the
+ * token lacks it (403), the columns stay blank, a warning is logged once per
+ * run and shown in their Columns tab Status; the rest of the refresh is
+ * unaffected.
+ */
+
+const DEAL_TASK_PROPERTIES = ['hs_task_subject', 'hs_timestamp', 'hs_task_status'];
+const DEAL_TASK_COLUMNS = ['next_task_name', 'next_task_due']; // Computed columns filled from tasks
+const DEAL_TASK_CLOSED_STATUSES = ['COMPLETED'];
+
+// Next task per deal ID (null = no open task), loaded once per run, see loadDealTasks()
+const dealNextTasks = {};
+
+// Why tasks couldn't be loaded this run ('' = loaded fine)
+let dealTasksError = '';
+
+/**
+ * Loads the next open task of deals not loaded yet
+ * @param {Array<Object>} deals - Deals from HubSpot
+ */
+function loadDealTasks(deals) {
+  if (dealTasksError) {
+    return;
+  }
+
+  const dealIds = deals
+    .map(deal => deal.id.toString())
+    .filter(dealId => !(dealId in dealNextTasks));
+  if (dealIds.length === 0) {
+    return;
+  }
+
+  try {
+    const tasksByDeal = fetchDealAssociatedObjects('tasks', dealIds, DEAL_TASK_PROPERTIES);
+
+    dealIds.forEach(dealId => {
+      dealNextTasks[dealId] = pickNextTask(tasksByDeal[dealId] || []);
+    });
+
+    Logger.log(`  Deal tasks: loaded for ${dealIds.length} deals`);
+  } catch (error) {
+    dealTasksError = error.statusCode === 403
+      ? 'HubSpot token lacks the tasks read scope (403). Add it to the private app to fill Next Task columns.'
+      : `Could not load deal tasks: ${error.message}`;
+    Logger.log(`⚠️ ${dealTasksError}`);
+  }
+}
+
+/**
+ * Picks the next open task: earliest due date first, undated last
+ * @param {Array<Object>} tasks - Associated tasks {id, properties}
+ * @returns {Object|null} {name, dueDate: Date|null, status}, null if no task is open
+ */
+function pickNextTask(tasks) {
+  const open = tasks
+    .filter(task => !DEAL_TASK_CLOSED_STATUSES.includes(extractDealProperty(task, 'hs_task_status')))
+    .map(task => ({
+      name: extractDealProperty(task, 'hs_task_subject') || '(no subject)',
+      dueTime: extractTimestampProperty(task, 'hs_timestamp'),
+      status: extractDealProperty(task, 'hs_task_status')
+    }))
+    .sort((a, b) => {
+      if (a.dueTime === null) return b.dueTime === null ? 0 : 1;
+      if (b.dueTime === null) return -1;
+      return a.dueTime - b.dueTime;
+    });
+
+  if (open.length === 0) {
+    return null;
+  }
+
+  return {
+    name: open[0].name,
+    dueDate: open[0].dueTime === null ? null : new Date(open[0].dueTime),
+    status: open[0].status
+  };
+}
+
+/**
+ * Gets the next open task of a deal (loadDealTasks() must have run for it)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {Object|null} {name, dueDate, status}, null if none or not loaded
+ */
+function getNextDealTask(deal) {
+  return dealNextTasks[deal.id.toString()] || null;
+}
+
+/**
+ * Gets why deal tasks couldn't be loaded this run
+ * @returns {string} Message ('' if tasks loaded fine or weren't needed)
+ */
+function getDealTasksError() {
+  return dealTasksError;
+}
@@ -0,0 +1,112 @@
+/**
+ * Director Scopes
+ * Maps directors to the teams they run (Control Sheet Directors tab)
+ *
+ * Directors tab: Director Email | Name | Teams | Small Teams. Teams and Small
+ * Teams are comma-separated and match Salespeople Config Team (column F) and
+ * Small Team (column H), case-insensitively; an AE is in scope when either
+ * matches. A director with both blank covers every AE and works in the full
+ * Director Hub.
+ *
+ * Each scoped director gets their own hub tab (DirectorHub.js). The flag menu
+ * and the AE flag sync (DirectorMenu.js) only reach AEs in scope.
+ *
+ * Note: TAB_DIRECTORS is defined in ConfigManager.js
+ */
+
+const DIRECTORS_TAB_HEADERS = ['Director Email', 'Name', 'Teams', 'Small Teams'];
+
+// Directors loaded once per run, see loadDirectorScopes()
+let directorScopesCache = null;
+
+/**
+ * Loads the directors from the Directors tab
+ * @returns {Array<Object>} [{email (lowercase), name, teams, smallTeams}] (teams lowercase)
+ */
+function loadDirectorScopes() {
+  if (directorScopesCache) {
+    return directorScopesCache;
+  }
+
+  const directors = [];
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const sheet = findTab(ss, TAB_DIRECTORS, 'Directors');
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, DIRECTORS_TAB_HEADERS.length).getValues().forEach(row => {
+      const email = row[0] ? row[0].toString().trim().toLowerCase() : '';
+      if (!email) return;
+
+      directors.push({
+        email: email,
+        name: row[1] ? row[1].toString().trim() : email.split('@')[0],
+        teams: splitScopeList(row[2]),
+        smallTeams: splitScopeList(row[3])
+      });
+    });
+  }
+
+  directorScopesCache = directors;
+  return directorScopesCache;
+}
+
+/**
+ * Splits a comma-separated Teams / Small Teams cell
+ * @param {*} value - Cell value
+ * @returns {Array<string>} Lowercase team names
+ */
+function splitScopeList(value) {
+  return (value || '').toString()
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item);
+}
+
+/**
+ * Whether a director is limited to some teams
+ * @param {Object} director - From loadDirectorScopes()
+ * @returns {boolean} False if the director covers every AE
+ */
+function isScopedDirector(director) {
+  return director.teams.length > 0 || director.smallTeams.length > 0;
+}
+
+/**
+ * Whether an AE is in a director's scope
+ * @param {Object} director - From loadDirectorScopes()
+ * @param {Object} person - Salesperson config {team, smallTeam}
+ * @returns {boolean} True if the AE's team or small team is the director's
+ */
+function isInDirectorScope(director, person) {
+  if (!isScopedDirector(director)) {
+    return true;
+  }
+
+  const team = (person.team || '').toString().trim().toLowerCase();
+  const smallTeam = (person.smallTeam || '').toString().trim().toLowerCase();
+  return (team !== '' && director.teams.includes(team)) ||
+    (smallTeam !== '' && director.smallTeams.includes(smallTeam));
+}
+
+/**
+ * Gets the AEs in a director's scope
+ * @param {Object} director - From loadDirectorScopes()
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @returns {Array<Object>} Salespeople in scope
+ */
+function getScopedSalespeople(director, salespeople) {
+  return salespeople.filter(person => isInDirectorScope(director, person));
+}
+
+/**
+ * Finds a director by email
+ * @param {string} email - Email (any case)
+ * @returns {Object|null} Director, null if not in the Directors tab
+ */
+function getDirectorByEmail(email) {
+  const key = (email || '').toString().trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
+  return loadDirectorScopes().find(director => director.email === key) || null;
+}
@@ -0,0 +1,108 @@
+/**
+ * Flag History
+ * Audit log of director flags set from the 🎯 Directives menu
+ *
+ * Every flag, re-flag or clear is added to the top of the Control Sheet
+ * "📜 Flag History" tab (newest first, capped at MAX_ROWS) with who set it
+ * and when (Eastern time). The Director Hub reads it back for two columns:
+ *   Flagged Since - when the deal's current flag was first set, counting
+ *                   re-flags with the same flag as one streak ('' if cleared)
+ *   Times Flagged - number of times the deal was flagged (clears not counted)
+ *
+ * Flags typed into the hub by hand bypass the menu and are not logged.
+ *
+ * Note: TAB_FLAG_HISTORY is defined in ConfigManager.js
+ */
+
+const FLAG_HISTORY_CONFIG = {
+  HEADERS: ['Flagged On (ET)', 'Director', 'Deal ID', 'Deal Name', 'Owner', 'Old Flag', 'New Flag', 'Note'],
+  MAX_ROWS: 5000, // Oldest entries are dropped beyond this
+  TIMEZONE: 'America/New_York'
+};
+
+// Deal ID → entries (newest first), loaded once per run, see loadFlagHistory()
+let flagHistoryByDeal = null;
+
+/**
+ * Adds a flag change to the top of the Flag History tab
+ * @param {Object} entry - {director, dealId, dealName, owner, oldFlag, newFlag, note}
+ */
+function appendFlagHistory(entry) {
+  const row = [
+    Utilities.formatDate(new Date(), FLAG_HISTORY_CONFIG.TIMEZONE, 'yyyy-MM-dd HH:mm'),
+    entry.director,
+    entry.dealId,
+    entry.dealName,
+    entry.owner,
+    entry.oldFlag,
+    entry.newFlag,
+    entry.note
+  ];
+
+  // Text, so timestamps stay in Eastern time whatever the spreadsheet time zone
+  const textFormats = {};
+  FLAG_HISTORY_CONFIG.HEADERS.forEach((header, index) => {
+    textFormats[index + 1] = '@';
+  });
+
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  prependLogRows(ss, TAB_FLAG_HISTORY, 'Flag History', FLAG_HISTORY_CONFIG.HEADERS, [row], FLAG_HISTORY_CONFIG.MAX_ROWS, textFormats);
+  flagHistoryByDeal = null;
+}
+
+/**
+ * Loads the Flag History tab, grouped by deal
+ * @returns {Object} Map of Deal ID → [{flaggedOn, newFlag}] (newest first)
+ */
+function loadFlagHistory() {
+  if (flagHistoryByDeal) {
+    return flagHistoryByDeal;
+  }
+
+  const byDeal = {};
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const sheet = findTab(ss, TAB_FLAG_HISTORY, 'Flag History');
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    const headers = FLAG_HISTORY_CONFIG.HEADERS;
+    const col = header => headers.indexOf(header);
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach(row => {
+      const dealId = row[col('Deal ID')].toString();
+      if (!dealId) return;
+
+      if (!byDeal[dealId]) {
+        byDeal[dealId] = [];
+      }
+      byDeal[dealId].push({
+        flaggedOn: row[col('Flagged On (ET)')].toString(),
+        newFlag: row[col('New Flag')].toString()
+      });
+    });
+  }
+
+  flagHistoryByDeal = byDeal;
+  return flagHistoryByDeal;
+}
+
+/**
+ * Gets the flag history summary of a deal
+ * @param {string} dealId - The HubSpot Deal ID
+ * @returns {Object} {flaggedSince: 'yyyy-MM-dd' or '', timesFlagged}
+ */
+function getFlagHistorySummary(dealId) {
+  const entries = loadFlagHistory()[dealId.toString()] || [];
+  const currentFlag = entries.length > 0 ? entries[0].newFlag : '';
+
+  let flaggedSince = '';
+  if (currentFlag) {
+    for (let i = 0; i < entries.length && entries[i].newFlag === currentFlag; i++) {
+      flaggedSince = entries[i].flaggedOn.substring(0, 10);
+    }
+  }
+
+  return {
+    flaggedSince: flaggedSince,
+    timesFlagged: entries.filter(entry => entry.newFlag).length
+  };
+}
@@ -0,0 +1,239 @@
+/**
+ * Forecast
+ * Commit, best case and weighted pipeline for the current business month
+ *
+ * A deal counts toward the month by close date ("Business Month Start Day"
+ * setting), at its stage probability: HubSpot stage metadata, unless the
+ * Control Sheet Stage Probabilities tab (Stage | Probability %) sets one.
+ *   Commit    - probability >= "Forecast Commit Probability"
+ *   Best Case - probability >= "Forecast Best Case Probability" (includes Commit)
+ *   Weighted  - every Pipeline Review deal closing this month, amount × probability
+ * Enrollments (Enrollment View, Easy Starts excluded) closed this month are
+ * already won and are counted separately. Expected enrollments = enrolled +
+ * the sum of probabilities, compared with the Goals & Quotas monthly goal.
+ *
+ * Note: Setting keys and TAB_STAGE_PROBABILITIES are defined in ConfigManager.js
+ */
+
+const FORECAST_CATEGORIES = {
+  COMMIT: 'Commit',
+  BEST_CASE: 'Best Case',
+  PIPELINE: 'Pipeline'
+};
+
+const STAGE_PROBABILITIES_TAB_HEADERS = ['Stage', 'Probability %'];
+
+// Stage label (lowercase) → probability 0-1, loaded once per run, see loadStageProbabilityOverrides()
+let stageProbabilityOverrides = null;
+
+// ============================================================================
+// PROBABILITIES
+// ============================================================================
+
+/**
+ * Loads probability overrides from the Stage Probabilities tab
+ * Rows with a blank or invalid probability keep HubSpot's value.
+ * @returns {Object} Map of stage label (lowercase) → probability (0-1)
+ */
+function loadStageProbabilityOverrides() {
+  if (stageProbabilityOverrides) {
+    return stageProbabilityOverrides;
+  }
+
+  const overrides = {};
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const sheet = findTab(ss, TAB_STAGE_PROBABILITIES, 'Stage Probabilities');
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, STAGE_PROBABILITIES_TAB_HEADERS.length).getValues().forEach(row => {
+      const label = row[0] ? row[0].toString().trim().toLowerCase() : '';
+      const percent = parseFloat(row[1]);
+
+      if (!label || row[1] === '' || isNaN(percent)) return;
+
+      if (percent < 0 || percent > 100) {
+        Logger.log(`Warning: Probability ${row[1]} for "${row[0]}" in ${TAB_STAGE_PROBABILITIES} is not 0-100, skipping`);
+        return;
+      }
+      overrides[label] = percent / 100;
+    });
+  }
+
+  stageProbabilityOverrides = overrides;
+  return stageProbabilityOverrides;
+}
+
+/**
+ * Gets the probability of a stage: Stage Probabilities tab, then HubSpot
+ * @param {string} stageId - HubSpot stage ID
+ * @returns {number|null} Probability 0-1, null if unknown
+ */
+function getStageProbability(stageId) {
+  const stage = getStage(stageId);
+  if (!stage) {
+    return null;
+  }
+
+  const override = loadStageProbabilityOverrides()[stage.label.toLowerCase()];
+  if (override !== undefined) {
+    return override;
+  }
+
+  return stage.probability;
+}
+
+/**
+ * Gets the probability of a deal (its stage's)
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number|null} Probability 0-1, null if unknown
+ */
+function getDealProbability(deal) {
+  return getStageProbability(extractDealProperty(deal, 'dealstage'));
+}
+
+/**
+ * Gets the rows for a new Stage Probabilities tab: the review stages, blank
+ * probability (= HubSpot's)
+ * @returns {Array<Array>} Stage | Probability %
+ */
+function getDefaultStageProbabilityRows() {
+  return getListSetting('Open Review Stages').map(label => [label, '']);
+}
+
+// ============================================================================
+// FORECAST
+// ============================================================================
+
+/**
+ * Gets the HubSpot properties the forecast needs
+ * @returns {Array<string>} Property names
+ */
+function getForecastProperties() {
+  return ['amount', 'closedate', 'dealstage'];
+}
+
+/**
+ * Gets the category of a probability
+ * @param {number|null} probability - Probability 0-1
+ * @returns {string} FORECAST_CATEGORIES value
+ */
+function getForecastCategory(probability) {
+  const commit = (parseFloat(getSetting('Forecast Commit Probability')) || 0) / 100;
+  const bestCase = (parseFloat(getSetting('Forecast Best Case Probability')) || 0) / 100;
+
+  if (probability !== null && probability >= commit) return FORECAST_CATEGORIES.COMMIT;
+  if (probability !== null && probability >= bestCase) return FORECAST_CATEGORIES.BEST_CASE;
+  return FORECAST_CATEGORIES.PIPELINE;
+}
+
+/**
+ * Builds the forecast for the current business month
+ * @param {Array<Object>} pipelineDeals - Pipeline Review deals
+ * @param {Array<Object>} enrollmentDeals - Enrollment deals
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Object} {range, enrolled, commit, bestCase, weighted, deals}
+ *   Totals are {count, amount}; weighted.count is the sum of probabilities.
+ *   deals: [{deal, closeDate, amount, probability, weighted, category}], by close date
+ */
+function buildForecast(pipelineDeals, enrollmentDeals, now = new Date()) {
+  const range = getBusinessMonthRange(now);
+  const inRange = deal => {
+    const closeTime = extractTimestampProperty(deal, 'closedate');
+    return closeTime !== null && closeTime >= range.start.getTime() && closeTime < range.end.getTime();
+  };
+  const amountOf = deal => {
+    const amount = extractNumericProperty(deal, 'amount');
+    return amount === '' ? 0 : amount;
+  };
+
+  const forecast = {
+    range: range,
+    enrolled: { count: 0, amount: 0 },
+    commit: { count: 0, amount: 0 },
+    bestCase: { count: 0, amount: 0 },
+    weighted: { count: 0, amount: 0 },
+    deals: []
+  };
+
+  enrollmentDeals.filter(inRange).forEach(deal => {
+    if (EASY_START_VALUES.includes(extractDealProperty(deal, 'easy_start_option'))) return;
+    forecast.enrolled.count++;
+    forecast.enrolled.amount += amountOf(deal);
+  });
+
+  pipelineDeals.filter(inRange).forEach(deal => {
+    const probability = getDealProbability(deal);
+    const amount = amountOf(deal);
+    const category = getForecastCategory(probability);
+
+    if (category === FORECAST_CATEGORIES.COMMIT) {
+      forecast.commit.count++;
+      forecast.commit.amount += amount;
+    }
+    if (category !== FORECAST_CATEGORIES.PIPELINE) {
+      forecast.bestCase.count++;
+      forecast.bestCase.amount += amount;
+    }
+    forecast.weighted.count += probability || 0;
+    forecast.weighted.amount += amount * (probability || 0);
+
+    forecast.deals.push({
+      deal: deal,
+      closeDate: new Date(extractTimestampProperty(deal, 'closedate')),
+      amount: extractNumericProperty(deal, 'amount'),
+      probability: probability,
+      weighted: amount * (probability || 0),
+      category: category
+    });
+  });
+
+  forecast.deals.sort((a, b) => a.closeDate.getTime() - b.closeDate.getTime());
+  return forecast;
+}
+
+/**
+ * Adds forecasts up (team roll-up)
+ * @param {Array<Object>} forecasts - Forecasts from buildForecast()
+ * @returns {Object} {enrolled, commit, bestCase, weighted} totals
+ */
+function sumForecasts(forecasts) {
+  const total = {};
+  ['enrolled', 'commit', 'bestCase', 'weighted'].forEach(key => {
+    total[key] = {
+      count: forecasts.reduce((sum, forecast) => sum + forecast[key].count, 0),
+      amount: forecasts.reduce((sum, forecast) => sum + forecast[key].amount, 0)
+    };
+  });
+  return total;
+}
+
+/**
+ * Gets expected enrollments: enrolled + weighted deal count
+ * @param {Object} forecast - Forecast (or sumForecasts() total)
+ * @returns {number} Expected enrollments (1 decimal)
+ */
+function getExpectedEnrollments(forecast) {
+  return Math.round((forecast.enrolled.count + forecast.weighted.count) * 10) / 10;
+}
+
+/**
+ * Gets a person's monthly goal from Goals & Quotas (keyed by email, or name)
+ * @param {Map} goalsMap - Goals from loadConfiguration()
+ * @param {Object} person - Person object {name, email}
+ * @returns {number|string} Goal, '' if none
+ */
+function getPersonGoal(goalsMap, person) {
+  const keys = [person.email, person.name]
+    .filter(key => key)
+    .map(key => key.toString().trim().toLowerCase());
+
+  let goal = '';
+  goalsMap.forEach((value, key) => {
+    if (goal === '' && keys.includes(key.toString().trim().toLowerCase())) {
+      const number = parseFloat(value);
+      goal = isNaN(number) ? '' : number;
+    }
+  });
+
+  return goal;
+}
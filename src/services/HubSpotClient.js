@@ -14,12 +14,44 @@ const HUBSPOT_API_CONFIG = {
   ENDPOINTS: {
     DEALS_SEARCH: '/crm/v3/objects/deals/search',
     DEALS_BY_ID: '/crm/v3/objects/deals',
+    NOTES: '/crm/v3/objects/notes',
+    OBJECTS: '/crm/v3/objects',
+    ASSOCIATIONS: '/crm/v4/associations',
+    CALL_DISPOSITIONS: '/calling/v1/dispositions',
     PROPERTIES: '/crm/v3/properties/deals',
     OWNERS: '/crm/v3/owners'
   },
   DEFAULT_BATCH_SIZE: 100,
   MAX_RESULTS: 10000,
-  MAX_RETRIES: 3
+  MAX_RETRIES: 3,
+  OWNERS_CACHE_KEY: 'hubspot_owner_directory',
+  OWNERS_CACHE_TTL_SECONDS: 21600, // 6 hours (CacheService maximum)
+  PROPERTIES_CACHE_KEY: 'hubspot_deal_property_names',
+  PROPERTIES_CACHE_TTL_SECONDS: 21600,
+  RETRY_BASE_DELAY_MS: 1000,   // First backoff step, doubled on each retry
+  RETRY_MAX_DELAY_MS: 30000,   // Cap for any single wait (incl. Retry-After)
+  REQUEST_BUDGET: 2000,        // Soft per-run limit, logged when exceeded
+  MAX_PARALLEL_REQUESTS: 4,    // Per fetchAll batch (search API allows ~5 requests/second)
+  NOTE_TO_DEAL_ASSOCIATION_TYPE_ID: 214 // HubSpot-defined note → deal association
+};
+
+// HTTP status codes worth retrying (rate limits + transient server errors)
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Owner directory loaded once per run (email → owner), see loadOwnerDirectory()
+let ownerDirectory = null;
+
+// Deal property names loaded once per run, see getDealPropertyNames()
+let dealPropertyNames = null;
+
+// Call outcome labels loaded once per run, see getCallDispositionLabels()
+let callDispositionLabels = null;
+
+// Per-run request counters (Apps Script globals reset on every execution)
+const hubSpotRequestStats = {
+  requests: 0,
+  retries: 0,
+  budgetWarned: false
 };
 
 // ============================================================================
@@ -46,76 +78,250 @@ function getHubSpotAccessToken() {
 }
 
 // ============================================================================
-// MAIN FETCH FUNCTIONS
+// REQUEST LAYER
 // ============================================================================
 
 /**
- * Fetches deals for a specific owner
- * @param {string} ownerEmailOrId - Email or User ID of the deal owner
- * @param {Array<string>} properties - Array of property names to fetch
- * @param {Object} options - Optional filters (dateRange, hubspotUserId, etc.)
- * @returns {Array<Object>} Array of deal objects
+ * Sends a request to the HubSpot API with retries
+ * Every HubSpot call goes through here so rate limits and the per-run
+ * request budget are handled in one place.
+ * @param {string} method - HTTP method ('get', 'post', ...)
+ * @param {string} path - Endpoint path (may include a query string)
+ * @param {Object} payload - Optional JSON body
+ * @returns {Object} Parsed JSON response
+ * @throws {Error} On non-retryable errors or when retries are exhausted (error.statusCode is set)
  */
-function fetchDealsByOwner(ownerEmailOrId, properties, options = {}) {
-  try {
-    Logger.log(`Fetching deals for ${ownerEmailOrId}...`);
+function hubspotRequest(method, path, payload) {
+  const request = buildHubSpotRequest(method, path, payload);
+  let attempt = 0;
+  
+  while (true) {
+    trackHubSpotRequest();
+    
+    let response = null;
+    let fetchError = null;
     
-    let ownerId;
-    
-    // Check if we have a direct User ID in options
-    if (options.hubspotUserId && options.hubspotUserId !== '') {
-      ownerId = options.hubspotUserId.toString();
-      Logger.log(`  Using provided User ID: ${ownerId}`);
-    } else {
-      // Fall back to email lookup (requires API permission)
-      ownerId = getOwnerIdByEmail(ownerEmailOrId);
-      if (!ownerId) {
-        Logger.log(`  Warning: Owner not found for ${ownerEmailOrId}, returning 0 deals`);
-        return [];
+    try {
+      response = UrlFetchApp.fetch(request.url, request);
+    } catch (error) {
+      // Network-level failure (timeout, DNS, "Address unavailable")
+      fetchError = error;
+    }
+    
+    const statusCode = response ? response.getResponseCode() : 0;
+    
+    if (response && statusCode >= 200 && statusCode < 300) {
+      const responseText = response.getContentText();
+      return responseText ? JSON.parse(responseText) : {};
+    }
+    
+    const retryable = fetchError !== null || RETRYABLE_STATUS_CODES.includes(statusCode);
+    
+    if (!retryable || attempt >= HUBSPOT_API_CONFIG.MAX_RETRIES) {
+      if (fetchError) {
+        throw fetchError;
       }
-      Logger.log(`  Looked up User ID: ${ownerId}`);
+      Logger.log(`HubSpot API Error (${statusCode}): ${response.getContentText()}`);
+      const error = new Error(`HubSpot API error: ${statusCode}`);
+      error.statusCode = statusCode;
+      throw error;
+    }
+    
+    attempt++;
+    hubSpotRequestStats.retries++;
+    
+    const delayMs = getRetryDelayMs(response, attempt);
+    const reason = fetchError ? fetchError.message : `status ${statusCode}`;
+    Logger.log(`  HubSpot retry ${attempt}/${HUBSPOT_API_CONFIG.MAX_RETRIES} for ${method.toUpperCase()} ${path} (${reason}), waiting ${delayMs}ms`);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Sends several HubSpot requests in parallel (UrlFetchApp.fetchAll)
+ * Requests are sent in batches of MAX_PARALLEL_REQUESTS; failed requests in a
+ * batch are retried together with the same backoff rules as hubspotRequest.
+ * @param {Array<Object>} calls - [{method, path, payload}]
+ * @returns {Array<Object>} Parsed JSON responses, in the order of calls
+ * @throws {Error} On non-retryable errors or when retries are exhausted
+ */
+function hubspotRequestAll(calls) {
+  const results = new Array(calls.length);
+  
+  for (let start = 0; start < calls.length; start += HUBSPOT_API_CONFIG.MAX_PARALLEL_REQUESTS) {
+    let pending = [];
+    for (let i = start; i < Math.min(start + HUBSPOT_API_CONFIG.MAX_PARALLEL_REQUESTS, calls.length); i++) {
+      pending.push(i);
     }
     
-    const accessToken = getHubSpotAccessToken();
-    const allDeals = [];
-    let after = null;
-    let pageCount = 0;
+    let attempt = 0;
     
-    do {
-      pageCount++;
-      Logger.log(`  Page ${pageCount}...`);
+    while (pending.length > 0) {
+      const requests = pending.map(i => buildHubSpotRequest(calls[i].method, calls[i].path, calls[i].payload));
+      pending.forEach(() => trackHubSpotRequest());
       
-      const response = fetchDealsPage(accessToken, properties, ownerId, after, options);
+      let responses = null;
+      let fetchError = null;
       
-      if (response.results && response.results.length > 0) {
-        allDeals.push(...response.results);
+      try {
+        responses = UrlFetchApp.fetchAll(requests);
+      } catch (error) {
+        fetchError = error;
       }
       
-      after = response.paging && response.paging.next ? response.paging.next.after : null;
+      const retry = [];
+      let retryResponse = null;
+      
+      if (fetchError) {
+        if (attempt >= HUBSPOT_API_CONFIG.MAX_RETRIES) {
+          throw fetchError;
+        }
+        retry.push(...pending);
+      } else {
+        responses.forEach((response, j) => {
+          const index = pending[j];
+          const statusCode = response.getResponseCode();
+          
+          if (statusCode >= 200 && statusCode < 300) {
+            const responseText = response.getContentText();
+            results[index] = responseText ? JSON.parse(responseText) : {};
+          } else if (RETRYABLE_STATUS_CODES.includes(statusCode) && attempt < HUBSPOT_API_CONFIG.MAX_RETRIES) {
+            retry.push(index);
+            retryResponse = response;
+          } else {
+            Logger.log(`HubSpot API Error (${statusCode}): ${response.getContentText()}`);
+            const error = new Error(`HubSpot API error: ${statusCode}`);
+            error.statusCode = statusCode;
+            throw error;
+          }
+        });
+      }
       
-      // Safety limit
-      if (allDeals.length >= HUBSPOT_API_CONFIG.MAX_RESULTS) {
-        Logger.log(`  Reached maximum limit of ${HUBSPOT_API_CONFIG.MAX_RESULTS}`);
-        break;
+      if (retry.length > 0) {
+        attempt++;
+        hubSpotRequestStats.retries += retry.length;
+        
+        const delayMs = getRetryDelayMs(retryResponse, attempt);
+        const reason = fetchError ? fetchError.message : `status ${retryResponse.getResponseCode()}`;
+        Logger.log(`  HubSpot retry ${attempt}/${HUBSPOT_API_CONFIG.MAX_RETRIES} for ${retry.length} parallel requests (${reason}), waiting ${delayMs}ms`);
+        Utilities.sleep(delayMs);
       }
       
-    } while (after);
+      pending = retry;
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Builds UrlFetchApp request params for a HubSpot call
+ * @param {string} method - HTTP method
+ * @param {string} path - Endpoint path (may include a query string)
+ * @param {Object} payload - Optional JSON body
+ * @returns {Object} Request object (usable with fetch and fetchAll)
+ */
+function buildHubSpotRequest(method, path, payload) {
+  const request = {
+    url: HUBSPOT_API_CONFIG.BASE_URL + path,
+    method: method,
+    headers: {
+      'Authorization': `Bearer ${getHubSpotAccessToken()}`
+    },
+    muteHttpExceptions: true
+  };
+  
+  if (payload) {
+    request.contentType = 'application/json';
+    request.payload = JSON.stringify(payload);
+  }
+  
+  return request;
+}
+
+/**
+ * Calculates how long to wait before the next retry
+ * Honors Retry-After when HubSpot sends it, otherwise exponential backoff with jitter
+ * @param {HTTPResponse|null} response - The failed response (null on network error)
+ * @param {number} attempt - Retry number (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(response, attempt) {
+  if (response) {
+    const headers = response.getHeaders();
+    const retryAfter = headers['Retry-After'] || headers['retry-after'];
+    const retryAfterSeconds = parseFloat(retryAfter);
+    
+    if (!isNaN(retryAfterSeconds) && retryAfterSeconds >= 0) {
+      return Math.min(retryAfterSeconds * 1000, HUBSPOT_API_CONFIG.RETRY_MAX_DELAY_MS);
+    }
+  }
+  
+  const exponential = HUBSPOT_API_CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  const capped = Math.min(exponential, HUBSPOT_API_CONFIG.RETRY_MAX_DELAY_MS);
+  
+  // Full jitter between 50% and 100% of the backoff step
+  return Math.round(capped * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Counts a request against the per-run budget
+ */
+function trackHubSpotRequest() {
+  hubSpotRequestStats.requests++;
+  
+  if (hubSpotRequestStats.requests > HUBSPOT_API_CONFIG.REQUEST_BUDGET && !hubSpotRequestStats.budgetWarned) {
+    hubSpotRequestStats.budgetWarned = true;
+    Logger.log(`⚠️ HubSpot request budget exceeded (${HUBSPOT_API_CONFIG.REQUEST_BUDGET} requests this run)`);
+  }
+}
+
+/**
+ * Gets the HubSpot request counters for this run
+ * @returns {Object} {requests, retries, budget}
+ */
+function getHubSpotRequestStats() {
+  return {
+    requests: hubSpotRequestStats.requests,
+    retries: hubSpotRequestStats.retries,
+    budget: HUBSPOT_API_CONFIG.REQUEST_BUDGET
+  };
+}
+
+// ============================================================================
+// MAIN FETCH FUNCTIONS
+// ============================================================================
+
+/**
+ * Fetches deals for a specific owner
+ * @param {string} ownerEmailOrId - Email or User ID of the deal owner
+ * @param {Array<string>} properties - Array of property names to fetch
+ * @param {Object} options - Optional settings (hubspotUserId, view)
+ * @returns {Array<Object>} Array of deal objects
+ */
+function fetchDealsByOwner(ownerEmailOrId, properties, options = {}) {
+  try {
+    Logger.log(`Fetching deals for ${ownerEmailOrId}...`);
     
-    Logger.log(`  Total deals fetched: ${allDeals.length}`);
+    const ownerId = resolveOwnerId(ownerEmailOrId, options);
+    if (!ownerId) {
+      Logger.log(`  Warning: Owner not found for ${ownerEmailOrId}, returning 0 deals`);
+      return [];
+    }
     
-    // Apply client-side GTC filter (ability_to_pay >= 3 AND warm_prospects >= 3)
-    const gtcDeals = allDeals.filter(deal => {
-      const abilityToPay = extractNumericProperty(deal, 'ability_to_pay');
-      const warmProspects = extractNumericProperty(deal, 'warm_prospects');
-      
-      // Both must be >= 3 (GTC = "Good To Close")
-      // If value is empty/null, it's not GTC
-      return (typeof abilityToPay === 'number' && abilityToPay >= 3) &&
-             (typeof warmProspects === 'number' && warmProspects >= 3);
-    });
+    // GTC filter (ability_to_pay >= 3 AND warm_prospects >= 3) is part of the view
+    const viewName = options.view || getSetting('Pipeline Review View');
     
-    Logger.log(`  GTC-filtered deals: ${gtcDeals.length} (from ${allDeals.length} total)`);
-    return gtcDeals;
+    if (dealStoreCovers(viewName, ownerId)) {
+      const storedDeals = readDealStoreView(viewName, ownerId);
+      Logger.log(`  Total deals from deal store: ${storedDeals.length}`);
+      return storedDeals;
+    }
+    
+    const { deals, total } = executeDealQuery(getView(viewName), { ownerIds: [ownerId], properties: properties });
+    
+    Logger.log(`  Total deals fetched: ${deals.length} (HubSpot total: ${total})`);
+    return deals;
     
   } catch (error) {
     Logger.log(`Error fetching deals for ${ownerEmailOrId}: ${error.message}`);
@@ -127,56 +333,31 @@ function fetchDealsByOwner(ownerEmailOrId, properties, options = {}) {
  * Fetches enrollment deals for a specific owner
  * @param {string} ownerEmailOrId - Email or User ID of the deal owner
  * @param {Array<string>} properties - Array of property names to fetch
- * @param {Object} options - Optional filters (hubspotUserId, months, etc.)
+ * @param {Object} options - Optional settings (hubspotUserId, view)
  * @returns {Array<Object>} Array of enrollment deal objects
  */
 function fetchEnrollmentDeals(ownerEmailOrId, properties, options = {}) {
   try {
     Logger.log(`Fetching enrollment deals for ${ownerEmailOrId}...`);
     
-    let ownerId;
-    
-    // Check if we have a direct User ID in options
-    if (options.hubspotUserId && options.hubspotUserId !== '') {
-      ownerId = options.hubspotUserId.toString();
-      Logger.log(`  Using provided User ID: ${ownerId}`);
-    } else {
-      // Fall back to email lookup (requires API permission)
-      ownerId = getOwnerIdByEmail(ownerEmailOrId);
-      if (!ownerId) {
-        Logger.log(`  Warning: Owner not found for ${ownerEmailOrId}, returning 0 deals`);
-        return [];
-      }
-      Logger.log(`  Looked up User ID: ${ownerId}`);
+    const ownerId = resolveOwnerId(ownerEmailOrId, options);
+    if (!ownerId) {
+      Logger.log(`  Warning: Owner not found for ${ownerEmailOrId}, returning 0 deals`);
+      return [];
     }
     
-    const accessToken = getHubSpotAccessToken();
-    const allDeals = [];
-    let after = null;
-    let pageCount = 0;
+    const viewName = options.view || getSetting('Enrollment View');
     
-    do {
-      pageCount++;
-      Logger.log(`  Page ${pageCount}...`);
-      
-      const response = fetchEnrollmentDealsPage(accessToken, properties, ownerId, after, options);
-      
-      if (response.results && response.results.length > 0) {
-        allDeals.push(...response.results);
-      }
-      
-      after = response.paging && response.paging.next ? response.paging.next.after : null;
-      
-      // Safety limit
-      if (allDeals.length >= HUBSPOT_API_CONFIG.MAX_RESULTS) {
-        Logger.log(`  Reached maximum limit of ${HUBSPOT_API_CONFIG.MAX_RESULTS}`);
-        break;
-      }
-      
-    } while (after);
+    if (dealStoreCovers(viewName, ownerId)) {
+      const storedDeals = readDealStoreView(viewName, ownerId);
+      Logger.log(`  Total enrollment deals from deal store: ${storedDeals.length}`);
+      return storedDeals;
+    }
     
-    Logger.log(`  Total enrollment deals fetched: ${allDeals.length}`);
-    return allDeals;
+    const { deals, total } = executeDealQuery(getView(viewName), { ownerIds: [ownerId], properties: properties });
+    
+    Logger.log(`  Total enrollment deals fetched: ${deals.length} (HubSpot total: ${total})`);
+    return deals;
     
   } catch (error) {
     Logger.log(`Error fetching enrollment deals for ${ownerEmailOrId}: ${error.message}`);
@@ -184,245 +365,334 @@ function fetchEnrollmentDeals(ownerEmailOrId, properties, options = {}) {
   }
 }
 
+// ============================================================================
+// OWNER LOOKUP
+// ============================================================================
+
 /**
- * Fetches a single page of deals from HubSpot
- * @param {string} accessToken - HubSpot access token
- * @param {Array<string>} properties - Properties to fetch
- * @param {string} ownerId - Owner ID filter (numeric)
- * @param {string} after - Pagination cursor
- * @param {Object} options - Additional filter options
- * @returns {Object} API response object
+ * Resolves the HubSpot owner ID for a fetch call
+ * @param {string} ownerEmailOrId - Email or User ID of the deal owner
+ * @param {Object} options - Fetch options (hubspotUserId takes precedence)
+ * @returns {string|null} Owner ID or null if not found
  */
-function fetchDealsPage(accessToken, properties, ownerId, after, options = {}) {
-  const url = HUBSPOT_API_CONFIG.BASE_URL + HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH;
-  
-  // Build filters (all filters in one group = AND logic)
-  const filters = [];
+function resolveOwnerId(ownerEmailOrId, options = {}) {
+  // Check if we have a direct User ID in options
+  if (options.hubspotUserId && options.hubspotUserId !== '') {
+    const ownerId = options.hubspotUserId.toString();
+    Logger.log(`  Using provided User ID: ${ownerId}`);
+    return ownerId;
+  }
   
-  // Filter 1: Owner ID
+  // Fall back to the owner directory (requires crm.objects.owners.read)
+  const ownerId = getOwnerIdByEmail(ownerEmailOrId);
   if (ownerId) {
-    filters.push({
-      propertyName: 'hubspot_owner_id',
-      operator: 'EQ',
-      value: ownerId.toString()
-    });
+    Logger.log(`  Looked up User ID: ${ownerId}`);
+  }
+  return ownerId;
+}
+
+/**
+ * Gets owner ID by email address
+ * @param {string} email - Owner email address
+ * @returns {string|null} Owner ID or null if not found
+ */
+function getOwnerIdByEmail(email) {
+  if (!email) {
+    return null;
   }
   
-  // Filter 2: Deal Stage (Partnership Proposal, Negotiation, Demonstrating Value)
-  filters.push({
-    propertyName: 'dealstage',
-    operator: 'IN',
-    values: ['90284260', '90284261', '90284259']
-  });
+  try {
+    const owner = loadOwnerDirectory()[email.toString().toLowerCase().trim()];
+    return owner ? owner.id : null;
+    
+  } catch (error) {
+    Logger.log(`Error getting owner ID for ${email}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the full owner directory (active + archived), keyed by lowercase email
+ * Loaded once per run and cached in CacheService between runs
+ * @returns {Object} Map of email → {id, name, archived}
+ */
+function loadOwnerDirectory() {
+  if (ownerDirectory) {
+    return ownerDirectory;
+  }
   
-  // Filter 3: Create Date (rolling window, default 120 days)
-  const now = new Date();
-  const windowDays = options.dateRangeDays && typeof options.dateRangeDays === 'number'
-    ? options.dateRangeDays
-    : 120;
-  const createdAfter = new Date();
-  createdAfter.setDate(now.getDate() - windowDays);
-  
-  filters.push({
-    propertyName: 'createdate',
-    operator: 'GTE',
-    value: createdAfter.getTime().toString()
-  });
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(HUBSPOT_API_CONFIG.OWNERS_CACHE_KEY);
   
-  // Filter 4: NOT Closed Lost
-  filters.push({
-    propertyName: 'closed_status',
-    operator: 'NEQ',
-    value: 'Closed lost (please specify the reason)'
-  });
+  if (cached) {
+    ownerDirectory = JSON.parse(cached);
+    Logger.log(`Owner directory loaded from cache (${Object.keys(ownerDirectory).length} owners)`);
+    return ownerDirectory;
+  }
   
-  // Filter 5: GTC Filter - Ability to Pay >= 3 (between 3-5)
-  filters.push({
-    propertyName: 'ability_to_pay',
-    operator: 'GTE',
-    value: '3'
-  });
+  const directory = {};
   
-  // Filter 6: GTC Filter - Warm Prospects >= 3 (between 3-5)
-  filters.push({
-    propertyName: 'warm_prospects',
-    operator: 'GTE',
-    value: '3'
+  // Archived first so an active owner with the same email wins
+  [true, false].forEach(archived => {
+    fetchAllOwners(archived).forEach(owner => {
+      if (!owner.email) return;
+      
+      directory[owner.email.toLowerCase()] = {
+        id: owner.id.toString(),
+        name: [owner.firstName, owner.lastName].filter(Boolean).join(' '),
+        archived: archived
+      };
+    });
   });
   
-  const filterGroups = [{ filters: filters }];
-  
-  const payload = {
-    properties: properties,
-    limit: HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE
-  };
-  
-  if (filterGroups.length > 0) {
-    payload.filterGroups = filterGroups;
-  }
-  
-  if (after) {
-    payload.after = after;
+  try {
+    cache.put(
+      HUBSPOT_API_CONFIG.OWNERS_CACHE_KEY,
+      JSON.stringify(directory),
+      HUBSPOT_API_CONFIG.OWNERS_CACHE_TTL_SECONDS
+    );
+  } catch (error) {
+    // Value too large for CacheService - keep the in-memory copy for this run
+    Logger.log(`Warning: Could not cache owner directory: ${error.message}`);
   }
   
-  const options_fetch = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options_fetch);
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
-  
-  if (statusCode !== 200) {
-    Logger.log(`HubSpot API Error (${statusCode}): ${responseText}`);
-    throw new Error(`HubSpot API error: ${statusCode}`);
-  }
+  ownerDirectory = directory;
+  Logger.log(`Owner directory loaded from HubSpot (${Object.keys(directory).length} owners)`);
+  return ownerDirectory;
+}
+
+/**
+ * Fetches every page of the owners endpoint
+ * @param {boolean} archived - Whether to fetch archived owners
+ * @returns {Array<Object>} Owner objects
+ */
+function fetchAllOwners(archived) {
+  const owners = [];
+  let after = null;
+  
+  do {
+    let path = `${HUBSPOT_API_CONFIG.ENDPOINTS.OWNERS}?limit=${HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE}&archived=${archived}`;
+    if (after) {
+      path += `&after=${encodeURIComponent(after)}`;
+    }
+    
+    const data = hubspotRequest('get', path);
+    
+    if (data.results && data.results.length > 0) {
+      owners.push(...data.results);
+    }
+    
+    after = data.paging && data.paging.next ? data.paging.next.after : null;
+    
+  } while (after);
   
-  return JSON.parse(responseText);
+  return owners;
 }
 
+// ============================================================================
+// ASSOCIATIONS
+// ============================================================================
+
 /**
- * Fetches a single page of enrollment deals from HubSpot
- * @param {string} accessToken - HubSpot access token
- * @param {Array<string>} properties - Properties to fetch
- * @param {string} ownerId - Owner ID filter (numeric)
- * @param {string} after - Pagination cursor
- * @param {Object} options - Additional filter options
- * @returns {Object} API response object
+ * Fetches the objects (contacts, calls, tasks, ...) associated with deals
+ * Needs the read scope of the associated object type; a token without it
+ * fails with statusCode 403.
+ * @param {string} toObjectType - Associated object type ('contacts', 'calls', 'tasks')
+ * @param {Array<string>} dealIds - HubSpot deal IDs
+ * @returns {Object} Map of deal ID → Array of {id, labels} (deals without associations are left out)
  */
-function fetchEnrollmentDealsPage(accessToken, properties, ownerId, after, options = {}) {
-  const url = HUBSPOT_API_CONFIG.BASE_URL + HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH;
+function fetchDealAssociations(toObjectType, dealIds) {
+  const calls = [];
+  for (let i = 0; i < dealIds.length; i += HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE) {
+    calls.push({
+      method: 'post',
+      path: `${HUBSPOT_API_CONFIG.ENDPOINTS.ASSOCIATIONS}/deals/${toObjectType}/batch/read`,
+      payload: { inputs: dealIds.slice(i, i + HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE).map(id => ({ id: id.toString() })) }
+    });
+  }
   
-  // Build filters (all filters in one group = AND logic)
-  const filters = [];
+  const associations = {};
+  hubspotRequestAll(calls).forEach(data => {
+    (data.results || []).forEach(result => {
+      associations[result.from.id.toString()] = (result.to || []).map(to => ({
+        id: to.toObjectId.toString(),
+        labels: (to.associationTypes || []).map(type => type.label).filter(label => label)
+      }));
+    });
+  });
   
-  // Filter 1: Owner ID
-  if (ownerId) {
-    filters.push({
-      propertyName: 'hubspot_owner_id',
-      operator: 'EQ',
-      value: ownerId.toString()
+  return associations;
+}
+
+/**
+ * Fetches CRM objects by ID (batch read)
+ * @param {string} objectType - Object type ('contacts', 'calls', 'tasks', ...)
+ * @param {Array<string>} ids - Object IDs
+ * @param {Array<string>} properties - Property names to fetch
+ * @returns {Array<Object>} Objects {id, properties} (unknown IDs are left out)
+ */
+function fetchObjectsByIds(objectType, ids, properties) {
+  const calls = [];
+  for (let i = 0; i < ids.length; i += HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE) {
+    calls.push({
+      method: 'post',
+      path: `${HUBSPOT_API_CONFIG.ENDPOINTS.OBJECTS}/${objectType}/batch/read`,
+      payload: {
+        properties: properties,
+        inputs: ids.slice(i, i + HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE).map(id => ({ id: id }))
+      }
     });
   }
   
-  // Filter 2: Deal Stage (Partnership Confirmed = 90284262)
-  filters.push({
-    propertyName: 'dealstage',
-    operator: 'EQ',
-    value: '90284262'
+  const objects = [];
+  hubspotRequestAll(calls).forEach(data => {
+    objects.push(...(data.results || []));
   });
   
-  // Filter 3: Closed Status (Closed won)
-  filters.push({
-    propertyName: 'closed_status',
-    operator: 'EQ',
-    value: 'Closed won'
+  return objects;
+}
+
+/**
+ * Fetches the objects associated with deals, with their properties
+ * Two batched steps: associations, then one batch read of every associated ID.
+ * @param {string} toObjectType - Associated object type ('contacts', 'calls', 'tasks')
+ * @param {Array<string>} dealIds - HubSpot deal IDs
+ * @param {Array<string>} properties - Property names to fetch
+ * @returns {Object} Map of deal ID → Array of {id, labels, properties}
+ */
+function fetchDealAssociatedObjects(toObjectType, dealIds, properties) {
+  const associations = fetchDealAssociations(toObjectType, dealIds);
+  
+  // Object keys de-duplicate (a team can have tens of thousands of associated calls)
+  const idSet = {};
+  Object.values(associations).forEach(list => {
+    list.forEach(association => {
+      idSet[association.id] = true;
+    });
   });
+  const ids = Object.keys(idSet);
   
-  // Filter 4: Close Date - Current month and last month
-  // Calculate first day of last month
-  const now = new Date();
-  const firstDayOfCurrentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const firstDayOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const objectsById = {};
+  if (ids.length > 0) {
+    fetchObjectsByIds(toObjectType, ids, properties).forEach(object => {
+      objectsById[object.id.toString()] = object;
+    });
+  }
   
-  filters.push({
-    propertyName: 'closedate',
-    operator: 'GTE',
-    value: firstDayOfLastMonth.getTime().toString()
+  const result = {};
+  Object.keys(associations).forEach(dealId => {
+    result[dealId] = associations[dealId]
+      .filter(association => objectsById[association.id])
+      .map(association => ({
+        id: association.id,
+        labels: association.labels,
+        properties: objectsById[association.id].properties || {}
+      }));
   });
   
-  const filterGroups = [{ filters: filters }];
-  
-  const payload = {
-    properties: properties,
-    limit: HUBSPOT_API_CONFIG.DEFAULT_BATCH_SIZE
-  };
-  
-  if (filterGroups.length > 0) {
-    payload.filterGroups = filterGroups;
+  return result;
+}
+
+/**
+ * Gets the call outcome labels (hs_call_disposition holds the outcome ID)
+ * Loaded once per run
+ * @returns {Object} Map of disposition ID → label
+ */
+function getCallDispositionLabels() {
+  if (callDispositionLabels) {
+    return callDispositionLabels;
   }
   
-  if (after) {
-    payload.after = after;
-  }
+  callDispositionLabels = {};
+  const data = hubspotRequest('get', HUBSPOT_API_CONFIG.ENDPOINTS.CALL_DISPOSITIONS);
+  (Array.isArray(data) ? data : []).forEach(disposition => {
+    callDispositionLabels[disposition.id] = disposition.label;
+  });
   
-  const options_fetch = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`
+  return callDispositionLabels;
+}
+
+// ============================================================================
+// WRITE FUNCTIONS
+// ============================================================================
+
+/**
+ * Fetches a single deal by ID
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Array<string>} properties - Property names to fetch
+ * @returns {Object} Deal object {id, properties}
+ */
+function fetchDealById(dealId, properties) {
+  const query = properties.length > 0 ? `?properties=${properties.map(encodeURIComponent).join(',')}` : '';
+  return hubspotRequest('get', `${HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_BY_ID}/${dealId}${query}`);
+}
+
+/**
+ * Updates deal properties
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} properties - Map of property name → value
+ * @returns {Object} Updated deal
+ */
+function updateDealProperties(dealId, properties) {
+  return hubspotRequest('patch', `${HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_BY_ID}/${dealId}`, { properties: properties });
+}
+
+/**
+ * Creates a note engagement on a deal
+ * @param {string} dealId - HubSpot deal ID
+ * @param {string} body - Note text (plain text, line breaks kept)
+ * @returns {Object} Created note {id, properties}
+ */
+function createDealNote(dealId, body) {
+  return hubspotRequest('post', HUBSPOT_API_CONFIG.ENDPOINTS.NOTES, {
+    properties: {
+      hs_timestamp: new Date().toISOString(),
+      hs_note_body: body.replace(/\n/g, '<br>')
     },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options_fetch);
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
-  
-  if (statusCode !== 200) {
-    Logger.log(`HubSpot API Error (${statusCode}): ${responseText}`);
-    throw new Error(`HubSpot API error: ${statusCode}`);
-  }
-  
-  return JSON.parse(responseText);
+    associations: [{
+      to: { id: dealId },
+      types: [{
+        associationCategory: 'HUBSPOT_DEFINED',
+        associationTypeId: HUBSPOT_API_CONFIG.NOTE_TO_DEAL_ASSOCIATION_TYPE_ID
+      }]
+    }]
+  });
 }
 
 // ============================================================================
-// OWNER LOOKUP
+// PROPERTY METADATA
 // ============================================================================
 
 /**
- * Gets owner ID by email address
- * @param {string} email - Owner email address
- * @returns {string|null} Owner ID or null if not found
+ * Gets the names of all deal properties defined in HubSpot
+ * Cached for the run and in CacheService
+ * @returns {Array<string>} Property internal names
  */
-function getOwnerIdByEmail(email) {
+function getDealPropertyNames() {
+  if (dealPropertyNames) {
+    return dealPropertyNames;
+  }
+  
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(HUBSPOT_API_CONFIG.PROPERTIES_CACHE_KEY);
+  
+  if (cached) {
+    dealPropertyNames = JSON.parse(cached);
+    return dealPropertyNames;
+  }
+  
+  const data = hubspotRequest('get', HUBSPOT_API_CONFIG.ENDPOINTS.PROPERTIES);
+  const names = (data.results || []).map(property => property.name);
+  
   try {
-    const accessToken = getHubSpotAccessToken();
-    const url = HUBSPOT_API_CONFIG.BASE_URL + HUBSPOT_API_CONFIG.ENDPOINTS.OWNERS;
-    
-    const options = {
-      method: 'get',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      },
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch(url, options);
-    const statusCode = response.getResponseCode();
-    
-    if (statusCode !== 200) {
-      Logger.log(`Failed to fetch owners: ${statusCode}`);
-      return null;
-    }
-    
-    const data = JSON.parse(response.getContentText());
-    
-    if (data.results) {
-      // Search for owner by email
-      const owner = data.results.find(owner => 
-        owner.email && owner.email.toLowerCase() === email.toLowerCase()
-      );
-      
-      if (owner) {
-        return owner.id.toString();
-      }
-    }
-    
-    return null;
-    
+    cache.put(HUBSPOT_API_CONFIG.PROPERTIES_CACHE_KEY, JSON.stringify(names), HUBSPOT_API_CONFIG.PROPERTIES_CACHE_TTL_SECONDS);
   } catch (error) {
-    Logger.log(`Error getting owner ID for ${email}: ${error.message}`);
-    return null;
+    Logger.log(`Warning: Could not cache deal property names: ${error.message}`);
   }
+  
+  dealPropertyNames = names;
+  Logger.log(`Deal properties loaded: ${names.length}`);
+  return dealPropertyNames;
 }
 
 // ============================================================================
@@ -520,6 +790,23 @@ function extractDateProperty(deal, propertyName, timezone = 'America/New_York')
   }
 }
 
+/**
+ * Extracts a date property as a timestamp (for day arithmetic)
+ * @param {Object} deal - The deal object from HubSpot
+ * @param {string} propertyName - The date property name (ISO string or epoch ms)
+ * @returns {number|null} Epoch ms, null if blank or invalid
+ */
+function extractTimestampProperty(deal, propertyName) {
+  const value = extractDealProperty(deal, propertyName);
+  if (value === '') {
+    return null;
+  }
+
+  const valueStr = value.toString().trim();
+  const time = /^\d+$/.test(valueStr) ? parseInt(valueStr, 10) : Date.parse(valueStr);
+  return isNaN(time) || time === 0 ? null : time;
+}
+
 /**
  * Extracts a numeric property from a deal
  * @param {Object} deal - The deal object from HubSpot
@@ -549,35 +836,16 @@ function testHubSpotConnection() {
   try {
     Logger.log('=== Testing HubSpot Connection ===');
     
-    const accessToken = getHubSpotAccessToken();
+    getHubSpotAccessToken();
     Logger.log('✅ Access token found');
     
     // Test with a simple properties fetch
-    const url = HUBSPOT_API_CONFIG.BASE_URL + HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH;
-    
     const payload = {
       properties: ['dealname', 'hubspot_owner_id'],
       limit: 5
     };
     
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch(url, options);
-    const statusCode = response.getResponseCode();
-    
-    if (statusCode !== 200) {
-      throw new Error(`API returned status ${statusCode}: ${response.getContentText()}`);
-    }
-    
-    const data = JSON.parse(response.getContentText());
+    const data = hubspotRequest('post', HUBSPOT_API_CONFIG.ENDPOINTS.DEALS_SEARCH, payload);
     const dealCount = data.results ? data.results.length : 0;
     
     Logger.log(`✅ Successfully fetched ${dealCount} test deals`);
@@ -0,0 +1,581 @@
+/**
+ * Note Write-Back
+ * Pushes AE manual columns (notes, next steps) to HubSpot
+ *
+ * Opt-in twice: the "HubSpot Write-Back" setting must be Y, and only manual
+ * columns with a Write Back target in the Columns tab take part:
+ *   property - two-way sync with the deal property named in Property
+ *   note     - every new value is added to the deal as a HubSpot note
+ *
+ * Edits are picked up on each Pipeline Review refresh, and right away when
+ * the installable onEdit trigger is installed (installWriteBackTriggers()).
+ * Both hold the script lock while they read and replace the state, so an
+ * edit made during a refresh is written back after it, not overwritten.
+ *
+ * The last value both sides agreed on is kept per deal and column in the
+ * hidden "🔁 Write-Back State" tab of each AE sheet. Against it:
+ *   only the sheet changed   → written to HubSpot
+ *   only HubSpot changed     → pulled into the sheet
+ *   both changed differently → conflict: nothing is written, the cell gets a
+ *                              note, and the next edit of the cell wins
+ * The first refresh of a note column records the cells as they are (seed),
+ * so turning it on doesn't send every existing note to HubSpot.
+ * Every write, conflict and error is logged to "📝 Write-Back Log" in the
+ * Control Sheet.
+ *
+ * Note: Uses TAB_WRITE_BACK_STATE from SheetProvisioner.js and TAB_WRITE_BACK_LOG from ConfigManager.js
+ */
+
+const NOTE_WRITE_BACK_CONFIG = {
+  STATE_HEADERS: ['Deal ID', 'Column', 'Synced Value', 'Status', 'Conflict Sheet Value', 'Conflict HubSpot Value', 'Updated On'],
+  LOG_HEADERS: ['Logged On', 'AE', 'Deal ID', 'Deal Name', 'Column', 'Target', 'HubSpot Value', 'Sheet Value', 'Result', 'Detail'],
+  MAX_LOG_ROWS: 5000, // Oldest entries are dropped beyond this
+  STATE_RETENTION_DAYS: 90, // State of deals no longer on the sheet is dropped after this
+  EDIT_HANDLER: 'onPipelineReviewEdit',
+  MAX_TRIGGERS: 20, // Apps Script limit of triggers per user per script
+  LOCK_TIMEOUT_MS: 30000,
+  TIMEZONE: 'America/New_York'
+};
+
+const WRITE_BACK_RESULTS = {
+  WRITTEN: 'Written',
+  NOTE_CREATED: 'Note created',
+  CONFLICT: 'Conflict',
+  ERROR: 'Error'
+};
+
+/**
+ * Checks the "HubSpot Write-Back" setting
+ * @returns {boolean} True if write-back is on
+ */
+function isWriteBackEnabled() {
+  return getFlagSetting('HubSpot Write-Back');
+}
+
+/**
+ * Gets the manual columns written back to HubSpot
+ * @returns {Array<Object>} Columns with a (valid) write back target
+ */
+function getWriteBackColumns() {
+  return getManualColumns().filter(column => column.writeBack && column.valid);
+}
+
+// ============================================================================
+// REFRESH SYNC
+// ============================================================================
+
+/**
+ * Takes the script lock shared by the refresh and the onEdit handler
+ * The refresh holds it from capturing the Pipeline Review to restoring it.
+ * @returns {Lock|null} Held lock (release it), null if write-back is off
+ */
+function acquireWriteBackLock() {
+  if (!isWriteBackEnabled() || getWriteBackColumns().length === 0) {
+    return null;
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(NOTE_WRITE_BACK_CONFIG.LOCK_TIMEOUT_MS);
+  return lock;
+}
+
+/**
+ * Syncs the write-back columns of an AE's deals with HubSpot
+ * Runs on refresh, after the notes archive: pulled values are put into
+ * preserved.byId, so restorePreservedData() writes them to the sheet.
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Object} person - Person object {name, email}
+ * @param {Object} preserved - Preserved data from capturePreservedData()
+ * @param {Array<Object>} deals - Deals on the refreshed sheet
+ * @returns {Object} {written, pulled, conflicts, errors, conflictCells: {dealId: {header: note}}}
+ */
+function syncWriteBackColumns(individualSheet, person, preserved, deals) {
+  const result = { written: 0, pulled: 0, conflicts: 0, errors: 0, conflictCells: {} };
+
+  const columns = getWriteBackColumns();
+  if (!isWriteBackEnabled() || columns.length === 0) {
+    return result;
+  }
+
+  const state = readWriteBackState(individualSheet);
+  const logRows = [];
+
+  // Note columns without any state yet were just turned on
+  const seedHeaders = columns
+    .filter(column => column.writeBack === 'note' &&
+      !Object.values(state).some(entry => entry.header === column.header))
+    .map(column => column.header);
+  seedHeaders.forEach(header => {
+    Logger.log(`  HubSpot write-back: seeding "${header}" from the sheet, existing values are not sent`);
+  });
+
+  deals.forEach(deal => {
+    const dealId = deal.id.toString();
+
+    columns.forEach(column => {
+      const data = preserved.byId[dealId];
+      const sheetValue = data && data.manual ? data.manual[column.header] : '';
+      const hubValue = column.writeBack === 'property' ? extractDealProperty(deal, column.property) : '';
+
+      const outcome = applyWriteBack({
+        column: column,
+        dealId: dealId,
+        dealName: extractDealProperty(deal, 'dealname'),
+        sheetValue: sheetValue,
+        hubValue: hubValue,
+        state: state,
+        person: person,
+        edited: false,
+        seed: seedHeaders.includes(column.header)
+      });
+
+      if (outcome.logRow) {
+        logRows.push(outcome.logRow);
+      }
+
+      if (outcome.action === 'push' && outcome.failed) {
+        result.errors++;
+      } else if (outcome.action === 'push') {
+        result.written++;
+      } else if (outcome.action === 'conflict') {
+        if (outcome.logRow) result.conflicts++; // Only new conflicts are logged
+        result.conflictCells[dealId] = result.conflictCells[dealId] || {};
+        result.conflictCells[dealId][column.header] = outcome.conflictNote;
+      } else if (outcome.action === 'pull') {
+        if (!preserved.byId[dealId]) {
+          preserved.byId[dealId] = { manual: {}, directorPriority: '', directorNote: '' };
+        }
+        preserved.byId[dealId].manual = Object.assign({}, preserved.byId[dealId].manual, { [column.header]: normalizeWriteBackValue(hubValue) });
+        result.pulled++;
+      }
+    });
+  });
+
+  writeWriteBackState(individualSheet, state, deals.map(deal => deal.id.toString()));
+  appendWriteBackLog(logRows);
+
+  Logger.log(`  HubSpot write-back: ${result.written} written, ${result.pulled} pulled, ${result.conflicts} new conflicts, ${result.errors} errors`);
+  return result;
+}
+
+/**
+ * Marks write-back conflicts with cell notes (other write-back cells are cleared)
+ * @param {Sheet} sheet - Pipeline Review sheet
+ * @param {Object} conflictCells - From syncWriteBackColumns(): {dealId: {header: note}}
+ */
+function markWriteBackConflicts(sheet, conflictCells) {
+  const columns = getWriteBackColumns();
+  const headerRow = getDealTableHeaderRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (columns.length === 0 || lastRow <= headerRow) {
+    return;
+  }
+
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const dealIdCol = headers.indexOf('Deal ID') + 1;
+  if (dealIdCol === 0) {
+    return;
+  }
+
+  const dealIds = sheet.getRange(headerRow + 1, dealIdCol, lastRow - headerRow, 1).getValues();
+
+  columns.forEach(column => {
+    const col = headers.indexOf(column.header) + 1;
+    if (col === 0) return;
+
+    sheet.getRange(headerRow + 1, col, sheet.getMaxRows() - headerRow, 1).clearNote();
+    sheet.getRange(headerRow + 1, col, dealIds.length, 1).setNotes(dealIds.map(row => {
+      const cells = conflictCells[row[0].toString()];
+      return [cells && cells[column.header] ? cells[column.header] : ''];
+    }));
+  });
+}
+
+// ============================================================================
+// DECISION
+// ============================================================================
+
+/**
+ * Decides and carries out the write-back of one cell, updating its state entry
+ * @param {Object} context - {column, dealId, dealName, sheetValue, hubValue, state, person, edited, seed}
+ *   edited: the AE just edited the cell (onEdit), so a pending conflict is overridden
+ *   seed: the note column was just turned on, the sheet value is recorded without sending it
+ * @returns {Object} {action: 'none'|'push'|'pull'|'synced'|'seed'|'conflict', failed, logRow, conflictNote}
+ */
+function applyWriteBack(context) {
+  const { column, dealId, state } = context;
+  const key = getWriteBackStateKey(dealId, column.header);
+  const entry = state[key] || null;
+  const sheetValue = normalizeWriteBackValue(context.sheetValue);
+  const hubValue = normalizeWriteBackValue(context.hubValue);
+
+  const action = context.seed && !entry ? 'seed' : decideWriteBack(column, sheetValue, hubValue, entry, context.edited);
+  const outcome = { action: action, failed: false, logRow: null, conflictNote: '' };
+  const logRow = result => [new Date(), context.person.name, dealId, context.dealName, column.header,
+    column.writeBack === 'property' ? column.property : 'note', hubValue, sheetValue, result.result, result.detail];
+
+  if (action === 'push') {
+    const pushed = pushWriteBackValue(column, dealId, sheetValue, context.person);
+    outcome.logRow = logRow(pushed);
+    outcome.failed = pushed.result === WRITE_BACK_RESULTS.ERROR;
+    if (!outcome.failed) {
+      state[key] = buildWriteBackStateEntry(dealId, column.header, sheetValue);
+    }
+  } else if (action === 'pull' || action === 'synced') {
+    state[key] = buildWriteBackStateEntry(dealId, column.header, hubValue);
+  } else if (action === 'seed') {
+    state[key] = buildWriteBackStateEntry(dealId, column.header, sheetValue);
+  } else if (action === 'conflict') {
+    const isNew = !entry || entry.status !== WRITE_BACK_RESULTS.CONFLICT ||
+      entry.conflictSheetValue !== sheetValue || entry.conflictHubValue !== hubValue;
+
+    if (isNew) {
+      outcome.logRow = logRow({
+        result: WRITE_BACK_RESULTS.CONFLICT,
+        detail: 'Changed in the sheet and in HubSpot since the last sync, nothing written'
+      });
+    }
+    state[key] = Object.assign(buildWriteBackStateEntry(dealId, column.header, entry ? entry.syncedValue : ''), {
+      status: WRITE_BACK_RESULTS.CONFLICT,
+      conflictSheetValue: sheetValue,
+      conflictHubValue: hubValue
+    });
+    outcome.conflictNote = `⚠️ HubSpot conflict: HubSpot has "${hubValue}", changed since the last sync. ` +
+      'Edit this cell to write your value to HubSpot, or enter HubSpot\'s value to accept it.';
+  }
+
+  return outcome;
+}
+
+/**
+ * Compares a cell with HubSpot and its last synced value
+ * @param {Object} column - Write-back column
+ * @param {string} sheetValue - Normalized sheet value
+ * @param {string} hubValue - Normalized HubSpot value ('' for note columns)
+ * @param {Object|null} entry - State entry, null if never synced
+ * @param {boolean} edited - The AE just edited the cell
+ * @returns {string} 'none' | 'push' | 'pull' | 'synced' | 'conflict'
+ */
+function decideWriteBack(column, sheetValue, hubValue, entry, edited) {
+  // Notes are append-only: a new non-blank value becomes a new HubSpot note
+  if (column.writeBack === 'note') {
+    const lastValue = entry ? entry.syncedValue : '';
+    if (sheetValue === lastValue) return 'none';
+    return sheetValue === '' ? 'synced' : 'push';
+  }
+
+  if (sheetValue === hubValue) {
+    return entry && entry.syncedValue === sheetValue && entry.status !== WRITE_BACK_RESULTS.CONFLICT ? 'none' : 'synced';
+  }
+
+  if (!entry) {
+    if (hubValue === '') return 'push';
+    if (sheetValue === '') return 'pull';
+    return 'conflict';
+  }
+
+  // Re-editing a conflicted cell (or editing it live) means the AE's value wins
+  if (entry.status === WRITE_BACK_RESULTS.CONFLICT && (edited || sheetValue !== entry.conflictSheetValue)) {
+    return 'push';
+  }
+
+  const sheetChanged = sheetValue !== entry.syncedValue;
+  const hubChanged = hubValue !== entry.syncedValue;
+
+  if (sheetChanged && !hubChanged) return 'push';
+  if (hubChanged && !sheetChanged) return edited ? 'push' : 'pull'; // Retyping the old value live still counts as an edit
+  return 'conflict';
+}
+
+/**
+ * Writes a value to HubSpot
+ * @param {Object} column - Write-back column
+ * @param {string} dealId - HubSpot deal ID
+ * @param {string} value - Normalized sheet value
+ * @param {Object} person - Person object {name}
+ * @returns {Object} {result, detail}
+ */
+function pushWriteBackValue(column, dealId, value, person) {
+  try {
+    if (column.writeBack === 'note') {
+      const note = createDealNote(dealId, `${column.header} (${person.name}, Pipeline Review):\n${value}`);
+      return { result: WRITE_BACK_RESULTS.NOTE_CREATED, detail: `Note ${note.id || ''}`.trim() };
+    }
+
+    updateDealProperties(dealId, { [column.property]: value });
+    return { result: WRITE_BACK_RESULTS.WRITTEN, detail: '' };
+
+  } catch (error) {
+    Logger.log(`  Warning: Write-back of "${column.header}" for deal ${dealId} failed: ${error.message}`);
+    return { result: WRITE_BACK_RESULTS.ERROR, detail: error.message };
+  }
+}
+
+/**
+ * Normalizes a sheet or HubSpot value for comparing and writing
+ * Dates become yyyy-MM-dd (HubSpot date properties), booleans true/false.
+ * @param {*} value - Cell or property value
+ * @returns {string} Normalized value ('' for blank)
+ */
+function normalizeWriteBackValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, NOTE_WRITE_BACK_CONFIG.TIMEZONE, 'yyyy-MM-dd');
+  }
+
+  const text = value.toString().trim();
+
+  // Date properties come back as midnight UTC timestamps
+  if (/^\d{4}-\d{2}-\d{2}T00:00:00(\.0+)?Z$/.test(text)) {
+    return text.substring(0, 10);
+  }
+
+  return text;
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Builds the state key of a deal/column pair
+ * @param {string} dealId - HubSpot deal ID
+ * @param {string} header - Column header
+ * @returns {string} Key
+ */
+function getWriteBackStateKey(dealId, header) {
+  return `${dealId}|${header}`;
+}
+
+/**
+ * Builds an in-sync state entry
+ * @param {string} dealId - HubSpot deal ID
+ * @param {string} header - Column header
+ * @param {string} value - Value both sides agree on
+ * @returns {Object} State entry
+ */
+function buildWriteBackStateEntry(dealId, header, value) {
+  return {
+    dealId: dealId,
+    header: header,
+    syncedValue: value,
+    status: 'Synced',
+    conflictSheetValue: '',
+    conflictHubValue: '',
+    updatedOn: new Date()
+  };
+}
+
+/**
+ * Reads the write-back state of an AE sheet
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @returns {Object} Map of state key → entry
+ */
+function readWriteBackState(individualSheet) {
+  const state = {};
+
+  const sheet = individualSheet.getSheetByName(TAB_WRITE_BACK_STATE);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return state;
+  }
+
+  const headerCount = NOTE_WRITE_BACK_CONFIG.STATE_HEADERS.length;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, headerCount).getValues().forEach(row => {
+    if (row[0] === '' || row[1] === '') return;
+
+    const entry = {
+      dealId: row[0].toString(),
+      header: row[1].toString(),
+      syncedValue: normalizeWriteBackValue(row[2]),
+      status: row[3] ? row[3].toString() : 'Synced',
+      conflictSheetValue: normalizeWriteBackValue(row[4]),
+      conflictHubValue: normalizeWriteBackValue(row[5]),
+      updatedOn: row[6]
+    };
+    state[getWriteBackStateKey(entry.dealId, entry.header)] = entry;
+  });
+
+  return state;
+}
+
+/**
+ * Replaces the write-back state (hidden tab, created on first use)
+ * Entries of deals no longer on the sheet are dropped after STATE_RETENTION_DAYS.
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @param {Object} state - Map of state key → entry
+ * @param {Array<string>} [currentDealIds] - Deals on the sheet (omit to keep every entry)
+ */
+function writeWriteBackState(individualSheet, state, currentDealIds) {
+  const cutoff = new Date().getTime() - NOTE_WRITE_BACK_CONFIG.STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  const rows = Object.values(state)
+    .filter(entry => !currentDealIds || currentDealIds.includes(entry.dealId) ||
+      new Date(entry.updatedOn).getTime() >= cutoff)
+    .map(entry => [entry.dealId, entry.header, entry.syncedValue, entry.status,
+      entry.conflictSheetValue, entry.conflictHubValue, entry.updatedOn]);
+
+  let sheet = individualSheet.getSheetByName(TAB_WRITE_BACK_STATE);
+  if (!sheet) {
+    if (rows.length === 0) return;
+    sheet = individualSheet.insertSheet(TAB_WRITE_BACK_STATE);
+    sheet.hideSheet();
+    Logger.log('  Created Write-Back State sheet');
+  }
+
+  const headers = NOTE_WRITE_BACK_CONFIG.STATE_HEADERS;
+  sheet.clear();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    // Values as plain text, so synced dates and numbers compare as written
+    sheet.getRange(2, 1, rows.length, headers.length - 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Adds rows to the Control Sheet Write-Back Log (newest first, see prependLogRows)
+ * @param {Array<Array>} logRows - Rows in LOG_HEADERS order
+ */
+function appendWriteBackLog(logRows) {
+  if (logRows.length === 0) {
+    return;
+  }
+
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  prependLogRows(ss, TAB_WRITE_BACK_LOG, 'Write-Back Log', NOTE_WRITE_BACK_CONFIG.LOG_HEADERS, logRows,
+    NOTE_WRITE_BACK_CONFIG.MAX_LOG_ROWS, { 1: 'yyyy-mm-dd hh:mm', 3: '@' });
+}
+
+// ============================================================================
+// ON EDIT TRIGGER
+// ============================================================================
+
+/**
+ * Installable onEdit handler for AE sheets: writes edited write-back cells to HubSpot
+ * Pasting over several cells writes each of them. Section rows and other
+ * tabs are ignored.
+ * @param {Object} e - Edit event
+ */
+function onPipelineReviewEdit(e) {
+  try {
+    if (!e || !e.range) return;
+
+    const sheet = e.range.getSheet();
+    if (sheet.getName() !== TAB_PIPELINE || !isWriteBackEnabled()) return;
+
+    const columns = getWriteBackColumns();
+    const headerRow = getDealTableHeaderRow(sheet);
+    const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const dealIdCol = headers.indexOf('Deal ID') + 1;
+    const dealNameCol = headers.indexOf('Deal Name') + 1;
+    if (dealIdCol === 0) return;
+
+    const edits = [];
+    for (let row = Math.max(e.range.getRow(), headerRow + 1); row <= e.range.getLastRow(); row++) {
+      for (let col = e.range.getColumn(); col <= e.range.getLastColumn(); col++) {
+        const column = columns.find(candidate => candidate.header === headers[col - 1]);
+        if (!column) continue;
+
+        const dealId = sheet.getRange(row, dealIdCol).getValue();
+        if (dealId === '' || dealId === null) continue;
+
+        edits.push({ row: row, col: col, column: column, dealId: dealId.toString() });
+      }
+    }
+    if (edits.length === 0) return;
+
+    // Waits for a running refresh to restore the sheet first
+    const lock = acquireWriteBackLock();
+
+    try {
+      const individualSheet = e.source;
+      const person = findWriteBackPerson(individualSheet);
+      const state = readWriteBackState(individualSheet);
+      const logRows = [];
+
+      edits.forEach(edit => {
+        const properties = edit.column.writeBack === 'property' ? [edit.column.property] : [];
+        const deal = properties.length > 0 ? fetchDealById(edit.dealId, properties) : null;
+
+        const outcome = applyWriteBack({
+          column: edit.column,
+          dealId: edit.dealId,
+          dealName: dealNameCol > 0 ? sheet.getRange(edit.row, dealNameCol).getValue() : '',
+          sheetValue: sheet.getRange(edit.row, edit.col).getValue(),
+          hubValue: deal ? extractDealProperty(deal, edit.column.property) : '',
+          state: state,
+          person: person,
+          edited: true
+        });
+
+        if (outcome.logRow) logRows.push(outcome.logRow);
+        sheet.getRange(edit.row, edit.col).setNote(outcome.conflictNote);
+      });
+
+      writeWriteBackState(individualSheet, state);
+      appendWriteBackLog(logRows);
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Logger.log(`[onPipelineReviewEdit] Error: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the salesperson an AE sheet belongs to (for the audit log)
+ * @param {Spreadsheet} individualSheet - The salesperson's individual sheet
+ * @returns {Object} Person {name, email}; the sheet name if not found
+ */
+function findWriteBackPerson(individualSheet) {
+  const person = loadConfiguration().salespeople.find(candidate => candidate.sheetId === individualSheet.getId());
+  return person || { name: individualSheet.getName(), email: '' };
+}
+
+/**
+ * Installs the onEdit write-back trigger on every AE sheet
+ * Run this ONCE after turning on "HubSpot Write-Back" (and after adding AEs).
+ * Without it, edits are still written back on the next refresh.
+ * @returns {number} Number of triggers installed
+ */
+function installWriteBackTriggers() {
+  const salespeople = loadConfiguration().salespeople.filter(person => person.sheetId);
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === NOTE_WRITE_BACK_CONFIG.EDIT_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  const otherTriggers = ScriptApp.getProjectTriggers().length;
+  if (otherTriggers + salespeople.length > NOTE_WRITE_BACK_CONFIG.MAX_TRIGGERS) {
+    Logger.log(`⚠️ ${salespeople.length} AE sheets + ${otherTriggers} other triggers exceed the ${NOTE_WRITE_BACK_CONFIG.MAX_TRIGGERS} trigger limit; the rest sync on refresh only`);
+  }
+
+  let installed = 0;
+  salespeople.forEach(person => {
+    if (otherTriggers + installed >= NOTE_WRITE_BACK_CONFIG.MAX_TRIGGERS) return;
+
+    try {
+      ScriptApp.newTrigger(NOTE_WRITE_BACK_CONFIG.EDIT_HANDLER)
+        .forSpreadsheet(person.sheetId)
+        .onEdit()
+        .create();
+      installed++;
+    } catch (error) {
+      Logger.log(`  Warning: Could not install the write-back trigger for ${person.name}: ${error.message}`);
+    }
+  });
+
+  Logger.log(`✅ Installed ${installed} write-back triggers`);
+  return installed;
+}
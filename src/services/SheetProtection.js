@@ -0,0 +1,131 @@
+/**
+ * Sheet Protection
+ * Keeps HubSpot, computed and director columns of AE Pipeline Review tabs
+ * read-only for the AE
+ *
+ * One sheet-level protection per tab, found by its description prefix, with
+ * the manual columns (Note 1, Note 2, ...) left unprotected. Editors are the
+ * tech access accounts, the directors (Directors tab and "Director Emails"
+ * setting) and the account running the script. Every refresh reconciles the same protection,
+ * so re-running never stacks duplicates.
+ *
+ * AEs can still sort and filter with filter views (Data > Filter views).
+ */
+
+const SHEET_PROTECTION_CONFIG = {
+  DESCRIPTION_PREFIX: '[Dashboard]',
+  DESCRIPTION: '[Dashboard] HubSpot and director columns are refreshed by the script, edit Note columns only'
+};
+
+/**
+ * Applies (or updates) the Pipeline Review protection
+ * @param {Sheet} sheet - Pipeline Review sheet
+ * @param {Array<string>} techAccessEmails - Tech access emails
+ * @returns {Object} {success, added, removed, editableColumns, error}
+ */
+function reconcilePipelineProtection(sheet, techAccessEmails) {
+  try {
+    const protection = getScriptProtection(sheet);
+
+    protection.setDescription(SHEET_PROTECTION_CONFIG.DESCRIPTION);
+    protection.setUnprotectedRanges(getEditableColumnRanges(sheet));
+    if (protection.canDomainEdit()) {
+      protection.setDomainEdit(false);
+    }
+
+    const allowed = getProtectionEditors(techAccessEmails);
+    const current = protection.getEditors().map(user => user.getEmail().toLowerCase());
+
+    const toAdd = allowed.filter(email => !current.includes(email));
+    const toRemove = current.filter(email => email && !allowed.includes(email));
+
+    if (toAdd.length > 0) {
+      protection.addEditors(toAdd);
+    }
+    if (toRemove.length > 0) {
+      protection.removeEditors(toRemove);
+    }
+
+    const editableColumns = getEditableColumnHeaders(sheet).length;
+    Logger.log(`  Protection: ${editableColumns} editable columns, ${toAdd.length} editors added, ${toRemove.length} removed`);
+
+    return { success: true, added: toAdd.length, removed: toRemove.length, editableColumns: editableColumns };
+
+  } catch (error) {
+    Logger.log(`  Warning: Could not apply protection: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Finds the script's protection on a sheet, removing duplicates, or creates it
+ * @param {Sheet} sheet - Sheet to protect
+ * @returns {Protection} Sheet protection
+ */
+function getScriptProtection(sheet) {
+  const ours = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET).filter(protection =>
+    (protection.getDescription() || '').indexOf(SHEET_PROTECTION_CONFIG.DESCRIPTION_PREFIX) === 0
+  );
+
+  ours.slice(1).forEach(protection => protection.remove());
+
+  return ours.length > 0 ? ours[0] : sheet.protect();
+}
+
+/**
+ * Gets the emails allowed to edit protected columns (lowercased, unique)
+ * @param {Array<string>} techAccessEmails - Tech access emails
+ * @returns {Array<string>} Emails
+ */
+function getProtectionEditors(techAccessEmails) {
+  const emails = [
+    ...techAccessEmails,
+    ...getListSetting('Director Emails'),
+    ...loadDirectorScopes().map(director => director.email),
+    Session.getEffectiveUser().getEmail()
+  ]
+    .map(email => (email || '').toString().trim().toLowerCase())
+    .filter(email => email !== '');
+
+  return emails.filter((email, index) => emails.indexOf(email) === index);
+}
+
+/**
+ * Gets the headers of the AE-editable (manual) columns present on a sheet
+ * @param {Sheet} sheet - Pipeline Review sheet
+ * @returns {Array<string>} Headers
+ */
+function getEditableColumnHeaders(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn < 1) {
+    return [];
+  }
+
+  const headers = sheet.getRange(getDealTableHeaderRow(sheet), 1, 1, lastColumn).getValues()[0];
+  return loadColumns()
+    .filter(column => column.source === 'manual' && headers.includes(column.header))
+    .map(column => column.header);
+}
+
+/**
+ * Gets the data ranges of the manual columns (below the header, to the bottom of the sheet)
+ * @param {Sheet} sheet - Pipeline Review sheet
+ * @returns {Array<Range>} Ranges
+ */
+function getEditableColumnRanges(sheet) {
+  const editableHeaders = getEditableColumnHeaders(sheet);
+  if (editableHeaders.length === 0) {
+    return [];
+  }
+
+  const headerRow = getDealTableHeaderRow(sheet);
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const rowCount = sheet.getMaxRows() - headerRow;
+  if (rowCount < 1) {
+    return [];
+  }
+
+  return editableHeaders.map(header =>
+    sheet.getRange(headerRow + 1, headers.indexOf(header) + 1, rowCount, 1)
+  );
+}
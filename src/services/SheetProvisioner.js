@@ -8,6 +8,12 @@ const TAB_PIPELINE = '📊 Pipeline Review';
 const TAB_BONUSES = '💰 Bonus Calculation';
 const TAB_ENROLLMENT = '📚 Enrollment Tracker';
 const TAB_OPS_METRICS = '📞 Operational Metrics';
+const TAB_NOTES_ARCHIVE = '🗄 Notes Archive'; // Created on first Pipeline Review refresh
+const TAB_CHANGES = '🕑 Changes'; // Created on first Pipeline Review refresh
+const TAB_TODAYS_ACTIONS = '⏰ Today\'s Actions'; // Created on first Pipeline Review refresh
+const TAB_FORECAST = '📈 Forecast'; // Created on first refresh
+const TAB_COACHING = '🎯 Coaching'; // Created on first refresh
+const TAB_WRITE_BACK_STATE = '🔁 Write-Back State'; // Hidden, created on the first HubSpot write-back
 
 /**
  * Get or create individual sheet for a salesperson
@@ -51,6 +57,9 @@ function getOrCreatePersonSheet(person, techAccessEmails, configSheet, rowIndex)
       }
     });
     
+    // Lock HubSpot and director columns (re-applied on every refresh)
+    reconcilePipelineProtection(newSpreadsheet.getSheetByName(TAB_PIPELINE), techAccessEmails);
+    
     // Update Control Sheet with new ID and URL
     if (configSheet && rowIndex) {
       configSheet.getRange(rowIndex, 3).setValue(sheetId);  // Column C: Sheet ID
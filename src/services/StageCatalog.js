@@ -0,0 +1,129 @@
+/**
+ * Stage Catalog
+ * Live deal pipeline/stage metadata from the HubSpot Pipelines API
+ *
+ * Components pick stages by label (from the Settings tab) instead of
+ * hardcoded stage IDs, so renamed or added stages don't break filters.
+ *
+ * Note: Setting keys are defined in ConfigManager.js (DEFAULT_SETTINGS)
+ */
+
+const STAGE_CATALOG_CONFIG = {
+  ENDPOINT: '/crm/v3/pipelines/deals',
+  CACHE_KEY: 'hubspot_deal_stage_catalog',
+  CACHE_TTL_SECONDS: 3600 // 1 hour
+};
+
+// Catalog loaded once per run, see loadStageCatalog()
+let stageCatalog = null;
+
+/**
+ * Loads all deal pipelines and their stages (cached for the run and in CacheService)
+ * @returns {Object} {pipelines: Array<Object>, stages: Object<stageId, Object>}
+ */
+function loadStageCatalog() {
+  if (stageCatalog) {
+    return stageCatalog;
+  }
+
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(STAGE_CATALOG_CONFIG.CACHE_KEY);
+
+  if (cached) {
+    stageCatalog = JSON.parse(cached);
+    return stageCatalog;
+  }
+
+  const data = hubspotRequest('get', STAGE_CATALOG_CONFIG.ENDPOINT);
+  const catalog = { pipelines: [], stages: {} };
+
+  (data.results || []).forEach(pipeline => {
+    catalog.pipelines.push({
+      id: pipeline.id,
+      label: pipeline.label,
+      displayOrder: pipeline.displayOrder
+    });
+
+    (pipeline.stages || []).forEach(stage => {
+      const metadata = stage.metadata || {};
+      const probability = parseFloat(metadata.probability);
+
+      catalog.stages[stage.id] = {
+        id: stage.id,
+        label: stage.label,
+        displayOrder: stage.displayOrder,
+        probability: isNaN(probability) ? null : probability,
+        isClosed: metadata.isClosed === 'true' || metadata.isClosed === true,
+        pipelineId: pipeline.id,
+        pipelineLabel: pipeline.label
+      };
+    });
+  });
+
+  try {
+    cache.put(STAGE_CATALOG_CONFIG.CACHE_KEY, JSON.stringify(catalog), STAGE_CATALOG_CONFIG.CACHE_TTL_SECONDS);
+  } catch (error) {
+    Logger.log(`Warning: Could not cache stage catalog: ${error.message}`);
+  }
+
+  stageCatalog = catalog;
+  Logger.log(`Stage catalog loaded: ${catalog.pipelines.length} pipelines, ${Object.keys(catalog.stages).length} stages`);
+  return stageCatalog;
+}
+
+/**
+ * Gets stage metadata by ID
+ * @param {string} stageId - HubSpot stage ID
+ * @returns {Object|null} Stage metadata or null if unknown
+ */
+function getStage(stageId) {
+  if (!stageId) return null;
+  return loadStageCatalog().stages[stageId.toString()] || null;
+}
+
+/**
+ * Gets the display label for a stage
+ * @param {string} stageId - HubSpot stage ID
+ * @returns {string} Stage label (falls back to the ID for unknown stages)
+ */
+function getStageLabel(stageId) {
+  const stage = getStage(stageId);
+  return stage ? stage.label : stageId;
+}
+
+/**
+ * Finds stage IDs by label within the configured pipeline
+ * @param {Array<string>} labels - Stage labels (case-insensitive)
+ * @returns {Array<string>} Matching stage IDs, in the order of labels
+ * @throws {Error} If a label doesn't match any stage
+ */
+function getStageIdsByLabels(labels) {
+  const pipelineLabel = getSetting('Deal Pipeline').toLowerCase();
+  const stages = Object.values(loadStageCatalog().stages).filter(stage =>
+    !pipelineLabel || (stage.pipelineLabel || '').toLowerCase() === pipelineLabel
+  );
+
+  return labels.map(label => {
+    const match = stages.find(stage => stage.label.toLowerCase() === label.toLowerCase());
+    if (!match) {
+      throw new Error(`Stage "${label}" not found in HubSpot${pipelineLabel ? ` pipeline "${getSetting('Deal Pipeline')}"` : ''}. Check ${TAB_SETTINGS}.`);
+    }
+    return match.id;
+  });
+}
+
+/**
+ * Gets the stage IDs shown in Pipeline Review ("Open Review Stages" setting)
+ * @returns {Array<string>} Stage IDs
+ */
+function getOpenReviewStageIds() {
+  return getStageIdsByLabels(getListSetting('Open Review Stages'));
+}
+
+/**
+ * Gets the stage ID counted as an enrollment ("Enrolled Stage" setting)
+ * @returns {string} Stage ID
+ */
+function getEnrolledStageId() {
+  return getStageIdsByLabels([getSetting('Enrolled Stage')])[0];
+}
@@ -0,0 +1,151 @@
+/**
+ * Stage Velocity
+ * Time in stage from HubSpot's per-stage date properties
+ *
+ * HubSpot stamps every deal with hs_date_entered_<stageId> and
+ * hs_date_exited_<stageId>. These are plain properties, so unlike
+ * propertiesWithHistory (not supported by the search API) they come back
+ * from the same search/store fetch as every other Pipeline Review field.
+ *
+ * A stint in a stage lasts from entering it to leaving it. Velocity is the
+ * median finished stint per review stage ("Open Review Stages" setting) over
+ * the "Stage Velocity" view (DealQuery.js): by default the deals closed since
+ * the start of the month 6 months ago. Open stints are left out, they would
+ * pull the median towards the age of today's pipeline; Days in Stage shows
+ * those per deal.
+ */
+
+const STAGE_VELOCITY_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the review stages velocity is reported for, in settings order
+ * @returns {Array<string>} Stage IDs (empty if the stages can't be resolved)
+ */
+function getVelocityStageIds() {
+  try {
+    return getStageIdsByLabels(getListSetting('Open Review Stages'));
+  } catch (error) {
+    Logger.log(`Warning: Could not resolve review stages for velocity: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Gets the entered/exited date properties of the review stages
+ * @returns {Array<string>} Property names
+ */
+function getStageVelocityProperties() {
+  const properties = [];
+  getVelocityStageIds().forEach(stageId => {
+    properties.push(`hs_date_entered_${stageId}`, `hs_date_exited_${stageId}`);
+  });
+  return properties;
+}
+
+/**
+ * Gets the days a deal has been in its current stage
+ * @param {Object} deal - Deal from HubSpot
+ * @returns {number|string} Whole days, '' if the entry date is unknown
+ */
+function getDaysInStage(deal) {
+  const stageId = extractDealProperty(deal, 'dealstage');
+  if (!stageId) {
+    return '';
+  }
+
+  const entered = extractTimestampProperty(deal, `hs_date_entered_${stageId}`);
+  if (entered === null) {
+    return '';
+  }
+
+  return Math.max(0, Math.floor((new Date().getTime() - entered) / STAGE_VELOCITY_DAY_MS));
+}
+
+/**
+ * Fetches the deals velocity is measured on, in one search for the team
+ * @param {Array<Object>} salespeople - Salespeople configs
+ * @returns {Object} Map of HubSpot User ID → Array<Object> deals
+ */
+function fetchStageVelocityDeals(salespeople) {
+  const ownerIds = salespeople
+    .map(person => (person.hubspotUserId || '').toString())
+    .filter(ownerId => ownerId !== '');
+
+  const dealsByOwner = {};
+  ownerIds.forEach(ownerId => {
+    dealsByOwner[ownerId] = [];
+  });
+  if (ownerIds.length === 0) {
+    return dealsByOwner;
+  }
+
+  const result = executeDealQuery(getView('Stage Velocity'), {
+    ownerIds: ownerIds,
+    properties: ['hubspot_owner_id', 'dealstage', ...getStageVelocityProperties()]
+  });
+
+  result.deals.forEach(deal => {
+    const ownerId = extractDealProperty(deal, 'hubspot_owner_id');
+    if (dealsByOwner[ownerId]) {
+      dealsByOwner[ownerId].push(deal);
+    }
+  });
+
+  return dealsByOwner;
+}
+
+/**
+ * Collects finished stint lengths per review stage
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @returns {Object} Map of stage ID → Array<number> (days)
+ */
+function getStageDurations(deals) {
+  const durations = {};
+
+  getVelocityStageIds().forEach(stageId => {
+    durations[stageId] = [];
+
+    deals.forEach(deal => {
+      const entered = extractTimestampProperty(deal, `hs_date_entered_${stageId}`);
+      const exited = extractTimestampProperty(deal, `hs_date_exited_${stageId}`);
+
+      // Re-entered stages have an exit date older than the entry date (still open)
+      if (entered === null || exited === null || exited < entered) return;
+
+      durations[stageId].push((exited - entered) / STAGE_VELOCITY_DAY_MS);
+    });
+  });
+
+  return durations;
+}
+
+/**
+ * Gets the median stint per review stage
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @returns {Object} Map of stage ID → {median: number|string, count: number} ('' if no stints)
+ */
+function getMedianStageDays(deals) {
+  const durations = getStageDurations(deals);
+  const medians = {};
+
+  Object.keys(durations).forEach(stageId => {
+    const values = durations[stageId];
+    medians[stageId] = {
+      median: values.length > 0 ? Math.round(getMedian(values) * 10) / 10 : '',
+      count: values.length
+    };
+  });
+
+  return medians;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {number} Median
+ */
+function getMedian(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
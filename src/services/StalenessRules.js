@@ -0,0 +1,208 @@
+/**
+ * Staleness Rules
+ * Detects stale and overdue deals from the Control Sheet Staleness Rules tab
+ *
+ * Rule types:
+ *   NO_ACTIVITY           - notes_last_updated is Days or more days ago (or blank)
+ *   NEXT_ACTIVITY_OVERDUE - notes_next_activity_date is in the past by Days or more days
+ *   NEXT_ACTIVITY_BLANK   - no next activity scheduled (Days is ignored)
+ *
+ * A rule with a Stage only applies to deals in that stage (label) and
+ * replaces the blank-stage rule of the same type for that stage, e.g.
+ * "NO_ACTIVITY | Negotiation | 7" next to "NO_ACTIVITY | (blank) | 14".
+ * Priority 1 is the most urgent.
+ *
+ * If the tab has rows, they replace DEFAULT_STALENESS_RULES entirely.
+ * Note: Uses TAB_STALENESS_RULES constant from ConfigManager.js
+ */
+
+const STALENESS_RULE_TYPES = ['NO_ACTIVITY', 'NEXT_ACTIVITY_OVERDUE', 'NEXT_ACTIVITY_BLANK'];
+
+const STALENESS_RULES_TAB_HEADERS = ['Rule', 'Stage', 'Days', 'Priority'];
+
+// Built-in rules (used when the Staleness Rules tab is missing or empty)
+const DEFAULT_STALENESS_RULES = [
+  { rule: 'NEXT_ACTIVITY_OVERDUE', stage: '', days: 0, priority: 1 },
+  { rule: 'NO_ACTIVITY', stage: 'Negotiation', days: 7, priority: 1 },
+  { rule: 'NO_ACTIVITY', stage: '', days: 14, priority: 2 },
+  { rule: 'NEXT_ACTIVITY_BLANK', stage: '', days: 0, priority: 3 }
+];
+
+const STALENESS_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules loaded once per run, see loadStalenessRules()
+let stalenessRulesCache = null;
+
+/**
+ * Loads the rules: the Staleness Rules tab if it has rows, otherwise DEFAULT_STALENESS_RULES
+ * @returns {Array<Object>} Rules {rule, stage, days, priority}
+ */
+function loadStalenessRules() {
+  if (stalenessRulesCache) {
+    return stalenessRulesCache;
+  }
+
+  let rules = DEFAULT_STALENESS_RULES;
+
+  const ss = SpreadsheetApp.openById(CONTROL_SHEET_ID);
+  const rulesSheet = findTab(ss, TAB_STALENESS_RULES, 'Staleness Rules');
+
+  if (rulesSheet && rulesSheet.getLastRow() >= 2) {
+    const rows = rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1, STALENESS_RULES_TAB_HEADERS.length).getValues();
+    const fromSheet = parseStalenessRuleRows(rows);
+
+    if (fromSheet.length > 0) {
+      rules = fromSheet;
+      Logger.log(`Loaded ${rules.length} staleness rules from ${TAB_STALENESS_RULES}`);
+    }
+  }
+
+  stalenessRulesCache = rules;
+  return stalenessRulesCache;
+}
+
+/**
+ * Parses Staleness Rules tab rows
+ * @param {Array<Array>} rows - Rule | Stage | Days | Priority
+ * @returns {Array<Object>} Rules (unknown rule types are skipped)
+ */
+function parseStalenessRuleRows(rows) {
+  const rules = [];
+
+  rows.forEach(row => {
+    const rule = row[0] ? row[0].toString().trim().toUpperCase() : '';
+    if (!rule) return;
+
+    if (!STALENESS_RULE_TYPES.includes(rule)) {
+      Logger.log(`Warning: Unknown staleness rule "${rule}" in ${TAB_STALENESS_RULES}, skipping`);
+      return;
+    }
+
+    const days = parseFloat(row[2]);
+    const priority = parseInt(row[3], 10);
+
+    rules.push({
+      rule: rule,
+      stage: row[1] ? row[1].toString().trim() : '',
+      days: isNaN(days) ? 0 : days,
+      priority: isNaN(priority) ? 99 : priority
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Gets the rows for a new Staleness Rules tab (the defaults)
+ * @returns {Array<Array>} Rule | Stage | Days | Priority
+ */
+function getDefaultStalenessRuleRows() {
+  return DEFAULT_STALENESS_RULES.map(rule => [rule.rule, rule.stage, rule.days, rule.priority]);
+}
+
+/**
+ * Gets the HubSpot properties the rules and the Today's Actions tab need
+ * @returns {Array<string>} Property names
+ */
+function getStalenessProperties() {
+  return ['dealname', 'dealstage', 'notes_last_updated', 'notes_next_activity_date'];
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Finds the deals that break a rule, most urgent first
+ * Sorted by priority, then by days since the last activity (longest first).
+ * @param {Array<Object>} deals - Deals from HubSpot
+ * @returns {Array<Object>} {deal, priority, issues: Array<string>, daysSinceActivity}
+ */
+function findStaleDeals(deals) {
+  const rules = loadStalenessRules();
+  const now = new Date().getTime();
+  const staleDeals = [];
+
+  deals.forEach(deal => {
+    const lastActivity = extractTimestampProperty(deal, 'notes_last_updated');
+    const daysSinceActivity = lastActivity === null ? null : Math.floor((now - lastActivity) / STALENESS_DAY_MS);
+
+    const hits = getStaleDealIssues(deal, rules, now);
+    if (hits.length === 0) return;
+
+    staleDeals.push({
+      deal: deal,
+      priority: Math.min(...hits.map(hit => hit.priority)),
+      issues: hits.map(hit => hit.issue),
+      daysSinceActivity: daysSinceActivity
+    });
+  });
+
+  return staleDeals.sort((a, b) => {
+    if (a.priority !== b.priority) {
+      return a.priority - b.priority;
+    }
+    const aDays = a.daysSinceActivity === null ? Infinity : a.daysSinceActivity;
+    const bDays = b.daysSinceActivity === null ? Infinity : b.daysSinceActivity;
+    return bDays - aDays;
+  });
+}
+
+/**
+ * Checks a deal against the rules
+ * @param {Object} deal - Deal from HubSpot
+ * @param {Array<Object>} rules - From loadStalenessRules()
+ * @param {number} now - Current time (epoch ms)
+ * @returns {Array<Object>} Broken rules {priority, issue}
+ */
+function getStaleDealIssues(deal, rules, now) {
+  const stage = getStageLabel(extractDealProperty(deal, 'dealstage'));
+  const lastActivity = extractTimestampProperty(deal, 'notes_last_updated');
+  const nextActivity = extractTimestampProperty(deal, 'notes_next_activity_date');
+  const hits = [];
+
+  STALENESS_RULE_TYPES.forEach(type => {
+    const rule = getStalenessRuleForStage(rules, type, stage);
+    if (!rule) return;
+
+    if (type === 'NO_ACTIVITY') {
+      if (lastActivity === null) {
+        hits.push({ priority: rule.priority, issue: 'No activity logged' });
+      } else {
+        const days = Math.floor((now - lastActivity) / STALENESS_DAY_MS);
+        if (days >= rule.days) {
+          hits.push({ priority: rule.priority, issue: `No activity in ${days} days (limit ${rule.days})` });
+        }
+      }
+    } else if (type === 'NEXT_ACTIVITY_OVERDUE') {
+      if (nextActivity !== null && nextActivity < now) {
+        const days = Math.floor((now - nextActivity) / STALENESS_DAY_MS);
+        if (days >= rule.days) {
+          hits.push({ priority: rule.priority, issue: days > 0 ? `Next activity overdue by ${days} days` : 'Next activity overdue' });
+        }
+      }
+    } else if (type === 'NEXT_ACTIVITY_BLANK') {
+      if (nextActivity === null) {
+        hits.push({ priority: rule.priority, issue: 'No next activity scheduled' });
+      }
+    }
+  });
+
+  return hits;
+}
+
+/**
+ * Picks the rule of a type for a stage: a stage rule wins over the blank-stage rule
+ * @param {Array<Object>} rules - Rules
+ * @param {string} type - Rule type
+ * @param {string} stage - Stage label of the deal
+ * @returns {Object|null} Rule, or null if none applies
+ */
+function getStalenessRuleForStage(rules, type, stage) {
+  const ofType = rules.filter(rule => rule.rule === type);
+  const stageKey = stage.toString().toLowerCase();
+
+  return ofType.find(rule => rule.stage && rule.stage.toLowerCase() === stageKey) ||
+    ofType.find(rule => !rule.stage) ||
+    null;
+}